@@ -1,17 +1,46 @@
-import * as THREE from 'three';
 import { gsap } from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
 import { Scene } from './src/Scene.js';
 import { Assets } from './src/Assets.js';
 import { Physics } from './src/Physics.js';
+import { Harvest } from './src/Harvest.js';
 import { Particles } from './src/Particles.js';
+import { QUALITY_TIERS, quality } from './src/Quality.js';
+import { RenderLoop } from './src/RenderLoop.js';
+import { ModuleRegistry } from './src/Lifecycle.js';
+import { registerServiceWorker } from './src/ServiceWorker.js';
+import { Router } from './src/Router.js';
+import { productCardHtml, pageMeta, socialLinksHtml } from './src/Markup.js';
+import { responsive } from './src/Images.js';
+import { Navigation } from './src/features/Navigation.js';
+import { Faq } from './src/features/Faq.js';
+import { QuoteForm } from './src/features/QuoteForm.js';
+import { SpecSheets } from './src/features/SpecSheets.js';
+import { ConsentBanner } from './src/features/ConsentBanner.js';
+import { ContactCard } from './src/features/ContactCard.js';
+import { Engagement } from './src/features/Engagement.js';
+import { Hero } from './src/features/Hero.js';
+import { Stats } from './src/features/Stats.js';
+import { Reveals } from './src/features/Reveals.js';
+import { CommodityViewer } from './src/features/CommodityViewer.js';
+import { MarketPanel } from './src/features/MarketPanel.js';
+import { Process } from './src/features/Process.js';
+import { TradeGlobe } from './src/features/TradeGlobe.js';
+import { GrowthScrub } from './src/features/GrowthScrub.js';
+import { CommodityPage } from './src/features/CommodityPage.js';
+import { ShipmentTracker } from './src/features/ShipmentTracker.js';
+import { LotPage } from './src/features/LotPage.js';
+import { ROUTES } from './src/data/routes.js';
+import { COMMODITIES, getCommodity } from './src/data/commodities.js';
+import { HEADQUARTERS, MARKETS } from './src/data/markets.js';
+import { i18n, t } from './src/I18n.js';
+import { motion } from './src/Motion.js';
+import { theme } from './src/Theme.js';
 
 gsap.registerPlugin(ScrollTrigger);
 ScrollTrigger.config({ ignoreMobileResize: true });
 
 // Mobile/Environment Detection
-const isTouchDevice = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0) || (navigator.msMaxTouchPoints > 0);
-const isMobile = isTouchDevice && window.innerWidth <= 1024;
 const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
 
 // Production Grade Scroll Management
@@ -21,117 +50,88 @@ ScrollTrigger.config({
     autoRefreshEvents: isIOS ? "visibilitychange,DOMContentLoaded,load" : "resize,visibilitychange,DOMContentLoaded,load"
 });
 
-class ProductViewer {
-    constructor(containerId, assets) {
-        this.container = document.getElementById(containerId);
-        if (!this.container) return;
-        this.assets = assets;
-        this.scene = new THREE.Scene();
-        this.camera = new THREE.PerspectiveCamera(45, this.container.clientWidth / this.container.clientHeight, 0.1, 100);
-        this.camera.position.z = 10;
-
-        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-        this.container.appendChild(this.renderer.domElement);
-
-        this.setupLights();
-        this.currentMesh = null;
-        this.isDragging = false;
-        this.previousMousePosition = { x: 0, y: 0 };
-
-        this.initInteractions();
-    }
-
-    setupLights() {
-        const ambient = new THREE.AmbientLight(0xffffff, 1);
-        this.scene.add(ambient);
-        const point = new THREE.PointLight(0x8a4fff, 2, 50);
-        point.position.set(5, 5, 5);
-        this.scene.add(point);
-    }
-
-    setProduct(type) {
-        if (this.currentMesh) this.scene.remove(this.currentMesh);
-
-        switch (type) {
-            case 'sesame':
-                this.currentMesh = this.assets.createSesame();
-                this.currentMesh.scale.set(4, 4, 4);
-                break;
-            case 'cashew':
-                this.currentMesh = this.assets.createCashew();
-                this.currentMesh.scale.set(3, 3, 3);
-                break;
-            case 'cocoa':
-                this.currentMesh = this.assets.createCocoa();
-                this.currentMesh.scale.set(2, 2, 2);
-                break;
-        }
-
-        if (this.currentMesh) {
-            this.scene.add(this.currentMesh);
-            gsap.from(this.currentMesh.scale, { x: 0, y: 0, z: 0, duration: 0.5, ease: "back.out" });
-        }
-    }
-
-    initInteractions() {
-        this.container.addEventListener('mousedown', () => this.isDragging = true);
-        window.addEventListener('mouseup', () => this.isDragging = false);
-        this.container.addEventListener('mousemove', (e) => {
-            if (this.isDragging && this.currentMesh) {
-                const deltaMove = {
-                    x: e.offsetX - this.previousMousePosition.x,
-                    y: e.offsetY - this.previousMousePosition.y
-                };
-                this.currentMesh.rotation.y += deltaMove.x * 0.01;
-                this.currentMesh.rotation.x += deltaMove.y * 0.01;
-            }
-            this.previousMousePosition = { x: e.offsetX, y: e.offsetY };
-        });
-    }
-
-    render() {
-        if (this.currentMesh && !this.isDragging) {
-            this.currentMesh.rotation.y += 0.005;
-        }
-        this.renderer.render(this.scene, this.camera);
-    }
-}
+const NAV_OFFSET = 90; // Fixed navbar height, kept clear when scrolling to a section
 
+// The app itself only owns what lasts the whole visit: the hero's background
+// scene, the render loop, Lenis, the router and the markup rendered from
+// src/data. Features live in src/features/ as modules mounted through the
+// registry (src/Lifecycle.js): the navbar, FAQ and quote form for the whole
+// visit, the rest with the view that shows them.
 class App {
     constructor() {
         this.scene = new Scene();
         this.assets = new Assets(this.scene.scene);
         this.physics = new Physics();
-        this.particles = new Particles(this.scene.scene);
+        // Allocate for the top tier; the quality manager lowers the live cap.
+        this.particles = new Particles(this.scene.scene, { maxParticles: QUALITY_TIERS.high.maxParticles });
+        quality.register(this.scene);
+        quality.register(this.particles);
+        this.harvest = null;
+
+        this.loop = new RenderLoop();
+        // The hero background draws through the loop like the feature canvases.
+        this.loop.add({
+            container: document.getElementById('home'),
+            render: (delta) => {
+                if (!motion.reduced) {
+                    if (this.harvest) this.harvest.update(delta);
+                    this.particles.update(delta);
+                }
+                this.scene.render();
+            }
+        });
 
-        this.cashews = [];
-        this.mouse = new THREE.Vector2();
-        this.productViewer = null;
+        this.modules = new ModuleRegistry({ loop: this.loop });
+        this.navigation = new Navigation();
+        this.faq = new Faq();
+        this.quoteForm = new QuoteForm();
+        this.specSheets = new SpecSheets();
+        this.consentBanner = new ConsentBanner();
+        this.contactCard = new ContactCard();
+        this.homeModules = [
+            new Hero(),
+            new Stats(),
+            new Reveals(),
+            new MarketPanel(),
+            new CommodityViewer(this.assets, { scrollTo: target => this.scrollToTarget(target) }),
+            new Process(this.assets),
+            new TradeGlobe(),
+            new Engagement(),
+            new GrowthScrub() // Last: its pin offsets everything below it
+        ];
+        this.commodityPage = null;
+        this.lotPage = null;
+        this.shipmentTracker = new ShipmentTracker();
+        this.viewModules = [];
+
+        this.lenis = null;
+        this.router = null;
+        this.views = {};
+        this.activeView = null;
+        this.viewKey = null;
+        this.routeQueue = Promise.resolve();
 
         this.init();
     }
 
 
     init() {
-        // 1. Initial UI & Animation Setup
-        this.setupBackgroundParticles();
-        this.setupEntranceAnimations();
-        this.setupScrollTrigger();
-        this.setupScrollEffects();
-        this.initLenis();
-
-        // 2. Component & Interaction Setup
-        this.setupInteractions();
-        this.setupFAQ();
-        this.setupContactForm();
-
-        // Fail-safe visibility for contact form card
-        gsap.set('.contact-form-card', { opacity: 1, x: 0, clearProps: 'all', delay: 2 });
+        // 1. Markup rendered from src/data, translated and wired up
+        this.renderCatalog();
+        this.renderMarkets();
+        this.renderSocialLinks();
+        this.setupI18n();
+        this.setupMotion();
+        this.setupAmbientParticles();
+
+        // 2. Modules for the whole visit, then the current route's view
+        [this.navigation, this.faq, this.quoteForm, this.specSheets, this.consentBanner, this.contactCard].forEach(module => this.modules.mount(module));
+        this.setupServiceWorker();
+        this.setupRouter();
 
         ScrollTrigger.refresh();
 
-        // 3. Loading Sequence & Stats Trigger
+        // 3. Loading Sequence
         const loadingScreen = document.getElementById('loading-screen');
         if (loadingScreen) {
             setTimeout(() => {
@@ -139,520 +139,248 @@ class App {
                 setTimeout(() => {
                     loadingScreen.style.display = 'none';
                     loadingScreen.remove();
-                    this.startPostLoadingAnimations();
                     ScrollTrigger.refresh();
                 }, 500);
             }, 1000);
-        } else {
-            this.startPostLoadingAnimations();
         }
 
         // 4. Heavy Assets Initialization
         try {
-            this.assets.createLandscape();
+            this.scene.ground = this.assets.createLandscape({ color: theme.palette.ground });
+            this.setupHarvest();
         } catch (e) {
             console.warn('3D Background deferred or disabled');
         }
 
-        this.animate();
+        this.loop.start();
     }
 
-    setupBackgroundParticles() {
-        const container = document.getElementById('particles-container');
-        if (!container) return;
-
-        const symbols = ['🌾', '🥜', '🍫', '🍃', '✨'];
-        const particleCount = 20;
-
-        for (let i = 0; i < particleCount; i++) {
-            const particle = document.createElement('div');
-            particle.className = 'floating-particle';
-            particle.innerText = symbols[Math.floor(Math.random() * symbols.length)];
-
-            const x = Math.random() * 100;
-            const y = Math.random() * 100;
-            const size = 15 + Math.random() * 20;
-            const duration = 10 + Math.random() * 20;
-            const delay = Math.random() * -20;
-
-            particle.style.left = `${x}%`;
-            particle.style.top = `${y}%`;
-            particle.style.fontSize = `${size}px`;
-
-            container.appendChild(particle);
-
-            gsap.to(particle, {
-                y: 'random(-100, 100)',
-                x: 'random(-50, 50)',
-                rotation: 'random(-360, 360)',
-                duration: duration,
-                repeat: -1,
-                yoyo: true,
-                ease: 'sine.inOut',
-                delay: delay
-            });
+    renderCatalog() {
+        const grid = document.querySelector('.product-grid');
+        if (grid) {
+            grid.innerHTML = responsive(COMMODITIES.map(productCardHtml).join(''));
         }
-    }
 
-    startPostLoadingAnimations() {
-        // Trigger Stats Counter only after loader is gone
-        gsap.utils.toArray('.counter').forEach(stat => {
-            const target = parseInt(stat.getAttribute('data-target'));
-            if (isNaN(target)) return;
-
-            gsap.to(stat, {
-                scrollTrigger: {
-                    trigger: stat,
-                    start: 'top 95%',
-                    toggleActions: 'play none none none'
-                },
-                innerText: target,
-                duration: 2.5,
-                snap: { innerText: 1 },
-                ease: 'power3.out',
-                onUpdate: function () {
-                    stat.innerText = Math.floor(stat.innerText) + '+';
-                }
+        const viewerControls = document.querySelector('#product-360-viewer .viewer-controls');
+        if (viewerControls) {
+            const resetBtn = viewerControls.querySelector('.viewer-reset');
+            COMMODITIES.forEach(commodity => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'viewer-btn';
+                btn.setAttribute('data-viewer-product', commodity.id);
+                btn.setAttribute('aria-pressed', 'false');
+                btn.setAttribute('data-i18n', `commodities.${commodity.id}.name`);
+                btn.textContent = commodity.name;
+                viewerControls.insertBefore(btn, resetBtn);
             });
-        });
+        }
+    }
 
-        // Entrance animation for hero content
-        gsap.from('.hero-content > *', {
-            y: 30,
-            opacity: 0,
-            duration: 1,
-            stagger: 0.2,
-            ease: 'power3.out'
-        });
+    renderSocialLinks() {
+        const links = document.querySelector('.footer .social-links');
+        if (links) links.innerHTML = socialLinksHtml();
     }
 
-    setupEntranceAnimations() {
-        // Mouse parallax for hero
-        const heroWrapper = document.querySelector('.hero-parallax-wrapper');
-        if (heroWrapper) {
-            window.addEventListener('mousemove', (e) => {
-                const { clientX, clientY } = e;
-                const xPos = (clientX / window.innerWidth - 0.5) * 30;
-                const yPos = (clientY / window.innerHeight - 0.5) * 30;
-
-                gsap.to(heroWrapper, {
-                    x: xPos,
-                    y: yPos,
-                    duration: 1,
-                    ease: 'power2.out'
-                });
-            });
+    renderMarkets() {
+        const productNames = (ids) => ids.map(id => {
+            const commodity = getCommodity(id);
+            return commodity ? `<span data-i18n="commodities.${id}.shortName">${commodity.shortName}</span>` : '';
+        }).join(' | ');
+
+        const infoGrid = document.querySelector('#partners .info-grid');
+        if (infoGrid) {
+            infoGrid.innerHTML = [HEADQUARTERS, ...MARKETS].map((location, i) => {
+                const isHq = location === HEADQUARTERS;
+                const summary = isHq
+                    ? `<p data-i18n="${location.summary.key}">${location.summary.text}</p>`
+                    : `<p>${productNames(location.products)}</p>`;
+                return `
+                <div class="info-box${isHq ? ' is-hq' : ''}" data-country="${location.id}" data-aos-delay="${i * 100}" tabindex="0" role="button" aria-pressed="false">
+                    <h3>${location.flag} <span data-i18n="partners.${location.id}">${location.name}</span>${isHq ? ' (<span data-i18n="partners.hq">HQ</span>)' : ''}</h3>
+                    ${summary}
+                    <p class="info-note" data-i18n="${location.role.key}">${location.role.text}</p>
+                </div>`;
+            }).join('');
         }
 
-        // Section reveal animations
-        const revealSections = document.querySelectorAll('.section');
-        revealSections.forEach(section => {
-            section.classList.add('section-reveal');
-            ScrollTrigger.create({
-                trigger: section,
-                start: 'top 80%',
-                onEnter: () => section.classList.add('active')
-            });
-        });
-
-        const heroTitle = document.getElementById('hero-title');
-        if (heroTitle) {
-            const text = heroTitle.textContent;
-            heroTitle.innerHTML = text.split('').map(char =>
-                `<span class="char" style="display:inline-block; opacity: 0; transform: translateY(100px);">${char === ' ' ? '&nbsp;' : char}</span>`
-            ).join('');
-
-            // Reverted to GSAP with Elastic Ease for stability
-            gsap.to(heroTitle.querySelectorAll('.char'), {
-                y: 0,
-                opacity: 1,
-                duration: 1.5,
-                ease: "elastic.out(1, 0.5)",
-                stagger: 0.05,
-                delay: 0.5
-            });
-
+        // The marquee animates to -50%, so the list is rendered twice for a seamless loop
+        const marquee = document.querySelector('#partners .marquee-content');
+        if (marquee) {
+            const names = MARKETS.map(market => `<span class="partner-logo" data-i18n="partners.${market.id}">${market.name}</span>`).join('');
+            marquee.innerHTML = names + names;
         }
-
-        const heroTl = gsap.timeline({ delay: 1.2 });
-        heroTl.from('.hero-subtitle', { opacity: 0, y: 30, duration: 1, ease: 'power3.out' })
-            .from('.hero-description', { opacity: 0, y: 30, duration: 1, ease: 'power3.out' }, '-=0.6')
-            .from('.cta-primary', { opacity: 0, scale: 0.8, duration: 1, ease: 'back.out(1.7)' }, '-=0.6')
-            .from('.stat-item', { opacity: 0, x: 50, duration: 1, stagger: 0.2, ease: 'power3.out' }, '-=1');
     }
 
-    setupScrollTrigger() {
-        // Hero Content Parallax
-        gsap.to(".hero-content", {
-            scrollTrigger: {
-                trigger: ".hero-ui",
-                start: "top top",
-                end: "bottom top",
-                scrub: 1
-            },
-            y: 150,
-            scale: 0.95,
-            ease: "none"
-        });
-
-        // Universal Parallax System
-        gsap.utils.toArray('[data-speed]').forEach(el => {
-            const speed = parseFloat(el.getAttribute('data-speed'));
-            gsap.to(el, {
-                y: (i, target) => -ScrollTrigger.maxScroll(window) * target.getAttribute('data-speed') * 0.2, // Scaling factor
-                ease: 'none',
-                scrollTrigger: {
-                    trigger: el,
-                    start: 'top bottom',
-                    end: 'bottom top',
-                    scrub: 0
-                }
-            });
-        });
-
-        // Section Headers
-        gsap.utils.toArray('.section-header').forEach(header => {
-            const tagline = header.querySelector('.section-tagline');
-            const title = header.querySelector('.section-title');
-            const tl = gsap.timeline({
-                scrollTrigger: {
-                    trigger: header,
-                    start: 'top 85%',
-                    toggleActions: 'play none none reverse'
-                }
-            });
-            if (tagline) tl.from(tagline, { opacity: 0, y: 20, duration: 0.6, ease: "power2.out" });
-            if (title) tl.from(title, { opacity: 0, y: 30, duration: 0.8, ease: "power3.out" }, "-=0.4");
+    setupRouter() {
+        document.querySelectorAll('.view[data-view]').forEach(view => { this.views[view.dataset.view] = view; });
+        this.router = new Router(ROUTES, { onRoute: (route, options) => this.showRoute(route, options) });
+        this.commodityPage = new CommodityPage(this.views.commodity, {
+            assets: this.assets,
+            router: this.router,
+            quoteForm: this.quoteForm
         });
+        this.lotPage = new LotPage(this.views.lot, { router: this.router, onLoad: () => this.updateTitle() });
+        this.router.start();
+    }
 
-        // Staggered Reveals
-        const configs = [
-            { selector: '.milestones li', trigger: '.about-grid', x: -50 },
-            { selector: '.step', trigger: '.process-steps', y: 60, stagger: 0.2 },
-            { selector: '.product-card', trigger: '.product-grid', scale: 0.8, stagger: 0.25 },
-            { selector: '.info-box', trigger: '.info-grid', y: 40, stagger: 0.2 },
-            { selector: '.info-item', trigger: '.contact-wrap', x: -30, stagger: 0.2 },
-            { selector: '.contact-form-card', trigger: '.contact-wrap', x: 40 }
-        ];
+    // Transitions run one at a time; a route that was superseded while an
+    // earlier transition was still playing is skipped.
+    showRoute(route, options) {
+        this.routeQueue = this.routeQueue
+            .then(() => (route === this.router.current ? this.renderRoute(route, options) : null))
+            .catch(e => console.error('Failed to render route:', e));
+    }
 
-        configs.forEach(config => {
-            const els = document.querySelectorAll(config.selector);
-            if (els.length > 0) {
-                gsap.from(els, {
-                    scrollTrigger: {
-                        trigger: config.trigger,
-                        start: 'top 80%',
-                        toggleActions: 'play none none reverse'
-                    },
-                    opacity: 0,
-                    x: config.x || 0,
-                    y: config.y || 0,
-                    scale: config.scale || 1,
-                    duration: 1,
-                    stagger: config.stagger || 0,
-                    ease: "power2.out"
-                });
-            }
-        });
+    async renderRoute(route, { restore, initial, hash }) {
+        const commodity = route.view === 'commodity' ? getCommodity(route.params.id) : null;
+        if (route.view === 'commodity' && !commodity) {
+            this.router.navigate('/products', { replace: true });
+            return;
+        }
+        const key = commodity ? `commodity:${commodity.id}` : route.view === 'lot' ? `lot:${route.params.id}` : route.view;
+        const section = route.view === 'home' ? document.getElementById(route.section || hash) : null;
+
+        // Same view: only the scroll position changes.
+        if (key === this.viewKey) {
+            this.updateTitle();
+            if (restore !== null) this.scrollToTarget(restore, { immediate: true });
+            else if (section) this.scrollToTarget(section);
+            else if (!initial) this.scrollToTarget(0);
+            return;
+        }
 
-        // Stats Counters
-        gsap.utils.toArray('.counter').forEach(stat => {
-            const target = parseInt(stat.getAttribute('data-target'));
-            if (isNaN(target)) return;
-
-            gsap.to(stat, {
-                scrollTrigger: {
-                    trigger: stat,
-                    start: 'top 90%',
-                    toggleActions: 'play none none none'
-                },
-                innerText: target,
-                duration: 2,
-                snap: { innerText: 1 },
-                ease: 'power2.out',
-                onUpdate: function () {
-                    stat.innerText = Math.floor(stat.innerText) + '+';
-                }
-            });
-        });
+        const leaving = this.activeView;
+        if (leaving && !motion.reduced) {
+            await gsap.to(leaving, { opacity: 0, y: -30, duration: 0.35, ease: 'power2.in' });
+        }
+        this.unmountView();
+        if (leaving) gsap.set(leaving, { clearProps: 'opacity,transform' });
+        Object.entries(this.views).forEach(([name, view]) => { view.hidden = name !== route.view; });
+
+        const entering = this.views[route.view];
+        this.activeView = entering;
+        this.viewKey = key;
+        if (commodity) this.mountView([this.commodityPage], { commodity });
+        else if (route.view === 'lot') this.mountView([this.lotPage], { id: route.params.id });
+        else if (route.view === 'track') this.mountView([this.shipmentTracker]);
+        else this.mountView(this.homeModules, { firstVisit: initial });
 
-        // Fail-safe: Reveal hidden elements after 5 seconds if JS/ScrollTrigger hangs
-        setTimeout(() => {
-            gsap.to('.step, .counter, .section-reveal, .product-card, .info-box', {
-                opacity: 1,
-                y: 0,
-                scale: 1,
-                stagger: 0.1,
-                duration: 1,
-                overwrite: 'auto',
-                ease: "power2.out",
-                onComplete: () => {
-                    document.querySelectorAll('.section-reveal').forEach(el => el.classList.add('active'));
-                }
-            });
-            ScrollTrigger.refresh();
-        }, 5000);
+        ScrollTrigger.refresh();
+        this.scrollToTarget(restore ?? section ?? 0, { immediate: true });
+        this.initLenis();
+        this.updateTitle();
 
+        if (!initial) {
+            // Keyboard and screen reader users continue from the top of the new view.
+            entering.focus({ preventScroll: true });
+            if (!motion.reduced) gsap.from(entering, { opacity: 0, y: 30, duration: 0.5, ease: 'power2.out', clearProps: 'opacity,transform' });
+        }
     }
 
-    setupScrollEffects() {
-        gsap.to(".stat-item", {
-            y: "random(-10, 10)",
-            duration: "random(2, 4)",
-            repeat: -1,
-            yoyo: true,
-            ease: "sine.inOut",
-            stagger: { each: 0.5, from: "random" }
-        });
-
-        const magneticEls = document.querySelectorAll('.cta-primary, .social-icon, .hamburger');
-        magneticEls.forEach(el => {
-            el.addEventListener('mousemove', (e) => {
-                const rect = el.getBoundingClientRect();
-                const x = e.clientX - rect.left - rect.width / 2;
-                const y = e.clientY - rect.top - rect.height / 2;
-                gsap.to(el, { x: x * 0.4, y: y * 0.4, duration: 0.3, ease: "power2.out" });
-            });
-            el.addEventListener('mouseleave', () => {
-                gsap.to(el, { x: 0, y: 0, duration: 0.6, ease: "elastic.out(1, 0.3)" });
-            });
+    // A view's modules are mounted together and released together when the
+    // route leaves it, so leaving a view leaves nothing running. One that
+    // fails to mount is left out (the registry has already released it) and
+    // the rest of the view carries on without it.
+    mountView(modules, options) {
+        this.viewModules = modules;
+        modules.forEach(module => {
+            try {
+                this.modules.mount(module, options);
+            } catch (e) {
+                console.error(`Failed to mount ${module.constructor.name}:`, e);
+            }
         });
     }
 
-    setupInteractions() {
-        window.addEventListener('scroll', () => {
-            const nav = document.querySelector('.navbar');
-            if (nav) nav.classList.toggle('scrolled', window.scrollY > 50);
-        });
+    unmountView() {
+        this.destroyLenis();
+        this.viewModules.forEach(module => this.modules.unmount(module));
+        this.viewModules = [];
+    }
 
-        const hamburger = document.querySelector('.hamburger');
-        const mobileMenu = document.querySelector('.mobile-menu-overlay');
-        if (hamburger && mobileMenu) {
-            hamburger.addEventListener('click', () => {
-                mobileMenu.classList.toggle('active');
-                hamburger.classList.toggle('toggle');
-            });
+    // Title and description follow the route, as in the prerendered pages.
+    updateTitle() {
+        const { title, description } = pageMeta({
+            view: this.router.current?.view,
+            section: this.router.current?.section,
+            commodity: this.commodityPage.commodity,
+            lot: this.lotPage.lot
+        }, t);
+        document.title = title;
+        document.querySelector('meta[name="description"]')?.setAttribute('content', description);
+    }
 
-            const closeBtn = document.querySelector('.menu-close-btn');
-            if (closeBtn) {
-                closeBtn.addEventListener('click', () => {
-                    mobileMenu.classList.remove('active');
-                    hamburger.classList.remove('toggle');
-                });
-            }
+    // `target` is a scroll position or an element to bring just below the navbar.
+    scrollToTarget(target, { immediate = false } = {}) {
+        const top = typeof target === 'number' ? target : target.getBoundingClientRect().top + window.scrollY - NAV_OFFSET;
+        if (this.lenis) this.lenis.scrollTo(top, { immediate });
+        else window.scrollTo({ top, behavior: immediate ? 'instant' : (motion.reduced ? 'auto' : 'smooth') });
+    }
 
-            mobileMenu.querySelectorAll('a').forEach(link => {
-                link.addEventListener('click', () => {
-                    mobileMenu.classList.remove('active');
-                    hamburger.classList.remove('toggle');
-                });
-            });
-        }
+    setupI18n() {
+        document.querySelectorAll('.lang-switcher').forEach(switcher => i18n.renderSwitcher(switcher));
+        i18n.init();
 
-        document.querySelectorAll('.product-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const product = card.getAttribute('data-product');
-                if (this.productViewer) {
-                    this.productViewer.setProduct(product);
-                    document.getElementById('product-360-viewer')?.scrollIntoView({ behavior: 'smooth' });
-                }
-            });
+        // Modules re-render their own copy; text length changes move the triggers.
+        document.addEventListener('localechange', () => {
+            this.updateTitle();
+            ScrollTrigger.refresh();
         });
+    }
 
-        this.initGlobeInteraction();
-        this.initVideoScroll();
+    setupMotion() {
+        document.querySelectorAll('.motion-toggle').forEach(button => motion.bindToggle(button));
+        document.querySelectorAll('.theme-toggle').forEach(button => theme.bindToggle(button));
+        document.addEventListener('motionchange', () => this.applyMotion());
     }
 
-    initGlobeInteraction() {
-        const infoBoxes = document.querySelectorAll('.info-box');
-        const markers = document.querySelectorAll('.marker');
-        infoBoxes.forEach(box => {
-            box.addEventListener('click', () => {
-                markers.forEach(m => m.classList.remove('active'));
-                const country = box.querySelector('h3').innerText.replace(/[^a-zA-Z\s]/g, '').trim();
-                let target = null;
-                markers.forEach(m => {
-                    const title = m.getAttribute('title');
-                    if (title && (title.includes(country) || (country.includes('Guinea') && title.includes('Guinea')))) {
-                        target = m;
-                    }
-                });
-                if (target) {
-                    target.classList.add('active');
-                    document.getElementById('partners')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                }
-            });
+    // Modules adapt their own effects on motionchange; smooth scrolling and
+    // the canvases' auto-rotation are handled here.
+    applyMotion() {
+        const reduced = motion.reduced;
+        if (reduced) this.destroyLenis();
+        else this.initLenis();
+
+        this.loop.canvases.forEach(canvas => {
+            if ('autoRotate' in canvas) canvas.autoRotate = !reduced;
         });
+        ScrollTrigger.refresh();
     }
 
-    initVideoScroll() {
-        const container = document.getElementById('cashew-canvas-container');
-        if (!container) return;
-        container.innerHTML = '';
-        container.style.backgroundColor = '#000';
-        container.style.zIndex = '1';
-
-        const video = document.createElement('video');
-        video.muted = true;
-        video.setAttribute('muted', '');
-        video.setAttribute('playsinline', '');
-        video.setAttribute('webkit-playsinline', '');
-        video.setAttribute('preload', 'auto');
-        video.setAttribute('loop', 'true');
-        video.setAttribute('autoplay', 'true'); // Required for some browsers to load first frame
-
-        // Extremely high z-index to match CSS
-        video.style.cssText = 'width: 100vw; height: 100dvh; object-fit: cover; position: absolute; top:0; left:0; pointer-events: none; opacity: 0; transition: opacity 0.5s ease; z-index: 1001; display: block;';
-
-        // Robust path resolution
-        video.src = '/videos/plant-grow-optimized.mp4';
-
-        // Add a fallback image to the container
-        container.style.backgroundImage = 'url(/images/about-agriculture.png)';
-        container.style.backgroundSize = 'cover';
-        container.style.backgroundPosition = 'center';
-
-        const loader = document.createElement('div');
-        loader.innerText = 'Initializing...';
-        loader.style.cssText = 'position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); color: white; font-family: sans-serif; z-index: 10; transition: opacity 0.5s ease;';
-        container.appendChild(loader);
-        container.appendChild(video);
-
-        let isInitialized = false;
-        const initializeScroll = () => {
-            if (isInitialized) return;
-            isInitialized = true;
-            console.log('Video initialization triggered');
-
-            // Set a tiny delay to ensure video element is ready to be paused and scrubbed
-            setTimeout(() => {
-                video.currentTime = 0.1;
-                video.pause();
-
-                loader.style.opacity = '0';
-                video.style.opacity = '1';
-                setTimeout(() => loader.style.display = 'none', 500);
-
-                ScrollTrigger.create({
-                    trigger: '#growth-video-section',
-                    start: 'top top',
-                    end: isMobile ? '+=4500' : '+=2000', // Massive duration for ultra-smooth mobile scrub
-                    pin: true,
-                    pinSpacing: true,
-                    pinType: 'transform', // CRITICAL: Better for Lenis compatibility
-                    anticipatePin: 1,
-                    scrub: isMobile ? 0.8 : 0.5, // Tighter scrub for better responsiveness
-                    onUpdate: (self) => {
-                        if (video.duration && !isNaN(video.duration)) {
-                            // Direct currentTime update for maximum performance
-                            video.currentTime = Math.max(0, Math.min(video.duration - 0.05, video.duration * self.progress));
-                        }
-                    },
-                    onRefresh: () => {
-                        // Reset any conflicting transforms
-                        if (video.parentElement) {
-                            gsap.set(video, { clearProps: 'transform' });
-                        }
-                    }
-                });
-
-                ScrollTrigger.refresh();
-                window.dispatchEvent(new Event('resize'));
-            }, 300);
-        };
-
-        // Aggressive event listening
-        ['loadedmetadata', 'loadeddata', 'canplay', 'canplaythrough'].forEach(event => {
-            video.addEventListener(event, initializeScroll);
-        });
+    setupAmbientParticles() {
+        this.particles.addEmitter('ambient', { rate: 4 });
+    }
 
-        // Manual check for readyState
-        const checkReady = setInterval(() => {
-            if (video.readyState >= 2) {
-                initializeScroll();
-                clearInterval(checkReady);
-            }
-        }, 500);
-
-        // Failsafe: If no initialization after 6 seconds, force it and log
-        video.load();
-        setTimeout(() => {
-            clearInterval(checkReady);
-            if (!isInitialized) {
-                console.error('CRITICAL: Video initialization failed on this device. Forcing visibility.');
-                // Try a different path just in case
-                if (video.readyState === 0) video.src = 'videos/plant-grow-optimized.mp4';
-                initializeScroll();
-
-                // Overlay a message if still failing (invisible but helps debugging)
-                const debugInfo = document.createElement('div');
-                debugInfo.style.cssText = 'position:absolute; bottom:10px; left:10px; color:rgba(255,255,255,0.2); font-size:10px; z-index:100; pointer-events:none;';
-                debugInfo.innerText = `V-Ready: ${video.readyState} | Mob: ${isMobile}`;
-                container.appendChild(debugInfo);
-            }
-        }, 6000);
+    setupHarvest() {
+        this.scene.addFog();
+        this.harvest = new Harvest(this.scene, this.assets, this.physics, this.particles);
+        this.harvest.bindPointer(document.getElementById('home'));
     }
 
-    setupFAQ() {
-        document.querySelectorAll('.faq-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const answer = item.querySelector('.faq-answer');
-                const isOpen = item.classList.contains('active');
-                document.querySelectorAll('.faq-item').forEach(i => {
-                    i.classList.remove('active');
-                    const ans = i.querySelector('.faq-answer');
-                    if (ans) ans.style.maxHeight = null;
-                });
-                if (!isOpen) {
-                    item.classList.add('active');
-                    if (answer) answer.style.maxHeight = answer.scrollHeight + "px";
-                }
+    // Offline support; a waiting deploy is offered through the update toast.
+    setupServiceWorker() {
+        const toast = document.querySelector('.update-toast');
+        let applyUpdate = null;
+        if (toast) {
+            const reload = toast.querySelector('.update-reload');
+            reload.addEventListener('click', () => {
+                reload.disabled = true;
+                if (applyUpdate) applyUpdate();
             });
-        });
-    }
+            toast.querySelector('.update-dismiss').addEventListener('click', () => { toast.hidden = true; });
+        }
 
-    setupContactForm() {
-        const form = document.getElementById('contact-form');
-        if (!form) return;
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const submitBtn = form.querySelector('button[type="submit"]');
-            const btnText = submitBtn?.querySelector('.btn-text');
-            const spinner = submitBtn?.querySelector('.spinner');
-            if (submitBtn) submitBtn.disabled = true;
-            const formData = new FormData(form);
-            const data = Object.fromEntries(formData.entries());
-            try {
-                const response = await fetch('https://formspree.io/f/xvzzzgjd', {
-                    method: 'POST',
-                    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
-                    body: JSON.stringify(data)
-                });
-                if (response.ok) {
-                    form.reset();
-                    if (btnText) btnText.innerText = 'Message Sent!';
-                }
-            } catch (error) {
-                if (btnText) btnText.innerText = 'Error. Try Again.';
-            } finally {
-                setTimeout(() => {
-                    if (submitBtn) {
-                        submitBtn.disabled = false;
-                        if (btnText) btnText.innerText = 'Send Message';
-                    }
-                }, 3000);
+        registerServiceWorker({
+            onUpdate: (apply) => {
+                applyUpdate = apply;
+                if (toast) toast.hidden = false;
             }
         });
     }
 
-    animate() {
-        // Lenis RAF is handled by gsap.ticker for better sync
-        if (this.productViewer) this.productViewer.render();
-        this.scene.render();
-        requestAnimationFrame(() => this.animate());
-    }
-
     initLenis() {
+        if (motion.reduced || this.lenis) return;
         if (typeof Lenis !== 'undefined') {
             this.lenis = new Lenis({
                 duration: 1.2,
@@ -666,15 +394,23 @@ class App {
             // Connect Lenis to ScrollTrigger
             this.lenis.on('scroll', ScrollTrigger.update);
 
-            gsap.ticker.add((time) => {
+            this.lenisTicker = (time) => {
                 this.lenis.raf(time * 1000);
-            });
+            };
+            gsap.ticker.add(this.lenisTicker);
 
             gsap.ticker.lagSmoothing(0);
         } else {
             console.warn('Lenis not found. smooth scrolling disabled.');
         }
     }
+
+    destroyLenis() {
+        if (!this.lenis) return;
+        gsap.ticker.remove(this.lenisTicker);
+        this.lenis.destroy();
+        this.lenis = null;
+    }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,51 @@
+// Vite dev-server collector for the analytics beacon sink (src/Analytics.js),
+// so events can be watched without a real backend. POST /api/analytics takes
+// `{ events: [...] }` (sent as text/plain, parsed as JSON) and logs one line
+// per event; GET /api/analytics lists what was received since the server
+// started.
+const ROUTE = '/api/analytics';
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body) {
+    res.statusCode = status;
+    if (body === undefined) return res.end();
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+export function analyticsCollector() {
+    const received = [];
+
+    return {
+        name: 'analytics-collector',
+        apply: 'serve',
+        configureServer(server) {
+            server.middlewares.use(ROUTE, async (req, res) => {
+                if (req.method === 'GET') return send(res, 200, { received });
+                if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+                let events;
+                try {
+                    ({ events } = JSON.parse(await readBody(req)));
+                } catch (e) {
+                    return send(res, 400, { error: 'Invalid JSON' });
+                }
+                if (!Array.isArray(events)) return send(res, 400, { error: 'Expected { events: [...] }' });
+
+                events.forEach(event => {
+                    received.push(event);
+                    server.config.logger.info(`[analytics] ${event.name} ${JSON.stringify(event.props)} ${event.path}`);
+                });
+                send(res, 204);
+            });
+        }
+    };
+}
@@ -0,0 +1,60 @@
+// Writes the growth clip out as a WebP image sequence plus manifest.json for
+// browsers whose WebCodecs can't decode the MP4 (see src/FrameScrubber.js),
+// and a small H.264 copy that the service worker precaches for offline use.
+// Needs ffmpeg with libwebp and libx264, on PATH or set in FFMPEG. Run
+// `npm run frames` whenever the clip changes and commit everything it writes
+// (public/videos/plant-grow/ and plant-grow-lite.mp4): the build does not run
+// it, and the site and the service worker expect those files.
+import { spawnSync } from 'node:child_process';
+import { mkdirSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+const SOURCE = 'public/videos/plant-grow-optimized.mp4';
+const OUT_DIR = 'public/videos/plant-grow';
+const LITE_VIDEO = 'public/videos/plant-grow-lite.mp4';
+const LITE_WIDTH = 640;
+const WIDTH = 960;
+const QUALITY = 70;
+const PAD = 3;
+const FFMPEG = process.env.FFMPEG || 'ffmpeg';
+
+const probe = spawnSync(FFMPEG, ['-version']);
+if (probe.error) {
+    console.error(`${FFMPEG} was not found; install ffmpeg or point FFMPEG at it to extract frames.`);
+    process.exit(1);
+}
+
+rmSync(OUT_DIR, { recursive: true, force: true });
+mkdirSync(OUT_DIR, { recursive: true });
+
+const result = spawnSync(FFMPEG, [
+    '-loglevel', 'error',
+    '-i', SOURCE,
+    '-vf', `scale=${WIDTH}:-2`,
+    '-c:v', 'libwebp',
+    '-quality', String(QUALITY),
+    '-start_number', '0',
+    join(OUT_DIR, `frame-%0${PAD}d.webp`)
+], { stdio: 'inherit' });
+if (result.status !== 0) process.exit(result.status ?? 1);
+
+const count = readdirSync(OUT_DIR).filter(name => name.endsWith('.webp')).length;
+const manifest = { count, width: WIDTH, pattern: 'frame-{index}.webp', pad: PAD };
+writeFileSync(join(OUT_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+console.log(`Wrote ${count} frames to ${OUT_DIR}`);
+
+const lite = spawnSync(FFMPEG, [
+    '-loglevel', 'error',
+    '-y',
+    '-i', SOURCE,
+    '-vf', `scale=${LITE_WIDTH}:-2`,
+    '-c:v', 'libx264',
+    '-profile:v', 'main',
+    '-crf', '30',
+    '-preset', 'slow',
+    '-an',
+    '-movflags', '+faststart',
+    LITE_VIDEO
+], { stdio: 'inherit' });
+if (lite.status !== 0) process.exit(lite.status ?? 1);
+console.log(`Wrote ${LITE_VIDEO}`);
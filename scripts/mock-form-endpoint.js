@@ -0,0 +1,73 @@
+// Vite dev-server stand-in for the form backend, so the quote flow can be
+// exercised without the network. Answers POST /api/rfq like Formspree does:
+// 200 on success, 422 with `{ errors: [{ field, message }] }` for missing
+// fields. GET /api/rfq lists what was received since the server started.
+//
+// `mode` (MOCK_FORM_MODE, from the environment or .env via vite.config.js)
+// switches the behaviour:
+//   ok (default)  accept valid submissions
+//   flaky         fail every other request with 503 (exercises retry/backoff)
+//   down          always 503
+//   slow          accept after a 3 s delay
+const ROUTE = '/api/rfq';
+const REQUIRED = ['commodity', 'grade', 'quantity', 'company', 'name', 'email'];
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (e) {
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+export function mockFormEndpoint({ mode = 'ok' } = {}) {
+    const received = [];
+    let requests = 0;
+
+    return {
+        name: 'mock-form-endpoint',
+        apply: 'serve',
+        configureServer(server) {
+            server.middlewares.use(ROUTE, async (req, res) => {
+                if (req.method === 'GET') return send(res, 200, { received });
+                if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+                requests++;
+                if (mode === 'down' || (mode === 'flaky' && requests % 2 === 1)) {
+                    return send(res, 503, { error: 'Mock endpoint unavailable' });
+                }
+                if (mode === 'slow') await new Promise(resolve => setTimeout(resolve, 3000));
+
+                let body;
+                try {
+                    body = await readJson(req);
+                } catch (e) {
+                    return send(res, 400, { error: 'Invalid JSON' });
+                }
+                // Accept both the webhook envelope and Formspree's flat payload.
+                const data = body.data || body;
+                const errors = REQUIRED.filter(field => !data[field]).map(field => ({ field, message: `${field} is required` }));
+                if (data.email && !EMAIL.test(data.email)) errors.push({ field: 'email', message: 'email is invalid' });
+                if (errors.length) return send(res, 422, { errors });
+
+                received.push({ receivedAt: new Date().toISOString(), ...body });
+                server.config.logger.info(`[mock-form] ${body.subject || body._subject || 'submission'} from ${data.email}`);
+                send(res, 200, { ok: true, id: received.length });
+            });
+        }
+    };
+}
@@ -0,0 +1,124 @@
+// Vite dev-server stand-in for the shipment tracking API (contract in
+// src/Tracking.js). GET /api/shipments/<reference> looks a shipment up by
+// booking or container number; document links point back here and return a
+// plain-text placeholder. Dates are relative to when the server started, so
+// the samples always show a shipment at sea, one awaiting inspection and one
+// delivered:
+//   GGB-2026-0142 / MSCU4821730, MSCU4821745  cashew to Vietnam, at sea
+//   GGB-2026-0157 / CMAU3395012               sesame to Turkey, at inspection
+//   GGB-2026-0119 / MAEU7712045               cocoa to China, arrived
+const ROUTE = '/api/shipments';
+const REFERENCE = /^(?:GGB-\d{4}-\d{4}|[A-Z]{3}U\d{7})$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+function send(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+// A calendar day `offset` days from `now`.
+function day(now, offset) {
+    return new Date(now + offset * DAY).toISOString().slice(0, 10);
+}
+
+function documents(booking, types) {
+    return types.map(([type, title]) => ({ type, title, url: `${ROUTE}/${booking}/documents/${type}` }));
+}
+
+// Milestones from day offsets: `[done|current|pending, offset, location, documents, extra]`.
+function milestones(now, booking, steps) {
+    return Object.entries(steps).map(([id, [status, offset, location, types = [], extra = {}]]) => ({
+        id,
+        status,
+        ...(status === 'pending' ? { expected: day(now, offset) } : { date: day(now, offset) }),
+        location,
+        documents: documents(booking, types),
+        ...extra
+    }));
+}
+
+function sampleShipments(now) {
+    return [
+        {
+            reference: 'GGB-2026-0142',
+            containers: ['MSCU4821730', 'MSCU4821745'],
+            commodity: 'cashew',
+            quantity: { value: 36, unit: 't' },
+            destination: { market: 'vietnam', port: 'Ho Chi Minh City' },
+            vessel: 'MSC Adelaide',
+            updatedAt: new Date(now - 6 * 60 * 60 * 1000).toISOString(),
+            milestones: milestones(now, 'GGB-2026-0142', {
+                sourced: ['done', -41, 'Boké', [['contract', 'Purchase contract']]],
+                processed: ['done', -30, 'Conakry warehouse', [['qualityReport', 'Outturn and moisture report']]],
+                inspected: ['done', -22, 'Conakry', [['inspectionCertificate', 'SGS certificate of quality and weight'], ['phytosanitary', 'Phytosanitary certificate']], { inspector: 'SGS' }],
+                loaded: ['done', -17, 'Port of Conakry', [['billOfLading', 'Bill of lading'], ['certificateOfOrigin', 'Certificate of origin'], ['packingList', 'Packing list'], ['invoice', 'Commercial invoice']]],
+                atSea: ['current', -16, 'Gulf of Guinea → Strait of Malacca'],
+                arrived: ['pending', 19, 'Ho Chi Minh City (Cat Lai)']
+            })
+        },
+        {
+            reference: 'GGB-2026-0157',
+            containers: ['CMAU3395012'],
+            commodity: 'sesame',
+            quantity: { value: 19, unit: 't' },
+            destination: { market: 'turkey', port: 'Mersin' },
+            vessel: '',
+            updatedAt: new Date(now - 2 * 60 * 60 * 1000).toISOString(),
+            milestones: milestones(now, 'GGB-2026-0157', {
+                sourced: ['done', -18, 'Kankan', [['contract', 'Purchase contract']]],
+                processed: ['done', -6, 'Conakry warehouse', [['qualityReport', 'Cleaning and purity report']]],
+                inspected: ['current', -1, 'Conakry', [], { inspector: 'Bureau Veritas' }],
+                loaded: ['pending', 5, 'Port of Conakry'],
+                atSea: ['pending', 6, 'Atlantic → Mediterranean'],
+                arrived: ['pending', 24, 'Mersin']
+            })
+        },
+        {
+            reference: 'GGB-2026-0119',
+            containers: ['MAEU7712045'],
+            commodity: 'cocoa',
+            quantity: { value: 25, unit: 't' },
+            destination: { market: 'china', port: 'Shanghai' },
+            vessel: 'Maersk Kensington',
+            updatedAt: new Date(now - 3 * DAY).toISOString(),
+            milestones: milestones(now, 'GGB-2026-0119', {
+                sourced: ['done', -86, 'Macenta', [['contract', 'Purchase contract']]],
+                processed: ['done', -74, 'Conakry warehouse', [['qualityReport', 'Cut test report']]],
+                inspected: ['done', -68, 'Conakry', [['inspectionCertificate', 'Bureau Veritas certificate of quality and weight'], ['phytosanitary', 'Phytosanitary certificate']], { inspector: 'Bureau Veritas' }],
+                loaded: ['done', -63, 'Port of Conakry', [['billOfLading', 'Bill of lading'], ['certificateOfOrigin', 'Certificate of origin'], ['packingList', 'Packing list'], ['invoice', 'Commercial invoice']]],
+                atSea: ['done', -62, 'Cape of Good Hope route'],
+                arrived: ['done', -4, 'Shanghai (Yangshan)', [['arrivalNotice', 'Arrival notice']]]
+            })
+        }
+    ];
+}
+
+export function mockTrackingEndpoint() {
+    return {
+        name: 'mock-tracking-endpoint',
+        apply: 'serve',
+        configureServer(server) {
+            const shipments = sampleShipments(Date.now());
+            const find = (reference) => shipments.find(shipment => shipment.reference === reference || shipment.containers.includes(reference));
+
+            server.middlewares.use(ROUTE, (req, res) => {
+                if (req.method !== 'GET') return send(res, 405, { error: 'method_not_allowed' });
+                const [reference, section, type] = decodeURIComponent(new URL(req.url, 'http://localhost').pathname)
+                    .split('/').filter(Boolean);
+                if (!reference || !REFERENCE.test(reference)) return send(res, 400, { error: 'invalid_reference' });
+                const shipment = find(reference);
+                if (!shipment) return send(res, 404, { error: 'not_found' });
+
+                if (section === 'documents') {
+                    const doc = shipment.milestones.flatMap(milestone => milestone.documents).find(item => item.type === type);
+                    if (!doc) return send(res, 404, { error: 'not_found' });
+                    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+                    return res.end(`${doc.title}\n${shipment.reference}\n\nPlaceholder from the dev tracking mock.\n`);
+                }
+                server.config.logger.info(`[mock-tracking] lookup ${reference}`);
+                send(res, 200, shipment);
+            });
+        }
+    };
+}
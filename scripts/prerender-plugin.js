@@ -0,0 +1,307 @@
+// Prerenders every route in every locale to static HTML at build time, so
+// search engines and link previews (WhatsApp, LinkedIn...) get the page's own
+// copy, title, description, share image and schema.org data without running
+// any JavaScript. The app boots on these pages exactly as on the SPA shell.
+//
+// Each page is the built index.html with:
+// - the product grid, the footer's profile links and, on /products/<id>,
+//   the commodity page filled in from src/Markup.js (the same templates the
+//   app renders at runtime);
+//   /lot/<id> from the lot's file in public/data/lots, and /track shows its
+//   (empty) lookup form instead of the home view;
+// - data-i18n text and attributes translated, the English kept in
+//   data-i18n-default* for keys a locale lacks (see I18n.apply);
+// - route links localised, <title>, description, canonical, hreflang
+//   alternates, Open Graph/Twitter tags and Organization/Product JSON-LD.
+// It also writes og/*.png (scripts/share-images.js), sitemap.xml and robots.txt.
+//
+// Pages land at /<locale>/<path>/index.html; vercel.json's catch-all rewrite
+// only applies to paths without a file, so the SPA fallback is unchanged.
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { COMPANY, SOCIAL_LINKS } from '../src/data/company.js';
+import { COMMODITIES, formatSpecValue } from '../src/data/commodities.js';
+import { ROUTES } from '../src/data/routes.js';
+import { DEFAULT_LOCALE, LOCALES, localizePath, translate } from '../src/I18n.js';
+import { commodityPageHtml, escapeHtml, lotPageHtml, pageMeta, productCardHtml, seasonCalendarHtml, socialLinksHtml } from '../src/Markup.js';
+import { parseLot } from '../src/Traceability.js';
+import { SHARE_IMAGE_SIZE, renderShareImage } from './share-images.js';
+
+const OG_LOCALES = { en: 'en_US', fr: 'fr_FR', tr: 'tr_TR', zh: 'zh_CN' };
+const SHARE_FOOTER = `${COMPANY.address.locality}, Guinea · Exporting since ${COMPANY.foundingDate}`;
+
+// `/products/:id` stands for one page per commodity, `/lot/:id` for one per lot.
+function listPages(lots) {
+    return ROUTES.flatMap(route => {
+        if (route.path === '/products/:id') {
+            return COMMODITIES.map(commodity => ({ path: `/products/${commodity.id}`, view: route.view, commodity }));
+        }
+        if (route.path === '/lot/:id') return lots.map(lot => ({ path: `/lot/${lot.id}`, view: route.view, lot }));
+        return [{ path: route.path, view: route.view, section: route.section }];
+    });
+}
+
+// The lot files the app loads at runtime, as listed in their index.
+function readLots(publicDir) {
+    const dir = join(publicDir, 'data', 'lots');
+    const { lots } = JSON.parse(readFileSync(join(dir, 'index.json'), 'utf8'));
+    return lots.map(id => parseLot(JSON.parse(readFileSync(join(dir, `${id}.json`), 'utf8'))));
+}
+
+function shareImagePath(page) {
+    return `/og/${page.path === '/' ? 'home' : page.path.slice(1).replace(/\//g, '-')}.png`;
+}
+
+function shareImageContent(page) {
+    const t = (key, vars, fallback) => translate(DEFAULT_LOCALE, key, vars, fallback);
+    if (page.commodity) {
+        return { title: page.commodity.fullName, tagline: page.commodity.description, image: page.commodity.image };
+    }
+    if (page.section) {
+        return { title: t(`${page.section}.title`), tagline: t(`${page.section}.tagline`), image: '/images/about-agriculture.png' };
+    }
+    if (page.lot) {
+        const { commodity, cooperative } = page.lot;
+        return { title: `${t('lot.lot')} ${page.lot.id}`, tagline: `${commodity.fullName} · ${cooperative.name}`, image: commodity.image };
+    }
+    if (page.view === 'track') {
+        return { title: t('track.title'), tagline: t('track.tagline'), image: '/images/about-agriculture.png' };
+    }
+    return { title: t('hero.subtitle'), tagline: t('products.tagline'), image: '/images/about-agriculture.png' };
+}
+
+// The named entities the markup uses; others are left as they are.
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', copy: '©', middot: '·', larr: '←', rarr: '→', times: '×', check: '✓' };
+
+// The text an attribute value or a run of markup text stands for, as the
+// browser (and so I18n.apply) sees it.
+function decodeEntities(html) {
+    return html.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+        return ENTITIES[name] ?? entity;
+    });
+}
+
+// Replaces the text of leaf data-i18n elements and the attributes listed in
+// data-i18n-attr, as I18n.apply() would in the browser.
+function translateMarkup(html, t) {
+    html = html.replace(/<([a-z][a-z0-9]*)\b([^>]*?)\sdata-i18n="([^"]+)"([^>]*)>([\s\S]*?)<\/\1>/g, (match, tag, before, key, after, inner) => {
+        const fallback = decodeEntities(inner.replace(/<[^>]*>/g, '').trim());
+        const text = t(key, null, fallback);
+        return `<${tag}${before} data-i18n="${key}" data-i18n-default="${escapeHtml(fallback)}"${after}>${escapeHtml(text)}</${tag}>`;
+    });
+
+    return html.replace(/<[a-z][a-z0-9]*\b[^>]*\sdata-i18n-attr="([^"]*)"[^>]*>/g, (tag, spec) => {
+        spec.split(';').forEach(pair => {
+            const [attr, key] = pair.split(':').map(part => part.trim());
+            if (!attr || !key) return;
+            const current = tag.match(new RegExp(`\\s${attr}="([^"]*)"`));
+            const fallback = current ? decodeEntities(current[1]) : '';
+            const value = escapeHtml(t(key, null, fallback));
+            tag = current ? tag.replace(current[0], ` ${attr}="${value}"`) : tag.replace(/\s*\/?>$/, ` ${attr}="${value}"$&`);
+            tag = tag.replace(/\s*\/?>$/, ` data-i18n-default-${attr}="${escapeHtml(fallback)}"$&`);
+        });
+        return tag;
+    });
+}
+
+// Route links point at the page's locale, and the current page is marked as
+// the Router would mark it.
+function localizeLinks(html, locale, path) {
+    return html.replace(/<a\b[^>]*\sdata-route="([^"]+)"[^>]*>/g, (tag, route) => {
+        tag = tag.replace(/\shref="[^"]*"/, ` href="${localizePath(locale, route)}"`);
+        return route === path ? tag.replace(/>$/, ' aria-current="page">') : tag;
+    });
+}
+
+function organization(siteUrl) {
+    // Profiles only: the WhatsApp link is a chat, not a page about the company.
+    const profiles = SOCIAL_LINKS.filter(link => link.url !== '#' && link.id !== 'whatsapp').map(link => link.url);
+    return {
+        '@type': 'Organization',
+        '@id': `${siteUrl}/#organization`,
+        name: COMPANY.legalName,
+        alternateName: COMPANY.name,
+        url: `${siteUrl}/`,
+        logo: siteUrl + COMPANY.logo,
+        foundingDate: COMPANY.foundingDate,
+        email: COMPANY.email,
+        telephone: COMPANY.phones[0],
+        address: { '@type': 'PostalAddress', addressLocality: COMPANY.address.locality, addressCountry: COMPANY.address.country },
+        contactPoint: {
+            '@type': 'ContactPoint',
+            contactType: 'sales',
+            email: COMPANY.email,
+            telephone: COMPANY.phones,
+            availableLanguage: Object.keys(LOCALES)
+        },
+        ...(profiles.length ? { sameAs: profiles } : {})
+    };
+}
+
+// No offers: prices are quoted per request, not published.
+function product(commodity, { siteUrl, locale, t }) {
+    const url = siteUrl + localizePath(locale, `/products/${commodity.id}`);
+    const property = (name, value, extra = {}) => ({ '@type': 'PropertyValue', name, value, ...extra });
+    return {
+        '@type': 'Product',
+        '@id': `${url}#product`,
+        name: t(`commodities.${commodity.id}.fullName`, null, commodity.fullName),
+        description: t(`commodities.${commodity.id}.overview`, null, commodity.overview),
+        url,
+        image: commodity.gallery.map(photo => siteUrl + photo.src),
+        category: t(`commodities.${commodity.id}.name`, null, commodity.name),
+        brand: { '@id': `${siteUrl}/#organization` },
+        countryOfOrigin: { '@type': 'Country', name: 'Guinea' },
+        additionalProperty: [
+            ...commodity.specs.map(spec => property(t(`specs.${spec.key}`, null, spec.label), formatSpecValue(spec))),
+            property(t('commodity.grades'), commodity.grades.join(', ')),
+            property(t('specs.packaging'), commodity.packaging.join(', ')),
+            property(t('commodity.hsCode'), commodity.hsCode, { propertyID: 'HS' })
+        ]
+    };
+}
+
+function breadcrumbs(commodity, { siteUrl, locale, t }) {
+    const crumbs = [
+        [t('nav.home'), '/'],
+        [t('nav.products'), '/products'],
+        [t(`commodities.${commodity.id}.fullName`, null, commodity.fullName), `/products/${commodity.id}`]
+    ];
+    return {
+        '@type': 'BreadcrumbList',
+        itemListElement: crumbs.map(([name, path], i) => ({
+            '@type': 'ListItem',
+            position: i + 1,
+            name,
+            item: siteUrl + localizePath(locale, path)
+        }))
+    };
+}
+
+function structuredData(page, context) {
+    const graph = [organization(context.siteUrl)];
+    if (page.commodity) {
+        graph.push(product(page.commodity, context), breadcrumbs(page.commodity, context));
+    } else if (page.view === 'home') {
+        // Every home-view page shows the full product grid.
+        graph.push(...COMMODITIES.map(commodity => product(commodity, context)));
+    }
+    // Keeps a stray "</script>" in the copy from ending the tag early.
+    const json = JSON.stringify({ '@context': 'https://schema.org', '@graph': graph }).replace(/</g, '\\u003c');
+    return `<script type="application/ld+json">${json}</script>`;
+}
+
+function headTags(page, { siteUrl, locale, title, description }) {
+    const url = siteUrl + localizePath(locale, page.path);
+    const image = siteUrl + shareImagePath(page);
+    const alternates = Object.keys(LOCALES).map(code => [code, code]);
+    alternates.push(['x-default', DEFAULT_LOCALE]);
+    return [
+        `<link rel="canonical" href="${url}">`,
+        ...alternates.map(([hreflang, code]) => `<link rel="alternate" hreflang="${hreflang}" href="${siteUrl + localizePath(code, page.path)}">`),
+        `<meta property="og:type" content="${page.commodity ? 'product' : 'website'}">`,
+        `<meta property="og:site_name" content="${escapeHtml(COMPANY.name)}">`,
+        `<meta property="og:title" content="${escapeHtml(title)}">`,
+        `<meta property="og:description" content="${escapeHtml(description)}">`,
+        `<meta property="og:url" content="${url}">`,
+        `<meta property="og:image" content="${image}">`,
+        `<meta property="og:image:width" content="${SHARE_IMAGE_SIZE.width}">`,
+        `<meta property="og:image:height" content="${SHARE_IMAGE_SIZE.height}">`,
+        `<meta property="og:locale" content="${OG_LOCALES[locale]}">`,
+        ...Object.keys(LOCALES).filter(code => code !== locale).map(code => `<meta property="og:locale:alternate" content="${OG_LOCALES[code]}">`),
+        '<meta name="twitter:card" content="summary_large_image">',
+        `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+        `<meta name="twitter:description" content="${escapeHtml(description)}">`,
+        `<meta name="twitter:image" content="${image}">`
+    ].join('\n    ');
+}
+
+function renderPage(template, page, { siteUrl, locale }) {
+    const t = (key, vars, fallback) => translate(locale, key, vars, fallback);
+    const context = { siteUrl, locale, t };
+    const { title, description } = pageMeta(page, t);
+    let html = template
+        .replace('<div class="product-grid">', `$&${COMMODITIES.map(productCardHtml).join('')}`)
+        .replace('<div class="social-links">', `$&${socialLinksHtml()}`);
+
+    if (page.commodity) {
+        const calendar = seasonCalendarHtml(page.commodity, { lang: LOCALES[locale].htmlLang, t });
+        const content = commodityPageHtml(page.commodity).replace(/(<ol class="season-calendar"[^>]*>)/, `$1${calendar}`);
+        html = html
+            .replace('<div class="view" data-view="home" tabindex="-1">', '<div class="view" data-view="home" tabindex="-1" hidden>')
+            .replace(/(<div class="view view-commodity" data-view="commodity" tabindex="-1") hidden><\/div>/, `$1>${content}</div>`);
+    } else if (page.lot) {
+        html = html
+            .replace('<div class="view" data-view="home" tabindex="-1">', '<div class="view" data-view="home" tabindex="-1" hidden>')
+            .replace(/(<div class="view view-lot" data-view="lot" tabindex="-1") hidden><\/div>/, `$1>${lotPageHtml(page.lot, { lang: LOCALES[locale].htmlLang })}</div>`);
+    } else if (page.view === 'track') {
+        html = html
+            .replace('<div class="view" data-view="home" tabindex="-1">', '<div class="view" data-view="home" tabindex="-1" hidden>')
+            .replace('<div class="view view-track" data-view="track" tabindex="-1" hidden>', '<div class="view view-track" data-view="track" tabindex="-1">');
+    }
+
+    if (locale !== DEFAULT_LOCALE) html = translateMarkup(html, t);
+
+    return localizeLinks(html, locale, page.path)
+        .replace(/<html lang="[^"]*">/, `<html lang="${LOCALES[locale].htmlLang}">`)
+        .replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHtml(title)}</title>`)
+        .replace(/<meta name="description" content="[^"]*">/, `<meta name="description" content="${escapeHtml(description)}">`)
+        .replace('</head>', `    ${headTags(page, { siteUrl, locale, title, description })}\n    ${structuredData(page, context)}\n</head>`);
+}
+
+function sitemap(pages, siteUrl) {
+    const codes = Object.keys(LOCALES);
+    const urls = pages.flatMap(page => codes.map(locale => [
+        '  <url>',
+        `    <loc>${siteUrl + localizePath(locale, page.path)}</loc>`,
+        ...codes.map(code => `    <xhtml:link rel="alternate" hreflang="${code}" href="${siteUrl + localizePath(code, page.path)}"/>`),
+        `    <xhtml:link rel="alternate" hreflang="x-default" href="${siteUrl + localizePath(DEFAULT_LOCALE, page.path)}"/>`,
+        '  </url>'
+    ].join('\n')));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+// `siteUrl` is the production origin ('https://example.com'): canonical
+// URLs, share images and the sitemap must be absolute.
+export function prerender({ siteUrl, publicDir = 'public' } = {}) {
+    return {
+        name: 'prerender',
+        apply: 'build',
+        enforce: 'post', // After Vite has emitted index.html
+        async generateBundle(options, bundle) {
+            const shell = bundle['index.html'];
+            if (!shell) return;
+            if (!siteUrl) {
+                siteUrl = 'http://localhost:4173';
+                this.warn(`SITE_URL is not set; canonical and share URLs point at ${siteUrl}`);
+            }
+            siteUrl = siteUrl.replace(/\/$/, '');
+            const template = String(shell.source);
+            const pages = listPages(readLots(publicDir));
+
+            for (const page of pages) {
+                for (const locale of Object.keys(LOCALES)) {
+                    const html = renderPage(template, page, { siteUrl, locale });
+                    if (locale === DEFAULT_LOCALE && page.path === '/') {
+                        shell.source = html;
+                    } else {
+                        const dir = localizePath(locale, page.path).replace(/^\/|\/$/g, '');
+                        this.emitFile({ type: 'asset', fileName: `${dir}/index.html`, source: html });
+                    }
+                }
+                const image = await renderShareImage({ ...shareImageContent(page), footer: SHARE_FOOTER }, { publicDir });
+                this.emitFile({ type: 'asset', fileName: shareImagePath(page).slice(1), source: image });
+            }
+
+            this.emitFile({ type: 'asset', fileName: 'sitemap.xml', source: sitemap(pages, siteUrl) });
+            this.emitFile({ type: 'asset', fileName: 'robots.txt', source: `User-agent: *\nDisallow: /api/\n\nSitemap: ${siteUrl}/sitemap.xml\n` });
+        }
+    };
+}
@@ -0,0 +1,107 @@
+// Responsive copies of the photos in public/images (format and manifest in
+// src/ResponsiveImages.js). `vite build` writes each photo with sharp as
+// AVIF, WebP and JPEG (PNG if it has transparency) at every IMAGE_WIDTHS step
+// below its own width plus the width itself, to assets/images/ with a content
+// hash in the name, and rewrites the <img> tags and inline backgrounds of
+// index.html and the prerendered pages (so this runs after the prerender).
+// The app imports the manifest as `virtual:responsive-images` for what it
+// renders itself, and other plugins read it from `api.images` (the service
+// worker precaches some of the copies). `vite` (dev) skips the encoding: the
+// manifest lists the originals, with their dimensions and placeholders.
+import { createHash } from 'node:crypto';
+import { readdirSync } from 'node:fs';
+import { join, parse } from 'node:path';
+import sharp from 'sharp';
+import { IMAGE_DIR, IMAGE_WIDTHS, responsiveHtml } from '../src/ResponsiveImages.js';
+
+const VIRTUAL_ID = 'virtual:responsive-images';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+const SOURCE_FILE = /\.(jpe?g|png|webp)$/i;
+const PLACEHOLDER_WIDTH = 16;
+const ENCODERS = {
+    avif: { extension: 'avif', encode: image => image.avif({ quality: 50 }) },
+    webp: { extension: 'webp', encode: image => image.webp({ quality: 72 }) },
+    jpeg: { extension: 'jpg', encode: image => image.jpeg({ quality: 78, progressive: true, mozjpeg: true }) },
+    png: { extension: 'png', encode: image => image.png({ compressionLevel: 9, palette: true }) }
+};
+
+function variantWidths(width, widths) {
+    return [...new Set([...widths.filter(step => step < width), Math.min(width, Math.max(...widths))])];
+}
+
+async function placeholder(file) {
+    const buffer = await sharp(file).resize(PLACEHOLDER_WIDTH).blur(0.6).webp({ quality: 40 }).toBuffer();
+    return `data:image/webp;base64,${buffer.toString('base64')}`;
+}
+
+// The manifest entry for one photo and, when `encode` is set, its copies as
+// { fileName, source } assets.
+async function processImage(file, { encode, widths }) {
+    const { name, base } = parse(file);
+    const { width, height, hasAlpha } = await sharp(file).metadata();
+    // A placeholder would show through transparent parts, so those get none.
+    const entry = { width, height, placeholder: hasAlpha ? null : await placeholder(file), sources: {} };
+    const assets = [];
+    const fallback = hasAlpha ? 'png' : 'jpeg';
+
+    if (!encode) {
+        entry.sources[fallback] = [{ url: `${IMAGE_DIR}${base}`, width }];
+        return { entry, assets };
+    }
+    for (const format of ['avif', 'webp', fallback]) {
+        const { extension, encode: encoder } = ENCODERS[format];
+        entry.sources[format] = [];
+        for (const size of variantWidths(width, widths)) {
+            const source = await encoder(sharp(file).resize(size)).toBuffer();
+            const hash = createHash('sha256').update(source).digest('hex').slice(0, 8);
+            const fileName = `assets/images/${name}-${size}-${hash}.${extension}`;
+            assets.push({ fileName, source });
+            entry.sources[format].push({ url: `/${fileName}`, width: size });
+        }
+    }
+    return { entry, assets };
+}
+
+export function responsiveImages({ publicDir = 'public', widths = IMAGE_WIDTHS } = {}) {
+    const dir = join(publicDir, IMAGE_DIR);
+    let encode = false;
+    let images = {};
+
+    return {
+        name: 'responsive-images',
+        enforce: 'post', // After the prerender has emitted its pages
+        api: {
+            get images() {
+                return images;
+            }
+        },
+        configResolved(config) {
+            encode = config.command === 'build';
+        },
+        async buildStart() {
+            images = {};
+            // One at a time: encoding AVIF is heavy.
+            for (const file of readdirSync(dir).filter(name => SOURCE_FILE.test(name)).sort()) {
+                const { entry, assets } = await processImage(join(dir, file), { encode, widths });
+                images[`${IMAGE_DIR}${file}`] = entry;
+                assets.forEach(asset => this.emitFile({ type: 'asset', ...asset }));
+            }
+        },
+        resolveId(id) {
+            return id === VIRTUAL_ID ? RESOLVED_ID : null;
+        },
+        load(id) {
+            return id === RESOLVED_ID ? `export default ${JSON.stringify(images)};` : null;
+        },
+        transformIndexHtml(html) {
+            return responsiveHtml(html, images);
+        },
+        generateBundle(options, bundle) {
+            Object.values(bundle)
+                .filter(file => file.type === 'asset' && file.fileName.endsWith('.html'))
+                .forEach(file => {
+                    file.source = responsiveHtml(String(file.source), images);
+                });
+        }
+    };
+}
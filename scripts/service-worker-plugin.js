@@ -0,0 +1,101 @@
+// Emits /sw.js at build time from src/sw.js, with the precache list filled in
+// (the shell, the hashed assets and the public files the site needs offline;
+// prerendered pages and share images are left to the shell) and a version
+// hashed from their contents, so every deploy that changes one installs a
+// fresh cache. A precached public file that is missing fails the build.
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { COMMODITIES } from '../src/data/commodities.js';
+
+const PUBLIC_FILES = [
+    'offline.html',
+    'manifest.webmanifest',
+    'favicon.svg',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/apple-touch-icon.png',
+    'data/market-prices.json',
+    // Written by `npm run frames`, for the growth section offline.
+    'videos/plant-grow-lite.mp4'
+];
+// The growth section's image sequence, for browsers without WebCodecs: its
+// manifest and every FRAME_STRIDE-th frame, the first pass src/FrameScrubber.js
+// loads; the frames in between are covered by their neighbours.
+const FRAME_SEQUENCE = 'videos/plant-grow/manifest.json';
+const FRAME_STRIDE = 8;
+// The product grid's photos: one copy each (src/sw.js answers for the others
+// with it offline). The fonts in assets/ (the spec sheet PDF's, the Chinese one
+// alone 1.5 MB) and the other photo copies are cached when first used.
+const PRODUCT_IMAGES = COMMODITIES.map(commodity => commodity.image);
+const OFFLINE_IMAGE_WIDTH = 640;
+
+// The fallback-format copy of an image (the last format in the manifest
+// entry) that is the widest not above OFFLINE_IMAGE_WIDTH, or the narrowest.
+function offlineVariant(entry) {
+    const variants = Object.values(entry.sources).at(-1);
+    return variants.filter(({ width }) => width <= OFFLINE_IMAGE_WIDTH).at(-1) ?? variants[0];
+}
+
+// The manifest and the frames to precache, or just the manifest when it is
+// missing (so that it is reported).
+function sequenceFiles(publicDir, sequence) {
+    const path = join(publicDir, sequence);
+    if (!existsSync(path)) return [sequence];
+    const { count, pattern, pad = 0 } = JSON.parse(readFileSync(path, 'utf8'));
+    const dir = sequence.slice(0, sequence.lastIndexOf('/') + 1);
+    const frames = [];
+    for (let i = 0; i < count; i += FRAME_STRIDE) frames.push(dir + pattern.replace('{index}', String(i).padStart(pad, '0')));
+    return [sequence, ...frames];
+}
+
+export function serviceWorker({ src = 'src/sw.js', publicDir = 'public', publicFiles = PUBLIC_FILES, frameSequence = FRAME_SEQUENCE, images = PRODUCT_IMAGES } = {}) {
+    let responsiveImages;
+
+    return {
+        name: 'service-worker',
+        apply: 'build',
+        enforce: 'post', // After Vite has emitted index.html
+        configResolved(config) {
+            responsiveImages = config.plugins.find(plugin => plugin.name === 'responsive-images')?.api;
+        },
+        generateBundle(options, bundle) {
+            const hash = createHash('sha256');
+            const urls = [];
+
+            Object.values(bundle)
+                .filter(file => file.fileName === 'index.html' || (file.fileName.startsWith('assets/') && !file.fileName.startsWith('assets/images/') && !/\.(map|woff2?)$/.test(file.fileName)))
+                .sort((a, b) => a.fileName.localeCompare(b.fileName))
+                .forEach(file => {
+                    urls.push(`/${file.fileName}`);
+                    hash.update(file.fileName);
+                    hash.update(file.type === 'chunk' ? file.code : file.source);
+                });
+
+            images.forEach(image => {
+                const entry = responsiveImages?.images[image];
+                if (!entry) this.error(`No responsive copies of ${image} to precache`);
+                const { url } = offlineVariant(entry);
+                urls.push(url);
+                hash.update(url);
+            });
+
+            const files = [...publicFiles, ...(frameSequence ? sequenceFiles(publicDir, frameSequence) : [])];
+            const missing = files.filter(file => !existsSync(join(publicDir, file)));
+            if (missing.length) {
+                this.error(`Precached files missing from ${publicDir}/: ${missing.join(', ')} (videos come from \`npm run frames\`)`);
+            }
+            files.forEach(file => {
+                urls.push(`/${file}`);
+                hash.update(file);
+                hash.update(readFileSync(join(publicDir, file)));
+            });
+
+            const source = readFileSync(src, 'utf8')
+                .replace('__CACHE_VERSION__', hash.digest('hex').slice(0, 12))
+                .replace('__PRECACHE_MANIFEST__', JSON.stringify(urls, null, 4));
+            this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+        }
+    };
+}
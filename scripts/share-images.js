@@ -0,0 +1,62 @@
+// Open Graph / Twitter share images for the prerendered pages: 1200x630 PNGs
+// with the page headline next to a photo. Satori lays out the card and turns
+// the text into SVG paths (so no fonts are needed at view time), resvg
+// rasterises it. The bundled fonts cover Latin only, so every locale shares
+// the English card.
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { extname, join } from 'node:path';
+import satori from 'satori';
+import { Resvg } from '@resvg/resvg-js';
+
+export const SHARE_IMAGE_SIZE = { width: 1200, height: 630 };
+
+const require = createRequire(import.meta.url);
+const MIME_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png' };
+
+let fonts = null;
+function loadFonts() {
+    fonts ??= [
+        { name: 'Outfit', file: '@fontsource/outfit/files/outfit-latin-400-normal.woff', weight: 400 },
+        { name: 'Outfit', file: '@fontsource/outfit/files/outfit-latin-600-normal.woff', weight: 600 },
+        { name: 'Playfair Display', file: '@fontsource/playfair-display/files/playfair-display-latin-700-normal.woff', weight: 700 }
+    ].map(({ file, ...font }) => ({ ...font, style: 'normal', data: readFileSync(require.resolve(file)) }));
+    return fonts;
+}
+
+function dataUri(file) {
+    return `data:${MIME_TYPES[extname(file).toLowerCase()]};base64,${readFileSync(file).toString('base64')}`;
+}
+
+// Satori takes React-style element objects; this keeps them readable.
+function h(type, style, children, props = {}) {
+    return { type, props: { ...props, style: { display: 'flex', ...style }, children } };
+}
+
+// `image` is a site path ('/images/cocoa.jpg') looked up in `publicDir`.
+export async function renderShareImage({ title, tagline, footer, image }, { publicDir = 'public' } = {}) {
+    const { width, height } = SHARE_IMAGE_SIZE;
+    const photoWidth = 460;
+
+    const card = h('div', { width, height, backgroundColor: '#ffffff', fontFamily: 'Outfit', color: '#1a1a1a' }, [
+        h('div', { flexDirection: 'column', justifyContent: 'space-between', width: width - photoWidth, padding: '64px 56px 56px 72px' }, [
+            h('div', { fontFamily: 'Playfair Display', fontSize: 34, fontWeight: 700, letterSpacing: 3 }, [
+                'GLOCAL',
+                h('span', { color: '#666666', marginLeft: 12 }, 'GUINEE')
+            ]),
+            h('div', { flexDirection: 'column' }, [
+                h('div', { fontFamily: 'Playfair Display', fontSize: 62, fontWeight: 700, lineHeight: 1.1 }, title),
+                h('div', { marginTop: 24, fontSize: 28, color: '#444444', lineHeight: 1.35 }, tagline)
+            ]),
+            h('div', { fontSize: 22, fontWeight: 600, color: '#666666', letterSpacing: 1 }, footer)
+        ]),
+        h('img', { width: photoWidth, height, objectFit: 'cover' }, undefined, {
+            src: dataUri(join(publicDir, image)),
+            width: photoWidth,
+            height
+        })
+    ]);
+
+    const svg = await satori(card, { width, height, fonts: loadFonts() });
+    return new Resvg(svg, { fitTo: { mode: 'width', value: width } }).render().asPng();
+}
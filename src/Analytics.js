@@ -0,0 +1,139 @@
+import { i18n } from './I18n.js';
+
+// Where analytics events go. Set at build time through Vite env variables:
+//   VITE_ANALYTICS_SINKS     comma-separated: console, beacon, dev
+//   VITE_ANALYTICS_ENDPOINT  URL the beacon sink posts batches to
+// The dev server defaults to the console and the local collector
+// (scripts/analytics-collector.js); a production build sends nothing unless
+// an endpoint is set. An endpoint on another origin also needs adding to
+// `connect-src` in vercel.json. The console sink is for the dev server only:
+// production builds drop console calls, so it is ignored there.
+const env = import.meta.env;
+export const ANALYTICS_CONFIG = {
+    sinks: (env.VITE_ANALYTICS_SINKS ?? (env.DEV ? 'console,dev' : env.VITE_ANALYTICS_ENDPOINT ? 'beacon' : ''))
+        .split(',').map(name => name.trim()).filter(Boolean),
+    endpoint: env.VITE_ANALYTICS_ENDPOINT || ''
+};
+
+const CONSENT_KEY = 'glocal-analytics-consent';
+const DEV_ENDPOINT = '/api/analytics';
+const BATCH_SIZE = 20;
+const FLUSH_DELAY = 10000;
+const MAX_PENDING = 50; // Held in memory until the visitor answers the banner
+
+// A sink is anything with `send(events)`.
+export function consoleSink() {
+    return {
+        send(events) {
+            events.forEach(event => console.info('[analytics]', event.name, event.props));
+        }
+    };
+}
+
+// Posts the batch as text/plain so a cross-origin endpoint needs no preflight;
+// sendBeacon survives the page being closed, fetch with keepalive is the fallback.
+export function beaconSink(endpoint) {
+    return {
+        send(events) {
+            const body = JSON.stringify({ events });
+            if (navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'text/plain' }))) return;
+            fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain' } }).catch(() => {});
+        }
+    };
+}
+
+const SINKS = {
+    console: () => (env.DEV ? consoleSink() : null),
+    beacon: ({ endpoint }) => (endpoint ? beaconSink(endpoint) : null),
+    dev: () => beaconSink(DEV_ENDPOINT)
+};
+
+// Named events from the feature modules (`analytics.track('faq_open', {...})`).
+// Nothing leaves the browser until the visitor accepts in the consent banner
+// (src/features/ConsentBanner.js): until then events wait in memory, and a
+// refusal drops them. Events carry no cookies and no stored identifier, only
+// a random session id that lasts as long as the page. Global Privacy Control
+// counts as a refusal until the visitor says otherwise.
+export class Analytics {
+    constructor(config = ANALYTICS_CONFIG) {
+        this.sinks = config.sinks.map(name => SINKS[name]?.(config)).filter(Boolean);
+        this.session = Math.random().toString(36).slice(2, 10);
+        this.consent = this.readConsent();
+        this.pending = [];
+        this.queue = [];
+        this.flushTimer = null;
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
+    }
+
+    readConsent() {
+        try {
+            const stored = localStorage.getItem(CONSENT_KEY);
+            if (stored === 'granted' || stored === 'denied') return stored;
+        } catch (e) {
+            // Storage unavailable: ask again on every visit.
+        }
+        return navigator.globalPrivacyControl ? 'denied' : null;
+    }
+
+    // Whether the banner needs an answer.
+    get undecided() {
+        return this.consent === null;
+    }
+
+    setConsent(consent) {
+        this.consent = consent;
+        try {
+            localStorage.setItem(CONSENT_KEY, consent);
+        } catch (e) {
+            // Storage may be unavailable (private mode); the choice still applies to this visit.
+        }
+        const pending = this.pending.splice(0);
+        if (consent === 'granted') pending.forEach(event => this.enqueue(event));
+        else this.discard();
+        document.dispatchEvent(new CustomEvent('consentchange', { detail: { consent } }));
+    }
+
+    addSink(sink) {
+        this.sinks.push(sink);
+    }
+
+    track(name, props = {}) {
+        if (this.consent === 'denied' || !this.sinks.length) return;
+        const event = { name, props, path: location.pathname, locale: i18n.locale, session: this.session, time: Date.now() };
+        if (this.consent === 'granted') this.enqueue(event);
+        else if (this.pending.length < MAX_PENDING) this.pending.push(event);
+    }
+
+    enqueue(event) {
+        this.queue.push(event);
+        // A hidden page may never come back.
+        if (this.queue.length >= BATCH_SIZE || document.hidden) this.flush();
+        else if (!this.flushTimer) this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY);
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (!this.queue.length) return;
+        const events = this.queue.splice(0);
+        this.sinks.forEach(sink => {
+            try {
+                sink.send(events);
+            } catch (e) {
+                console.warn('Analytics sink failed:', e);
+            }
+        });
+    }
+
+    discard() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.queue = [];
+    }
+}
+
+export const analytics = new Analytics();
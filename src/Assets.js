@@ -1,65 +1,308 @@
 import * as THREE from 'three';
 
+// Each commodity model is built at three levels of detail. `high` is meant
+// for close-ups (ProductViewer), `medium` for the hero scene and `low` for
+// crowds and instanced scatter. All models are ~2 units along their longest
+// axis so callers only need a single scale factor.
+export const DETAIL_LEVELS = ['high', 'medium', 'low'];
+
+const SEGMENTS = {
+    high: { radial: 64, height: 48 },
+    medium: { radial: 24, height: 16 },
+    low: { radial: 10, height: 8 }
+};
+
+// Camera distances at which createLOD switches to the next level.
+const LOD_DISTANCES = { high: 0, medium: 12, low: 30 };
+
+const TEXTURE_SIZE = 256;
+
+// Small seeded PRNG so the generated textures look the same on every load.
+function seededRandom(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createCanvasTexture(paint, seed) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = TEXTURE_SIZE;
+    paint(canvas.getContext('2d'), TEXTURE_SIZE, seededRandom(seed));
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    return texture;
+}
+
+function paintMottled(ctx, size, random, { base, tones, count = 60, radius = 0.12 }) {
+    ctx.fillStyle = base;
+    ctx.fillRect(0, 0, size, size);
+    for (let i = 0; i < count; i++) {
+        const x = random() * size;
+        const y = random() * size;
+        const r = (0.3 + random()) * radius * size;
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, r);
+        gradient.addColorStop(0, tones[i % tones.length]);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.globalAlpha = 0.25 + random() * 0.35;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(x - r, y - r, r * 2, r * 2);
+    }
+    ctx.globalAlpha = 1;
+}
+
+// Lines running along the V axis, i.e. from one end of the seed or pod to the other.
+function paintStreaks(ctx, size, random, { color, count, width = 1.5 }) {
+    ctx.strokeStyle = color;
+    for (let i = 0; i < count; i++) {
+        const x = random() * size;
+        ctx.globalAlpha = 0.15 + random() * 0.3;
+        ctx.lineWidth = width * (0.5 + random());
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.bezierCurveTo(x + (random() - 0.5) * 20, size / 3, x + (random() - 0.5) * 20, size * 2 / 3, x, size);
+        ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+}
+
+function paintSpeckles(ctx, size, random, { color, count }) {
+    ctx.fillStyle = color;
+    for (let i = 0; i < count; i++) {
+        ctx.globalAlpha = 0.2 + random() * 0.5;
+        ctx.fillRect(random() * size, random() * size, 1 + random() * 2, 1 + random() * 2);
+    }
+    ctx.globalAlpha = 1;
+}
+
+function deform(geometry, fn) {
+    const position = geometry.attributes.position;
+    const v = new THREE.Vector3();
+    for (let i = 0; i < position.count; i++) {
+        v.fromBufferAttribute(position, i);
+        fn(v);
+        position.setXYZ(i, v.x, v.y, v.z);
+    }
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+// Kidney-shaped raw cashew nut: long axis on X, the inner (concave) curve on +Y.
+function buildCashewGeometry({ radial, height }) {
+    return deform(new THREE.SphereGeometry(1, radial, height), v => {
+        const x = v.x;
+        const swell = 1 + 0.15 * -x;
+        let y = v.y * 0.6 * swell;
+        const z = v.z * 0.48 * swell;
+        if (y > 0) y *= 1 - 0.5 * Math.exp(-x * x * 4);
+        y += 0.32 * x * x;
+        v.set(x, y - 0.15, z);
+    });
+}
+
+// Stub of the cashew apple left on the nut's stalk end.
+function buildCashewAppleGeometry({ radial, height }) {
+    const points = [];
+    const steps = Math.max(4, height / 2);
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        points.push(new THREE.Vector2(0.12 + 0.3 * Math.sin(t * Math.PI * 0.85), t * 0.55));
+    }
+    points.push(new THREE.Vector2(0, 0.55));
+    return new THREE.LatheGeometry(points, radial);
+}
+
+// Flattened teardrop: round at -Y, tapering to a blunt point at +Y.
+function buildSesameGeometry({ radial, height }) {
+    return deform(new THREE.SphereGeometry(1, radial, height), v => {
+        const t = (v.y + 1) / 2;
+        const taper = 1 - 0.65 * Math.pow(t, 1.6);
+        v.set(v.x * 0.6 * taper, v.y, v.z * 0.22 * (0.3 + 0.7 * taper));
+    });
+}
+
+// Fermented cocoa bean: almond-shaped with a shallow crease along one face.
+function buildCocoaBeanGeometry({ radial, height }) {
+    return deform(new THREE.SphereGeometry(1, radial, height), v => {
+        let z = v.z * 0.38;
+        if (z > 0) z *= 1 - 0.18 * Math.exp(-v.x * v.x * 30);
+        v.set(v.x * 0.62 + 0.06 * (1 - v.y * v.y), v.y, z);
+    });
+}
+
+function cocoaPodRadius(t) {
+    return 0.55 * Math.pow(Math.sin(Math.PI * t), 0.75) * (1 - 0.3 * t);
+}
+
+// Ridged pod with ten longitudinal ribs. `open` builds the half shell used
+// to show the beans inside.
+function buildCocoaPodGeometry({ radial, height }, open = false) {
+    const points = [];
+    const steps = height * 2;
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        points.push(new THREE.Vector2(Math.max(cocoaPodRadius(t), 0.001), t * 2 - 1));
+    }
+    const geometry = new THREE.LatheGeometry(points, radial, 0, open ? Math.PI : Math.PI * 2);
+    return deform(geometry, v => {
+        const angle = Math.atan2(v.x, v.z);
+        const ridge = 1 + 0.08 * Math.cos(angle * 10) + 0.015 * Math.sin(v.y * 25 + angle * 7);
+        v.set(v.x * ridge, v.y, v.z * ridge);
+    });
+}
+
+const GEOMETRY_BUILDERS = {
+    cashew: buildCashewGeometry,
+    cashewApple: buildCashewAppleGeometry,
+    sesame: buildSesameGeometry,
+    cocoaBean: buildCocoaBeanGeometry,
+    cocoaPod: segments => buildCocoaPodGeometry(segments),
+    cocoaPodHalf: segments => buildCocoaPodGeometry(segments, true)
+};
+
 export class Assets {
     constructor(scene) {
         this.scene = scene;
-        this.cashewGeometry = this.createCashewGeometry();
-        this.cashewMaterial = new THREE.MeshStandardMaterial({
-            color: 0x8a4fff,
-            roughness: 0.4,
-            metalness: 0.6,
-        });
+        this.geometries = new Map();
+        this.materials = this.createMaterials();
+    }
 
-        this.sesameGeometry = new THREE.SphereGeometry(0.5, 8, 8);
-        this.sesameMaterial = new THREE.MeshStandardMaterial({
-            color: 0xffd700,
-            roughness: 0.3
-        });
+    createMaterials() {
+        const cashewMap = createCanvasTexture((ctx, size, random) => {
+            paintMottled(ctx, size, random, { base: '#8c7b57', tones: ['#6b5a3a', '#a8996f', '#56472d'], count: 90 });
+            paintSpeckles(ctx, size, random, { color: '#3b2f1c', count: 400 });
+        }, 1);
 
-        this.cocoaGeometry = new THREE.CapsuleGeometry(1, 2, 4, 8);
-        this.cocoaMaterial = new THREE.MeshStandardMaterial({
-            color: 0x3d1f14,
-            roughness: 0.8
-        });
+        const appleMap = createCanvasTexture((ctx, size, random) => {
+            const gradient = ctx.createLinearGradient(0, 0, 0, size);
+            gradient.addColorStop(0, '#f2b134');
+            gradient.addColorStop(1, '#d6402a');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, size, size);
+            paintSpeckles(ctx, size, random, { color: '#8c2a17', count: 250 });
+        }, 2);
+
+        const sesameMap = createCanvasTexture((ctx, size, random) => {
+            paintMottled(ctx, size, random, { base: '#efe1bf', tones: ['#e0cc9d', '#f8efd8'], count: 40 });
+            paintStreaks(ctx, size, random, { color: '#c9b382', count: 24, width: 1 });
+        }, 3);
+
+        const beanMap = createCanvasTexture((ctx, size, random) => {
+            paintMottled(ctx, size, random, { base: '#5e3423', tones: ['#46261a', '#7c4b33', '#8a5a3c'], count: 80 });
+            paintStreaks(ctx, size, random, { color: '#2e160d', count: 30, width: 1.2 });
+        }, 4);
+
+        const podMap = createCanvasTexture((ctx, size, random) => {
+            paintMottled(ctx, size, random, { base: '#d98a1f', tones: ['#c0601a', '#e9b540', '#8f4313'], count: 120, radius: 0.08 });
+            paintStreaks(ctx, size, random, { color: '#7a3a10', count: 20, width: 2 });
+            paintSpeckles(ctx, size, random, { color: '#4a2209', count: 300 });
+        }, 5);
+
+        return {
+            cashew: new THREE.MeshStandardMaterial({ map: cashewMap, bumpMap: cashewMap, bumpScale: 0.6, roughness: 0.55 }),
+            cashewApple: new THREE.MeshStandardMaterial({ map: appleMap, roughness: 0.4 }),
+            sesame: new THREE.MeshStandardMaterial({ map: sesameMap, bumpMap: sesameMap, bumpScale: 0.4, roughness: 0.65 }),
+            cocoaBean: new THREE.MeshStandardMaterial({ map: beanMap, bumpMap: beanMap, bumpScale: 0.8, roughness: 0.75 }),
+            cocoaPod: new THREE.MeshStandardMaterial({ map: podMap, bumpMap: podMap, bumpScale: 1, roughness: 0.6 }),
+            cocoaPodInner: new THREE.MeshStandardMaterial({ color: 0xf0e2c6, roughness: 0.5, side: THREE.BackSide }),
+            cocoaPulp: new THREE.MeshStandardMaterial({ color: 0xf6f0e4, roughness: 0.3 })
+        };
     }
 
-    createCashewGeometry() {
-        const points = [];
-        for (let i = 0; i < 8; i++) {
-            const rad = Math.sin(i * 0.4) * 0.8 + 0.6;
-            points.push(new THREE.Vector2(rad, i * 0.4));
+    // Geometries are built on first use and shared by every mesh of that
+    // type and detail; use them directly for InstancedMesh scatter.
+    getGeometry(type, detail = 'medium') {
+        const key = `${type}:${detail}`;
+        if (!this.geometries.has(key)) {
+            this.geometries.set(key, GEOMETRY_BUILDERS[type](SEGMENTS[detail] || SEGMENTS.medium));
         }
-        return new THREE.LatheGeometry(points, 20);
+        return this.geometries.get(key);
     }
 
-    createCashew() {
-        const cashew = new THREE.Mesh(this.cashewGeometry, this.cashewMaterial);
-        cashew.castShadow = true;
-        cashew.scale.set(0.5, 0.5, 0.5);
-        return cashew;
+    getMaterial(type) {
+        return this.materials[type];
     }
 
-    createSesame() {
-        const sesame = new THREE.Mesh(this.sesameGeometry, this.sesameMaterial);
-        sesame.scale.set(0.1, 0.2, 0.1);
-        return sesame;
+    createMesh(type, detail, material = type) {
+        const mesh = new THREE.Mesh(this.getGeometry(type, detail), this.materials[material]);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        return mesh;
     }
 
-    createCocoa() {
-        const cocoa = new THREE.Mesh(this.cocoaGeometry, this.cocoaMaterial);
-        cocoa.scale.set(0.5, 0.5, 0.5);
-        return cocoa;
+    createCashew({ detail = 'medium', apple = false } = {}) {
+        const nut = this.createMesh('cashew', detail);
+        if (!apple) return nut;
+
+        const group = new THREE.Group();
+        const stub = this.createMesh('cashewApple', detail);
+        stub.position.set(-0.82, 0.05, 0);
+        stub.rotation.z = 0.5;
+        group.add(nut, stub);
+        return group;
+    }
+
+    createSesame({ detail = 'medium' } = {}) {
+        return this.createMesh('sesame', detail);
+    }
+
+    createCocoa({ detail = 'medium' } = {}) {
+        return this.createMesh('cocoaBean', detail);
+    }
+
+    createCocoaPod({ detail = 'medium', open = false } = {}) {
+        if (!open) return this.createMesh('cocoaPod', detail);
+
+        const group = new THREE.Group();
+        const shell = this.createMesh('cocoaPodHalf', detail, 'cocoaPod');
+        const inner = new THREE.Mesh(this.getGeometry('cocoaPodHalf', detail), this.materials.cocoaPodInner);
+        inner.scale.setScalar(0.96);
+        group.add(shell, inner);
+
+        // Rows of pulp-covered beans packed along the pod's axis.
+        const beanDetail = detail === 'high' ? 'medium' : 'low';
+        for (let y = -0.6; y <= 0.61; y += 0.15) {
+            const radius = cocoaPodRadius((y + 1) / 2);
+            [-0.13, 0.13].forEach(z => {
+                if (Math.abs(z) + 0.1 > radius) return;
+                const bean = this.createMesh('cocoaBean', beanDetail, 'cocoaPulp');
+                bean.scale.setScalar(0.11);
+                bean.position.set(0.08, y, z);
+                bean.rotation.set(Math.PI / 2, 0, Math.sign(z) * 0.2);
+                group.add(bean);
+            });
+        }
+
+        // Turn the cut face towards +Z.
+        group.rotation.y = Math.PI / 2;
+        const wrapper = new THREE.Group();
+        wrapper.add(group);
+        return wrapper;
+    }
+
+    // THREE.LOD holding every detail level of a model, for scenes where the
+    // camera moves towards and away from it.
+    createLOD(factory, options = {}) {
+        const lod = new THREE.LOD();
+        DETAIL_LEVELS.forEach(detail => {
+            lod.addLevel(this[factory]({ ...options, detail }), LOD_DISTANCES[detail]);
+        });
+        return lod;
     }
 
-    createLandscape() {
+    createLandscape({ color = 0xe9dfc8 } = {}) {
         const geometry = new THREE.PlaneGeometry(1000, 1000);
         const material = new THREE.MeshStandardMaterial({
-            color: 0x050510,
+            color,
             roughness: 1
         });
         const ground = new THREE.Mesh(geometry, material);
         ground.rotation.x = -Math.PI / 2;
         ground.receiveShadow = true;
         this.scene.add(ground);
+        return ground;
     }
 }
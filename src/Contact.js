@@ -0,0 +1,56 @@
+import { getCommodity } from './data/commodities.js';
+import { COMPANY } from './data/company.js';
+import { INCOTERMS, QUANTITY_UNITS } from './data/rfq.js';
+
+// Ways to reach the company, from src/data/company.js: WhatsApp
+// click-to-chat links with an opening message, and the vCard that the
+// contact card offers for download and as its QR code
+// (src/features/ContactCard.js). Shared with the prerendered markup.
+
+// https://wa.me/<number>, with `text` pre-filled in the chat when given.
+export function whatsappHref(text = '', phone = COMPANY.whatsapp) {
+    const number = phone.replace(/\D/g, '');
+    return `https://wa.me/${number}${text ? `?text=${encodeURIComponent(text)}` : ''}`;
+}
+
+// The opening WhatsApp message, in the page language: the quote request so
+// far when `values` (the quote form's fields) name a commodity, a greeting
+// otherwise.
+export function whatsappMessage(values, t) {
+    const commodity = getCommodity(values.commodity);
+    if (!commodity) return t('contact.whatsappHello', { company: COMPANY.name });
+    const unit = QUANTITY_UNITS.find(({ id }) => id === values.quantityUnit);
+    const incoterm = INCOTERMS.find(({ id }) => id === values.incoterm);
+    const details = [
+        values.grade,
+        values.quantity && [values.quantity, unit && t(unit.key, null, unit.label)].filter(Boolean).join(' '),
+        incoterm && [incoterm.label, incoterm.needsPort && values.destinationPort].filter(Boolean).join(' ')
+    ].filter(Boolean);
+    return [
+        t('contact.whatsappQuote', { company: COMPANY.name, commodity: t(`commodities.${commodity.id}.name`, null, commodity.name) }),
+        details.join(' · '),
+        [values.name, values.company].filter(Boolean).join(', ')
+    ].filter(Boolean).join('\n');
+}
+
+const escapeVcard = value => String(value).replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+
+// vCard 3.0, the version phone address books import most reliably, kept
+// short because it is also what the contact QR code holds. `url` is the site.
+export function companyVcard({ url } = {}) {
+    const { address } = COMPANY;
+    return [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'N:;;;;',
+        `FN:${escapeVcard(COMPANY.name)}`,
+        `ORG:${escapeVcard(COMPANY.legalName)}`,
+        ...COMPANY.phones.map(phone => `TEL;TYPE=CELL:${phone}`),
+        `EMAIL;TYPE=INTERNET:${COMPANY.email}`,
+        `ADR;TYPE=WORK:;;;${escapeVcard(address.locality)};;;${escapeVcard(address.countryName)}`,
+        ...(url ? [`URL:${url}`] : []),
+        'X-ABShowAs:COMPANY',
+        'END:VCARD',
+        ''
+    ].join('\r\n');
+}
@@ -0,0 +1,9 @@
+// Saves `blob` as `fileName` through a temporary link.
+export function download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = Object.assign(document.createElement('a'), { href: url, download: fileName });
+    document.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,264 @@
+const SEQUENCE_PASSES = [8, 4, 2, 1]; // Image-sequence load order: every 8th frame first, then fill in
+const SEQUENCE_CONCURRENCY = 6;
+
+// Decoder configuration record (avcC/hvcC/...) without its 8-byte box header,
+// which is what VideoDecoder expects as `description`.
+function decoderDescription(track, { DataStream, Endianness }) {
+    for (const entry of track.mdia.minf.stbl.stsd.entries) {
+        const box = entry.avcC || entry.hvcC || entry.vpcC || entry.av1C;
+        if (!box) continue;
+        const stream = new DataStream(undefined, 0, Endianness.BIG_ENDIAN);
+        box.write(stream);
+        return new Uint8Array(stream.buffer, 8);
+    }
+    return undefined;
+}
+
+// Draws a clip frame-by-frame on a canvas from scroll progress. Seeking a
+// <video> only lands on keyframes on most mobile browsers, so the clip is
+// decoded up front into bitmaps: with WebCodecs where the codec is supported,
+// otherwise from the image sequence written by `npm run frames`. Frames
+// become drawable as they arrive; until the exact one is in, the nearest
+// loaded frame stands in for it.
+export class FrameScrubber {
+    constructor(container, { src, sequence, maxWidth = 960 } = {}) {
+        this.container = container;
+        this.src = src;
+        this.sequence = sequence;
+        this.maxWidth = maxWidth;
+
+        this.frames = [];
+        this.frameCount = 0;
+        this.loadedCount = 0;
+        this.bytesFraction = 0;
+        this.progress = 0;
+        this.drawnIndex = -1;
+        this.onLoadProgress = null; // (fraction) => void, 0..1 across download and decode
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'scrub-canvas';
+        this.canvas.setAttribute('aria-hidden', 'true');
+        this.context = this.canvas.getContext('2d');
+        this.container.appendChild(this.canvas);
+
+        // Aborting cancels the resize listener and any download in flight.
+        this.listeners = new AbortController();
+        this.onResize();
+        window.addEventListener('resize', () => this.onResize(), { signal: this.listeners.signal });
+    }
+
+    // Resolves with the source that was used; rejects if neither works.
+    async load() {
+        if (typeof VideoDecoder !== 'undefined' && this.src) {
+            try {
+                await this.decodeVideo();
+                return 'webcodecs';
+            } catch (e) {
+                if (this.listeners.signal.aborted) throw e;
+                console.warn('WebCodecs decode unavailable, using image sequence:', e);
+                this.reset();
+            }
+        }
+        await this.loadSequence();
+        return 'sequence';
+    }
+
+    async decodeVideo() {
+        // The demuxer is only needed on this path, so it loads on demand.
+        const mp4box = await import('mp4box');
+        const response = await fetch(this.src, { signal: this.listeners.signal });
+        if (!response.ok || !response.body) throw new Error(`Failed to fetch ${this.src}: ${response.status}`);
+        const totalBytes = Number(response.headers.get('content-length')) || 0;
+
+        // Keep mdat data: this clip's moov comes last, so samples are only
+        // extractable after everything before it has been buffered.
+        const file = mp4box.createFile(true);
+        const pending = [];
+        let track = null;
+        let decoder = null;
+        let failure = null;
+        let outputIndex = 0;
+
+        file.onError = (module, message) => { failure = new Error(`${module}: ${message}`); };
+        file.onReady = (info) => { track = info.videoTracks[0] || null; };
+        file.onSamples = (id, user, samples) => {
+            samples.forEach(sample => decoder.decode(new EncodedVideoChunk({
+                type: sample.is_sync ? 'key' : 'delta',
+                timestamp: 1e6 * sample.cts / sample.timescale,
+                duration: 1e6 * sample.duration / sample.timescale,
+                data: sample.data
+            })));
+            file.releaseUsedSamples(id, samples[samples.length - 1].number + 1);
+        };
+
+        // Samples can only be extracted once the moov box has been parsed and
+        // the decoder accepts the codec, so configuration happens mid-stream.
+        const startDecoding = async () => {
+            const config = {
+                codec: track.codec,
+                codedWidth: track.video.width,
+                codedHeight: track.video.height,
+                description: decoderDescription(file.getTrackById(track.id), mp4box)
+            };
+            const { supported } = await VideoDecoder.isConfigSupported(config);
+            if (!supported) throw new Error(`Codec ${track.codec} is not supported`);
+
+            this.frameCount = track.nb_samples;
+            const resizeWidth = Math.min(this.maxWidth, track.video.width);
+            decoder = new VideoDecoder({
+                // Frames come out in presentation order, so the counter is the frame index.
+                output: (frame) => {
+                    const index = outputIndex++;
+                    pending.push(createImageBitmap(frame, { resizeWidth, resizeQuality: 'medium' })
+                        .then(bitmap => this.setFrame(index, bitmap))
+                        .finally(() => frame.close()));
+                },
+                error: (e) => { failure = e; }
+            });
+            decoder.configure(config);
+            file.setExtractionOptions(track.id, null, { nbSamples: 24 });
+            file.start();
+        };
+
+        const reader = response.body.getReader();
+        let offset = 0;
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                const chunk = mp4box.MP4BoxBuffer.fromArrayBuffer(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength), offset);
+                offset += value.byteLength;
+                file.appendBuffer(chunk);
+                if (track && !decoder) await startDecoding();
+                if (failure) throw failure;
+                if (totalBytes) this.bytesFraction = Math.min(offset / totalBytes, 1);
+                this.reportProgress();
+            }
+            file.flush();
+            if (!track) throw new Error(`No video track in ${this.src}`);
+            if (!decoder) await startDecoding();
+
+            await decoder.flush();
+            await Promise.all(pending);
+            if (failure) throw failure;
+            if (!this.loadedCount) throw new Error(`No frames decoded from ${this.src}`);
+        } finally {
+            reader.cancel().catch(() => {});
+            if (decoder && decoder.state !== 'closed') decoder.close();
+            // Let in-flight bitmaps land before a fallback resets the frames.
+            await Promise.allSettled(pending);
+        }
+    }
+
+    // The manifest is written next to the frames by scripts/extract-frames.js.
+    async loadSequence() {
+        if (!this.sequence) throw new Error('No image sequence configured');
+        const { signal } = this.listeners;
+        const response = await fetch(this.sequence, { signal });
+        if (!response.ok) throw new Error(`Failed to fetch ${this.sequence}: ${response.status}`);
+        const manifest = await response.json();
+
+        const base = this.sequence.slice(0, this.sequence.lastIndexOf('/') + 1);
+        const urlFor = index => base + manifest.pattern.replace('{index}', String(index).padStart(manifest.pad || 0, '0'));
+        const resize = manifest.width > this.maxWidth ? { resizeWidth: this.maxWidth, resizeQuality: 'medium' } : {};
+
+        this.frameCount = manifest.count;
+        this.bytesFraction = 1;
+
+        // Coarse passes first so the whole scroll range is covered early.
+        const queue = [];
+        const queued = new Set();
+        SEQUENCE_PASSES.forEach(stride => {
+            for (let i = 0; i < this.frameCount; i += stride) {
+                if (!queued.has(i)) {
+                    queued.add(i);
+                    queue.push(i);
+                }
+            }
+        });
+
+        const worker = async () => {
+            while (queue.length && !signal.aborted) {
+                const index = queue.shift();
+                try {
+                    const frame = await fetch(urlFor(index), { signal });
+                    if (!frame.ok) continue;
+                    this.setFrame(index, await createImageBitmap(await frame.blob(), resize));
+                } catch (e) {
+                    // A missing frame is covered by its neighbours.
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: SEQUENCE_CONCURRENCY }, worker));
+        signal.throwIfAborted();
+        if (!this.loadedCount) throw new Error(`No frames loaded from ${this.sequence}`);
+    }
+
+    setFrame(index, bitmap) {
+        if (index >= this.frameCount || this.listeners.signal.aborted) {
+            bitmap.close();
+            return;
+        }
+        this.frames[index] = bitmap;
+        this.loadedCount++;
+        this.reportProgress();
+        this.draw();
+    }
+
+    reportProgress() {
+        if (!this.onLoadProgress) return;
+        const decoded = this.frameCount ? this.loadedCount / this.frameCount : 0;
+        this.onLoadProgress((this.bytesFraction + decoded) / 2);
+    }
+
+    reset() {
+        this.frames.forEach(bitmap => bitmap && bitmap.close());
+        this.frames = [];
+        this.frameCount = 0;
+        this.loadedCount = 0;
+        this.bytesFraction = 0;
+        this.drawnIndex = -1;
+    }
+
+    setProgress(progress) {
+        this.progress = Math.min(Math.max(progress, 0), 1);
+        this.draw();
+    }
+
+    // Closest loaded frame to `target`, preferring the earlier one on ties.
+    nearestFrame(target) {
+        for (let offset = 0; offset < this.frameCount; offset++) {
+            if (this.frames[target - offset]) return target - offset;
+            if (this.frames[target + offset]) return target + offset;
+        }
+        return -1;
+    }
+
+    draw(force = false) {
+        if (!this.frameCount) return;
+        const index = this.nearestFrame(Math.round(this.progress * (this.frameCount - 1)));
+        if (index === -1 || (index === this.drawnIndex && !force)) return;
+        this.drawnIndex = index;
+
+        // object-fit: cover
+        const bitmap = this.frames[index];
+        const { width, height } = this.canvas;
+        const scale = Math.max(width / bitmap.width, height / bitmap.height);
+        const drawWidth = bitmap.width * scale;
+        const drawHeight = bitmap.height * scale;
+        this.context.drawImage(bitmap, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    onResize() {
+        const ratio = Math.min(window.devicePixelRatio, 2);
+        this.canvas.width = Math.round(this.container.clientWidth * ratio);
+        this.canvas.height = Math.round(this.container.clientHeight * ratio);
+        this.draw(true);
+    }
+
+    dispose() {
+        this.listeners.abort();
+        this.reset();
+        this.canvas.remove();
+    }
+}
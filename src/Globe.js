@@ -0,0 +1,371 @@
+import * as THREE from 'three';
+import { gsap } from 'gsap';
+import { quality, applyRendererQuality } from './Quality.js';
+import { theme } from './Theme.js';
+import { feature } from 'topojson-client';
+import land from 'world-atlas/land-110m.json';
+
+const RADIUS = 2;
+const ARC_SEGMENTS = 64;
+const AUTO_ROTATE_SPEED = 0.08;
+const AUTO_ROTATE_RESUME = 3000;
+const DEG2RAD = Math.PI / 180;
+
+// Ocean, land, graticule and atmosphere follow the theme palette.
+const COLORS = {
+    hq: 0xd97706,
+    market: 0xc92a2a,
+    arc: 0xf59e0b
+};
+
+export function latLonToVector3(lat, lon, radius = RADIUS) {
+    const phi = (90 - lat) * DEG2RAD;
+    const theta = (lon + 180) * DEG2RAD;
+    return new THREE.Vector3(
+        -radius * Math.sin(phi) * Math.cos(theta),
+        radius * Math.cos(phi),
+        radius * Math.sin(phi) * Math.sin(theta)
+    );
+}
+
+// Equirectangular land texture drawn from the bundled Natural Earth data, so
+// the globe needs nothing from the network. Repainted in place on theme change.
+function paintEarth(canvas, palette) {
+    const { width, height } = canvas;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = palette.ocean;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.strokeStyle = palette.graticule;
+    ctx.lineWidth = 1;
+    for (let lon = -180; lon <= 180; lon += 30) {
+        const x = (lon + 180) / 360 * width;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+    }
+    for (let lat = -60; lat <= 60; lat += 30) {
+        const y = (90 - lat) / 180 * height;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+    }
+
+    const { geometry } = feature(land, land.objects.land).features[0];
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    ctx.fillStyle = palette.land;
+    ctx.beginPath();
+    polygons.forEach(rings => {
+        rings.forEach(ring => {
+            ring.forEach(([lon, lat], i) => {
+                const x = (lon + 180) / 360 * width;
+                const y = (90 - lat) / 180 * height;
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+        });
+    });
+    ctx.fill('evenodd');
+}
+
+function createEarthTexture(palette, width = 2048) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = width / 2;
+    paintEarth(canvas, palette);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.anisotropy = 4;
+    return texture;
+}
+
+function greatCirclePoints(from, to, segments = ARC_SEGMENTS) {
+    const start = from.clone().normalize();
+    const end = to.clone().normalize();
+    const angle = start.angleTo(end);
+    const lift = 0.1 + angle / Math.PI * 0.5;
+    const points = [];
+
+    for (let i = 0; i <= segments; i++) {
+        const t = i / segments;
+        const point = new THREE.Vector3()
+            .addScaledVector(start, Math.sin((1 - t) * angle) / Math.sin(angle))
+            .addScaledVector(end, Math.sin(t * angle) / Math.sin(angle));
+        points.push(point.multiplyScalar(RADIUS * (1 + lift * Math.sin(Math.PI * t))));
+    }
+    return points;
+}
+
+export class Globe {
+    constructor(container, { hq, markets }) {
+        this.container = container;
+        if (!this.container) return;
+        this.hq = hq;
+        this.markets = markets;
+
+        const { clientWidth, clientHeight } = this.container;
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(40, clientWidth / clientHeight, 0.1, 100);
+        this.camera.position.z = 7.5;
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: quality.settings.antialias, alpha: true });
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setSize(clientWidth, clientHeight);
+        this.container.appendChild(this.renderer.domElement);
+
+        this.clock = new THREE.Clock();
+        this.globe = new THREE.Group();
+        this.globe.rotation.x = 0.3;
+        this.scene.add(this.globe);
+
+        this.markers = new Map();
+        this.arcs = [];
+        this.voyage = null;
+        this.activeId = null;
+        this.isDragging = false;
+        this.autoRotate = true;
+        this.lastInteraction = 0;
+
+        this.setupLights();
+        this.createEarth();
+        this.createMarkers();
+        this.createArcs();
+        this.initInteractions();
+
+        this.focusCountry(hq.id, { duration: 0 });
+        this.listeners = new AbortController();
+        window.addEventListener('resize', () => this.onResize(), { signal: this.listeners.signal });
+        document.addEventListener('themechange', (e) => this.applyTheme(e.detail.palette), { signal: this.listeners.signal });
+    }
+
+    setupLights() {
+        this.scene.add(new THREE.AmbientLight(0xffffff, 1.6));
+        const key = new THREE.DirectionalLight(0xffffff, 1.2);
+        key.position.set(5, 3, 5);
+        this.scene.add(key);
+    }
+
+    createEarth() {
+        this.earthTexture = createEarthTexture(theme.palette);
+        const earth = new THREE.Mesh(
+            new THREE.SphereGeometry(RADIUS, 64, 64),
+            new THREE.MeshStandardMaterial({ map: this.earthTexture, roughness: 0.9 })
+        );
+        this.globe.add(earth);
+
+        this.atmosphere = new THREE.Mesh(
+            new THREE.SphereGeometry(RADIUS * 1.08, 48, 48),
+            new THREE.MeshBasicMaterial({
+                color: theme.palette.atmosphere,
+                transparent: true,
+                opacity: 0.12,
+                side: THREE.BackSide,
+                depthWrite: false
+            })
+        );
+        this.scene.add(this.atmosphere);
+    }
+
+    applyTheme(palette) {
+        paintEarth(this.earthTexture.image, palette);
+        this.earthTexture.needsUpdate = true;
+        this.atmosphere.material.color.set(palette.atmosphere);
+    }
+
+    createMarkers() {
+        const overlay = document.createElement('div');
+        overlay.className = 'globe-overlay';
+        this.container.appendChild(overlay);
+        this.overlay = overlay;
+
+        [this.hq, ...this.markets].forEach(location => {
+            const isHq = location === this.hq;
+            const mesh = new THREE.Mesh(
+                new THREE.SphereGeometry(isHq ? 0.06 : 0.045, 16, 16),
+                new THREE.MeshBasicMaterial({ color: isHq ? COLORS.hq : COLORS.market })
+            );
+            mesh.position.copy(latLonToVector3(location.lat, location.lon, RADIUS * 1.005));
+            this.globe.add(mesh);
+
+            const el = document.createElement('button');
+            el.type = 'button';
+            el.className = `globe-marker${isHq ? ' is-hq' : ''}`;
+            el.setAttribute('data-country', location.id);
+            el.title = location.port;
+            el.innerHTML = `<span class="globe-marker-label"><span data-i18n="partners.${location.id}">${location.name}</span> ${location.flag}</span>`;
+            el.addEventListener('click', () => this.select(location.id));
+            overlay.appendChild(el);
+
+            this.markers.set(location.id, { location, mesh, el });
+        });
+    }
+
+    createArcs() {
+        const from = latLonToVector3(this.hq.lat, this.hq.lon);
+        this.markets.forEach((market, i) => {
+            const points = greatCirclePoints(from, latLonToVector3(market.lat, market.lon));
+            const curve = new THREE.CatmullRomCurve3(points);
+            const radialSegments = 6;
+            const tube = new THREE.Mesh(
+                new THREE.TubeGeometry(curve, ARC_SEGMENTS, 0.008, radialSegments, false),
+                new THREE.MeshBasicMaterial({ color: COLORS.arc, transparent: true, opacity: 0.85 })
+            );
+            tube.geometry.setDrawRange(0, 0);
+            this.globe.add(tube);
+
+            const ship = new THREE.Mesh(
+                new THREE.SphereGeometry(0.025, 12, 12),
+                new THREE.MeshBasicMaterial({ color: 0xffffff })
+            );
+            ship.visible = false;
+            this.globe.add(ship);
+
+            const arc = { id: market.id, curve, tube, ship, reveal: 0, offset: i / this.markets.length, indicesPerSegment: radialSegments * 6 };
+            gsap.to(arc, { reveal: 1, duration: 1.6, delay: 0.4 + i * 0.3, ease: 'power2.inOut' });
+            this.arcs.push(arc);
+        });
+    }
+
+    initInteractions() {
+        const el = this.renderer.domElement;
+        let previous = null;
+
+        el.addEventListener('pointerdown', (e) => {
+            el.setPointerCapture(e.pointerId);
+            previous = { x: e.clientX, y: e.clientY };
+            this.isDragging = true;
+            gsap.killTweensOf(this.globe.rotation);
+        });
+        el.addEventListener('pointermove', (e) => {
+            if (!this.isDragging || !previous) return;
+            this.globe.rotation.y += (e.clientX - previous.x) * 0.005;
+            this.globe.rotation.x = THREE.MathUtils.clamp(this.globe.rotation.x + (e.clientY - previous.y) * 0.005, -1, 1);
+            previous = { x: e.clientX, y: e.clientY };
+            this.lastInteraction = performance.now();
+        });
+        const end = () => {
+            this.isDragging = false;
+            previous = null;
+            this.lastInteraction = performance.now();
+        };
+        el.addEventListener('pointerup', end);
+        el.addEventListener('pointercancel', end);
+    }
+
+    select(id) {
+        this.focusCountry(id);
+        this.container.dispatchEvent(new CustomEvent('countryselect', { detail: { id } }));
+    }
+
+    focusCountry(id, { duration = 1.2 } = {}) {
+        const marker = this.markers.get(id);
+        if (!marker) return;
+
+        this.setActive(id);
+        this.lastInteraction = performance.now();
+
+        // Turn the globe so the marker faces the camera: undo its longitude
+        // around Y, then tilt by its latitude around X.
+        const { x, z } = latLonToVector3(0, marker.location.lon, 1);
+        const targetY = -Math.atan2(x, z);
+        const current = this.globe.rotation.y;
+        const delta = Math.atan2(Math.sin(targetY - current), Math.cos(targetY - current));
+
+        gsap.killTweensOf(this.globe.rotation);
+        gsap.to(this.globe.rotation, {
+            x: marker.location.lat * DEG2RAD,
+            y: current + delta,
+            duration,
+            ease: 'power3.inOut'
+        });
+    }
+
+    // Shipment tracking: only the route to `id` stays lit, and its ship holds
+    // at `progress` (0 at Conakry, 1 at the destination) instead of looping.
+    showVoyage(id, progress) {
+        this.voyage = { id, progress };
+        this.arcs.forEach(arc => { arc.tube.material.opacity = arc.id === id ? 0.85 : 0.2; });
+        this.focusCountry(id);
+    }
+
+    setActive(id) {
+        this.activeId = id;
+        this.markers.forEach(({ el }, markerId) => {
+            el.classList.toggle('active', markerId === id);
+            el.setAttribute('aria-pressed', markerId === id);
+        });
+    }
+
+    setQuality(settings) {
+        applyRendererQuality(this.renderer, this.scene, settings);
+    }
+
+    onResize() {
+        const { clientWidth, clientHeight } = this.container;
+        if (!clientWidth || !clientHeight) return;
+        this.camera.aspect = clientWidth / clientHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(clientWidth, clientHeight);
+    }
+
+    updateArcs(elapsed) {
+        this.arcs.forEach(arc => {
+            const segments = Math.floor(arc.reveal * ARC_SEGMENTS);
+            arc.tube.geometry.setDrawRange(0, segments * arc.indicesPerSegment);
+
+            arc.ship.visible = arc.reveal >= 1 && (!this.voyage || arc.id === this.voyage.id);
+            if (arc.ship.visible) {
+                const t = this.voyage ? this.voyage.progress : (elapsed * 0.15 + arc.offset) % 1;
+                arc.ship.position.copy(arc.curve.getPointAt(t));
+            }
+        });
+    }
+
+    updateLabels() {
+        const { clientWidth, clientHeight } = this.container;
+        const worldPos = new THREE.Vector3();
+        const toCamera = new THREE.Vector3();
+
+        this.markers.forEach(({ mesh, el }) => {
+            mesh.getWorldPosition(worldPos);
+            toCamera.copy(this.camera.position).sub(worldPos);
+            const facing = worldPos.clone().normalize().dot(toCamera.normalize()) > 0.15;
+
+            worldPos.project(this.camera);
+            el.style.left = `${(worldPos.x * 0.5 + 0.5) * clientWidth}px`;
+            el.style.top = `${(-worldPos.y * 0.5 + 0.5) * clientHeight}px`;
+            el.classList.toggle('is-hidden', !facing);
+            el.tabIndex = facing ? 0 : -1;
+        });
+    }
+
+    // The container stays in the page; everything the globe added to it goes.
+    dispose() {
+        this.listeners.abort();
+        gsap.killTweensOf([this.globe.rotation, ...this.arcs]);
+        this.earthTexture.dispose();
+        this.overlay.remove();
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.renderer.domElement.remove();
+    }
+
+    render() {
+        const delta = this.clock.getDelta();
+        const elapsed = this.clock.elapsedTime;
+
+        const idle = performance.now() - this.lastInteraction > AUTO_ROTATE_RESUME;
+        if (this.autoRotate && !this.isDragging && idle && !gsap.isTweening(this.globe.rotation)) {
+            this.globe.rotation.y += AUTO_ROTATE_SPEED * delta;
+        }
+
+        this.updateArcs(elapsed);
+        this.renderer.render(this.scene, this.camera);
+        this.updateLabels();
+    }
+}
@@ -0,0 +1,97 @@
+import * as THREE from 'three';
+
+// Commodities that rain down in the hero. `scale` fits the ~2 unit Assets
+// models to the scene and `radius` is the matching collision sphere.
+const CROPS = [
+    { kind: 'cashew', factory: 'createCashew', scale: 0.32, radius: 0.3 },
+    { kind: 'cocoa', factory: 'createCocoa', scale: 0.28, radius: 0.24 },
+    { kind: 'sesame', factory: 'createSesame', scale: 0.18, radius: 0.12 }
+];
+
+const MAX_BODIES = 90;
+const SPAWN_INTERVAL = 0.08;
+const LIFETIME = { min: 12, max: 20 };
+const DROP_AREA = { x: 14, zMin: -6, zMax: 6, yMin: 10, yMax: 18 };
+
+const FIELD_RADIUS = 3.5;
+const TAP_STRENGTH = 220;
+const MOVE_STRENGTH = 70;
+const FIELD_DECAY = 120; // ms the cursor field lingers after the last move
+
+// Hero "harvest": commodities fall onto the landscape and scatter away from
+// the pointer. Spawning is continuous; bodies expire and are recycled.
+export class Harvest {
+    constructor(scene, assets, physics, particles = null) {
+        this.scene = scene;
+        this.assets = assets;
+        this.physics = physics;
+        this.particles = particles;
+        this.spawnTimer = 0;
+        this.fieldTimeout = null;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -physics.groundY);
+        this.hit = new THREE.Vector3();
+
+        if (this.particles) {
+            this.physics.onImpact = (obj, speed) => {
+                this.particles.emit('dust', obj.pos, { count: Math.min(12, Math.round(speed)) });
+            };
+        }
+    }
+
+    // Listen on the hero section (the canvas itself ignores pointer events so
+    // the hero copy stays clickable).
+    bindPointer(element) {
+        if (!element) return;
+        element.addEventListener('pointermove', (e) => this.push(e, MOVE_STRENGTH));
+        element.addEventListener('pointerdown', (e) => this.push(e, TAP_STRENGTH));
+        element.addEventListener('pointerleave', () => this.physics.clearForceField());
+    }
+
+    push(event, strength) {
+        const rect = this.scene.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.scene.camera);
+        if (!this.raycaster.ray.intersectPlane(this.groundPlane, this.hit)) return;
+
+        this.physics.setForceField(this.hit, { radius: FIELD_RADIUS, strength });
+        if (this.particles) this.particles.emit(strength === TAP_STRENGTH ? 'sparkle' : 'trail', this.hit);
+        clearTimeout(this.fieldTimeout);
+        this.fieldTimeout = setTimeout(() => this.physics.clearForceField(), FIELD_DECAY);
+    }
+
+    spawn() {
+        const crop = CROPS[Math.floor(Math.random() * CROPS.length)];
+        const position = new THREE.Vector3(
+            THREE.MathUtils.randFloatSpread(DROP_AREA.x * 2),
+            THREE.MathUtils.randFloat(DROP_AREA.yMin, DROP_AREA.yMax),
+            THREE.MathUtils.randFloat(DROP_AREA.zMin, DROP_AREA.zMax)
+        );
+
+        const obj = this.physics.spawn(crop.kind, () => {
+            const mesh = this.assets[crop.factory]({ detail: 'medium' });
+            mesh.scale.multiplyScalar(crop.scale);
+            this.scene.scene.add(mesh);
+            return mesh;
+        }, position, {
+            radius: crop.radius,
+            lifetime: THREE.MathUtils.randFloat(LIFETIME.min, LIFETIME.max),
+            velocity: { x: THREE.MathUtils.randFloatSpread(2), y: 0, z: THREE.MathUtils.randFloatSpread(2) }
+        });
+        obj.mesh.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+    }
+
+    update(delta) {
+        this.spawnTimer = Math.min(this.spawnTimer + delta, 1);
+        while (this.spawnTimer >= SPAWN_INTERVAL) {
+            this.spawnTimer -= SPAWN_INTERVAL;
+            if (this.physics.objects.length < MAX_BODIES) this.spawn();
+        }
+        this.physics.update(delta);
+    }
+}
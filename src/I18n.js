@@ -0,0 +1,187 @@
+import en from './locales/en.js';
+import fr from './locales/fr.js';
+import tr from './locales/tr.js';
+import zh from './locales/zh.js';
+
+// English lives at the site root, every other locale under its own prefix
+// (/fr/, /tr/, /zh/). vercel.json rewrites all paths to index.html, so the
+// prefix only has to be understood here.
+export const LOCALES = {
+    en: { label: 'English', short: 'EN', htmlLang: 'en', messages: en },
+    fr: { label: 'Français', short: 'FR', htmlLang: 'fr', messages: fr },
+    tr: { label: 'Türkçe', short: 'TR', htmlLang: 'tr', messages: tr },
+    zh: { label: '中文', short: '中文', htmlLang: 'zh-CN', messages: zh }
+};
+
+export const DEFAULT_LOCALE = 'en';
+const STORAGE_KEY = 'glocal-locale';
+
+function lookup(messages, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+}
+
+function interpolate(message, vars) {
+    if (!vars) return message;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+}
+
+export function localeFromPath(pathname) {
+    const match = pathname.match(/^\/([a-z]{2})(?=\/|$)/);
+    return match && match[1] !== DEFAULT_LOCALE && LOCALES[match[1]] ? match[1] : null;
+}
+
+export function stripLocale(pathname) {
+    const locale = localeFromPath(pathname);
+    return locale ? pathname.slice(locale.length + 1) || '/' : pathname;
+}
+
+// `path` is locale-free ('/products/cocoa'); the result carries the prefix.
+export function localizePath(locale, path) {
+    return locale === DEFAULT_LOCALE ? path : `/${locale}${path === '/' ? '/' : path}`;
+}
+
+// Lookup without the DOM, also used by the build-time prerender. Keys a
+// locale lacks fall back to English, then to `fallback`.
+export function translate(locale, key, vars, fallback) {
+    const message = lookup(LOCALES[locale].messages, key) ?? lookup(LOCALES[DEFAULT_LOCALE].messages, key) ?? fallback;
+    return typeof message === 'string' ? interpolate(message, vars) : key;
+}
+
+export class I18n {
+    constructor() {
+        this.locale = DEFAULT_LOCALE;
+    }
+
+    detect() {
+        const fromPath = localeFromPath(window.location.pathname);
+        if (fromPath) return fromPath;
+
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored && LOCALES[stored]) return stored;
+        } catch (e) {
+            // Storage can be unavailable (private mode); fall through to the browser language
+        }
+
+        const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+        for (const lang of preferred) {
+            const base = (lang || '').toLowerCase().split('-')[0];
+            if (LOCALES[base]) return base;
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    init() {
+        this.setLocale(this.detect(), { persist: false });
+        // Client-side navigation changes the path each alternate points at.
+        document.addEventListener('routechange', () => this.updateAlternateLinks());
+    }
+
+    t(key, vars, fallback) {
+        return translate(this.locale, key, vars, fallback);
+    }
+
+    // Elements opt in with data-i18n="key" for their text and
+    // data-i18n-attr="placeholder:key; aria-label:key" for attributes. The
+    // markup's original text is kept as the fallback for keys a locale lacks;
+    // prerendered pages in another language carry it in data-i18n-default*.
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            if (el.dataset.i18nDefault === undefined) el.dataset.i18nDefault = el.textContent.trim();
+            el.textContent = this.t(el.dataset.i18n, null, el.dataset.i18nDefault);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+            el.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attr, key] = pair.split(':').map(part => part.trim());
+                if (!attr || !key) return;
+                const defaultKey = `i18nDefault${attr.replace(/(^|-)(\w)/g, (m, dash, c) => c.toUpperCase())}`;
+                if (el.dataset[defaultKey] === undefined) el.dataset[defaultKey] = el.getAttribute(attr) || '';
+                el.setAttribute(attr, this.t(key, null, el.dataset[defaultKey]));
+            });
+        });
+    }
+
+    setLocale(locale, { persist = true } = {}) {
+        if (!LOCALES[locale]) locale = DEFAULT_LOCALE;
+        const changed = locale !== this.locale;
+        this.locale = locale;
+
+        if (persist) {
+            try {
+                localStorage.setItem(STORAGE_KEY, locale);
+            } catch (e) {
+                // Non-fatal: the URL prefix still carries the choice
+            }
+        }
+
+        document.documentElement.lang = LOCALES[locale].htmlLang;
+        document.title = this.t('meta.title');
+        this.updateUrl();
+        this.updateAlternateLinks();
+        this.apply();
+
+        if (changed) {
+            document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+        }
+    }
+
+    pathFor(locale, pathname = window.location.pathname) {
+        return localizePath(locale, stripLocale(pathname));
+    }
+
+    updateUrl() {
+        const target = this.pathFor(this.locale);
+        if (target !== window.location.pathname) {
+            history.replaceState(history.state, '', target + window.location.search + window.location.hash);
+        }
+    }
+
+    updateAlternateLinks() {
+        document.head.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => link.remove());
+        const origin = window.location.origin;
+        const entries = Object.keys(LOCALES).map(code => [code, this.pathFor(code)]);
+        entries.push(['x-default', this.pathFor(DEFAULT_LOCALE)]);
+        entries.forEach(([hreflang, path]) => {
+            const link = document.createElement('link');
+            link.rel = 'alternate';
+            link.hreflang = hreflang;
+            link.href = origin + path;
+            document.head.appendChild(link);
+        });
+    }
+
+    renderSwitcher(container) {
+        container.setAttribute('role', 'group');
+        container.setAttribute('data-i18n-attr', 'aria-label:lang.label');
+        container.innerHTML = Object.entries(LOCALES).map(([code, locale]) =>
+            `<a href="${this.pathFor(code)}" hreflang="${code}" lang="${locale.htmlLang}" data-locale="${code}" title="${locale.label}">${locale.short}</a>`
+        ).join('');
+
+        container.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-locale]');
+            if (!link) return;
+            e.preventDefault();
+            this.setLocale(link.dataset.locale);
+        });
+
+        const sync = () => {
+            container.querySelectorAll('[data-locale]').forEach(link => {
+                link.setAttribute('href', this.pathFor(link.dataset.locale));
+                const isActive = link.dataset.locale === this.locale;
+                link.classList.toggle('active', isActive);
+                if (isActive) link.setAttribute('aria-current', 'true');
+                else link.removeAttribute('aria-current');
+            });
+        };
+        sync();
+        document.addEventListener('localechange', sync);
+        document.addEventListener('routechange', sync);
+    }
+}
+
+export const i18n = new I18n();
+
+export function t(key, vars, fallback) {
+    return i18n.t(key, vars, fallback);
+}
@@ -0,0 +1,8 @@
+import IMAGES from 'virtual:responsive-images';
+import { responsiveHtml } from './ResponsiveImages.js';
+
+// responsiveHtml() with this build's image manifest, for markup rendered in
+// the browser (the prerender rewrites its pages at build time).
+export function responsive(html) {
+    return responsiveHtml(html, IMAGES);
+}
@@ -0,0 +1,101 @@
+import { gsap } from 'gsap';
+import { quality } from './Quality.js';
+
+// Feature modules (src/features/) are objects with `init(scope, options)` and
+// an optional `destroy()`. They don't keep their own handles: whatever they
+// set up goes through the Scope they are given, and unmounting releases all
+// of it, so a module can be mounted and unmounted any number of times
+// without leaving listeners, tweens, pins or WebGL contexts behind.
+export class Scope {
+    constructor(registry) {
+        this.registry = registry;
+        this.listeners = new AbortController();
+        this.context = gsap.context();
+        this.cleanups = [];
+    }
+
+    get signal() {
+        return this.listeners.signal;
+    }
+
+    on(target, type, handler, options = {}) {
+        target.addEventListener(type, handler, { ...options, signal: this.listeners.signal });
+    }
+
+    // Tweens, timelines and ScrollTriggers created inside `fn` are reverted
+    // on release, pins included. Returns whatever `fn` returns.
+    animate(fn) {
+        return this.context.add(fn);
+    }
+
+    timeout(fn, ms) {
+        const id = setTimeout(fn, ms);
+        this.defer(() => clearTimeout(id));
+        return id;
+    }
+
+    // A WebGL component (ProductViewer, Globe, SupplyChain...): drawn by the
+    // render loop while on screen, follows the quality tier, disposed with
+    // its GPU resources on release.
+    canvas(component) {
+        quality.register(component);
+        this.registry.loop.add(component);
+        this.defer(() => {
+            this.registry.loop.remove(component);
+            quality.unregister(component);
+            component.dispose();
+        });
+        return component;
+    }
+
+    // Anything else with a teardown, e.g. a FrameScrubber.
+    own(resource, release = (r) => r.dispose()) {
+        this.defer(() => release(resource));
+        return resource;
+    }
+
+    defer(fn) {
+        this.cleanups.push(fn);
+    }
+
+    release() {
+        this.listeners.abort();
+        this.context.revert();
+        this.cleanups.splice(0).reverse().forEach(fn => fn());
+    }
+}
+
+// Tracks the scope of every mounted module.
+export class ModuleRegistry {
+    constructor({ loop }) {
+        this.loop = loop;
+        this.scopes = new Map();
+    }
+
+    mount(module, options = {}) {
+        if (this.scopes.has(module)) return module;
+        const scope = new Scope(this);
+        this.scopes.set(module, scope);
+        try {
+            module.init(scope, options);
+        } catch (e) {
+            this.unmount(module);
+            throw e;
+        }
+        return module;
+    }
+
+    // The scope goes first so pins and canvases are released while the
+    // module's markup is still in place.
+    unmount(module) {
+        const scope = this.scopes.get(module);
+        if (!scope) return;
+        this.scopes.delete(module);
+        scope.release();
+        module.destroy?.();
+    }
+
+    isMounted(module) {
+        return this.scopes.has(module);
+    }
+}
@@ -0,0 +1,170 @@
+import { GUINEA_OUTLINE } from './data/guinea.js';
+
+const PADDING = 28;
+const LABEL_HEIGHT = 16;
+const INSET = { width: 0.3, margin: 12 }; // Width as a fraction of the map's
+const SCALE_STEPS = [50, 100, 200, 250, 500, 1000, 2000, 5000]; // Metres
+const METRES_PER_DEGREE = 111320;
+
+function themeColors(element) {
+    const styles = getComputedStyle(element);
+    const read = (name) => styles.getPropertyValue(name).trim();
+    return {
+        land: read('--bg-muted'),
+        panel: read('--bg-light'),
+        line: read('--border'),
+        plot: read('--primary'),
+        highlight: read('--hq-ink'),
+        text: read('--text-dark'),
+        muted: read('--text-dim')
+    };
+}
+
+// Equirectangular around the given latitude, fitted to `box`
+// ({ x, y, width, height }) with north up.
+function projection(bounds, box) {
+    const scaleX = Math.cos(((bounds.minLat + bounds.maxLat) / 2) * Math.PI / 180);
+    const width = (bounds.maxLon - bounds.minLon) * scaleX || 1e-6;
+    const height = bounds.maxLat - bounds.minLat || 1e-6;
+    const scale = Math.min(box.width / width, box.height / height);
+    const offsetX = box.x + (box.width - width * scale) / 2;
+    const offsetY = box.y + (box.height - height * scale) / 2;
+    return {
+        // Pixels per metre on the ground, for the scale bar.
+        pixelsPerMetre: scale / METRES_PER_DEGREE,
+        point: ([lon, lat]) => [offsetX + (lon - bounds.minLon) * scaleX * scale, offsetY + (bounds.maxLat - lat) * scale]
+    };
+}
+
+function boundsOf(points) {
+    const lons = points.map(([lon]) => lon);
+    const lats = points.map(([, lat]) => lat);
+    return { minLon: Math.min(...lons), maxLon: Math.max(...lons), minLat: Math.min(...lats), maxLat: Math.max(...lats) };
+}
+
+function boundsCenter(points) {
+    const bounds = boundsOf(points);
+    return [(bounds.minLon + bounds.maxLon) / 2, (bounds.minLat + bounds.maxLat) / 2];
+}
+
+function tracePath(ctx, ring, point) {
+    ctx.beginPath();
+    ring.forEach((coordinate, i) => {
+        const [x, y] = point(coordinate);
+        if (i) ctx.lineTo(x, y);
+        else ctx.moveTo(x, y);
+    });
+    ctx.closePath();
+}
+
+// The farm plots of a lot (from src/Traceability.js) on a canvas, with a
+// scale bar and, in the corner, Guinea's outline marking where they are. No
+// tiles: everything is drawn from the lot's polygons and the bundled border.
+// Redraws itself when resized; call draw() again on theme change.
+export class LotMap {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.lot = null;
+        this.highlighted = null;
+        this.observer = new ResizeObserver(() => this.draw());
+        this.observer.observe(canvas);
+    }
+
+    setLot(lot) {
+        this.lot = lot;
+        this.draw();
+    }
+
+    highlight(id) {
+        this.highlighted = id;
+        this.draw();
+    }
+
+    draw() {
+        const { canvas, lot } = this;
+        const { clientWidth: width, clientHeight: height } = canvas;
+        if (!lot?.plots.length || !width || !height) return;
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        const colors = themeColors(canvas);
+
+        ctx.fillStyle = colors.land;
+        ctx.fillRect(0, 0, width, height);
+        const insetWidth = Math.max(width * INSET.width, 90);
+        const insetHeight = insetWidth * 0.8;
+
+        // Plots, kept clear of the inset's column and, below, of the labels
+        // and the scale bar.
+        const area = { x: PADDING, y: PADDING, width: width - PADDING - insetWidth - INSET.margin * 2, height: height - PADDING * 2 - LABEL_HEIGHT };
+        const { point, pixelsPerMetre } = projection(boundsOf(lot.plots.flatMap(plot => plot.ring)), area);
+        ctx.lineJoin = 'round';
+        lot.plots.forEach(plot => {
+            const active = plot.id === this.highlighted;
+            tracePath(ctx, plot.ring, point);
+            ctx.globalAlpha = active ? 0.45 : 0.2;
+            ctx.fillStyle = active ? colors.highlight : colors.plot;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = active ? colors.highlight : colors.plot;
+            ctx.lineWidth = active ? 2.5 : 1.5;
+            ctx.stroke();
+        });
+        ctx.font = '600 11px Outfit, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = colors.text;
+        // Labels go under their plot, which is often only a few pixels across,
+        // and are kept inside the plots' area.
+        lot.plots.forEach(plot => {
+            const half = ctx.measureText(plot.id).width / 2;
+            const [x] = point(plot.center);
+            const bottom = Math.max(...plot.ring.map(coordinate => point(coordinate)[1]));
+            ctx.fillText(plot.id, Math.min(Math.max(x, half + 4), area.x + area.width + INSET.margin - half), bottom + 4);
+        });
+
+        // Scale bar: the longest round distance under a quarter of the width.
+        const metres = [...SCALE_STEPS].reverse().find(step => step * pixelsPerMetre <= width / 4) ?? SCALE_STEPS[0];
+        const barWidth = metres * pixelsPerMetre;
+        const barY = height - 14;
+        ctx.strokeStyle = colors.text;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(12, barY - 4);
+        ctx.lineTo(12, barY);
+        ctx.lineTo(12 + barWidth, barY);
+        ctx.lineTo(12 + barWidth, barY - 4);
+        ctx.stroke();
+        ctx.font = '11px Outfit, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(metres >= 1000 ? `${metres / 1000} km` : `${metres} m`, 16 + barWidth, barY + 4);
+        ctx.textAlign = 'center';
+        ctx.fillText('N ↑', width - 20, height - 8);
+
+        // Inset: Guinea with a dot at the plots.
+        const box = { x: width - insetWidth - INSET.margin, y: INSET.margin, width: insetWidth, height: insetHeight };
+        ctx.fillStyle = colors.panel;
+        ctx.strokeStyle = colors.line;
+        ctx.lineWidth = 1;
+        ctx.fillRect(box.x, box.y, box.width, box.height);
+        ctx.strokeRect(box.x + 0.5, box.y + 0.5, box.width - 1, box.height - 1);
+        const country = projection(boundsOf(GUINEA_OUTLINE), { x: box.x + 6, y: box.y + 6, width: box.width - 12, height: box.height - 12 });
+        tracePath(ctx, GUINEA_OUTLINE, country.point);
+        ctx.fillStyle = colors.land;
+        ctx.fill();
+        ctx.strokeStyle = colors.muted;
+        ctx.stroke();
+        const [dotX, dotY] = country.point(boundsCenter(lot.plots.map(plot => plot.center)));
+        ctx.beginPath();
+        ctx.arc(dotX, dotY, 4, 0, Math.PI * 2);
+        ctx.fillStyle = colors.highlight;
+        ctx.fill();
+    }
+
+    dispose() {
+        this.observer.disconnect();
+    }
+}
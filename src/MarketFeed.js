@@ -0,0 +1,83 @@
+import { COMMODITIES } from './data/commodities.js';
+
+export const SAMPLE_FEED_URL = '/data/market-prices.json';
+
+// Indicative FOB prices for the market panel. Set at build time through Vite
+// env variables:
+//   VITE_MARKET_FEED_URL    JSON feed, same format as the bundled sample
+//                           (public/data/market-prices.json)
+//   VITE_MARKET_STALE_DAYS  age of `updated` after which prices are flagged
+// Without a feed URL the panel shows the sample, labelled as such; it is also
+// the fallback when the feed can't be reached. A feed on another origin also
+// needs adding to `connect-src` in vercel.json.
+const env = import.meta.env;
+export const MARKET_FEED_CONFIG = {
+    url: env.VITE_MARKET_FEED_URL || SAMPLE_FEED_URL,
+    staleAfterDays: Number(env.VITE_MARKET_STALE_DAYS) || 10
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// `{ updated, basis, currency, unit, series: { <commodity id>: [{ date, price }] } }`,
+// prices per metric tonne. Series for unknown commodities and unreadable
+// points are dropped; points come back oldest first.
+export function parseMarketFeed(json) {
+    const updated = new Date(json?.updated);
+    if (Number.isNaN(updated.getTime()) || typeof json.series !== 'object') {
+        throw new Error('Market feed needs `updated` and `series`');
+    }
+    const series = {};
+    COMMODITIES.forEach(({ id }) => {
+        const points = (json.series[id] || [])
+            .map(point => ({ date: new Date(point.date), price: Number(point.price) }))
+            .filter(point => !Number.isNaN(point.date.getTime()) && Number.isFinite(point.price))
+            .sort((a, b) => a.date - b.date);
+        if (points.length) series[id] = points;
+    });
+    if (!Object.keys(series).length) throw new Error('Market feed has no usable series');
+    return {
+        updated,
+        basis: json.basis || 'FOB Conakry',
+        currency: json.currency || 'USD',
+        series
+    };
+}
+
+// Resolves with the parsed feed plus `sample` (the bundled file was used) and
+// `stale` (older than staleAfterDays).
+export async function loadMarketFeed(config = MARKET_FEED_CONFIG, { signal } = {}) {
+    const urls = config.url === SAMPLE_FEED_URL ? [SAMPLE_FEED_URL] : [config.url, SAMPLE_FEED_URL];
+    let lastError = null;
+    for (const url of urls) {
+        try {
+            const response = await fetch(url, { signal, headers: { 'Accept': 'application/json' } });
+            if (!response.ok) throw new Error(`Market feed responded ${response.status}`);
+            const feed = parseMarketFeed(await response.json());
+            return {
+                ...feed,
+                sample: url === SAMPLE_FEED_URL,
+                stale: Date.now() - feed.updated.getTime() > config.staleAfterDays * DAY
+            };
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            if (url !== SAMPLE_FEED_URL) console.warn('Market feed unavailable, showing the sample:', e);
+            lastError = e;
+        }
+    }
+    throw lastError;
+}
+
+// The points within `months` of the latest one (all of them for null).
+export function pointsSince(points, months) {
+    if (!months || !points.length) return points;
+    const from = new Date(points[points.length - 1].date);
+    from.setMonth(from.getMonth() - months);
+    return points.filter(point => point.date >= from);
+}
+
+// Latest price and its change from the point before, as a fraction.
+export function latestChange(points) {
+    const last = points[points.length - 1];
+    const previous = points[points.length - 2];
+    return { price: last.price, change: previous ? (last.price - previous.price) / previous.price : 0 };
+}
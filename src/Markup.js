@@ -0,0 +1,286 @@
+import { formatSpecValue } from './data/commodities.js';
+import { SOCIAL_LINKS } from './data/company.js';
+import { whatsappHref } from './Contact.js';
+import { harvestRange, lotFormats } from './Traceability.js';
+
+// Markup for the views rendered from src/data. Shared by the app and the
+// build-time prerender (scripts/prerender-plugin.js), so these only build
+// strings: English copy tagged with data-i18n keys for the i18n layer.
+
+export function productCardHtml(commodity, index) {
+    return `
+    <article class="product-card" data-product="${commodity.id}" data-aos-delay="${index * 100}" tabindex="0">
+        <div class="card-inner">
+            <div class="card-front">
+                <div class="product-icon">${commodity.icon}</div>
+                <h3 data-i18n="commodities.${commodity.id}.name">${commodity.name}</h3>
+                <p data-i18n="commodities.${commodity.id}.description">${commodity.description}</p>
+            </div>
+            <div class="card-back" style="background-image: url('${commodity.image}');">
+                <h3 data-i18n="products.specifications">Specifications</h3>
+                <ul>
+                    ${commodity.specs.map(spec => `<li><strong data-i18n="specs.${spec.key}">${spec.label}</strong>: ${formatSpecValue(spec)}</li>`).join('')}
+                    <li><strong data-i18n="specs.packaging">Packaging</strong>: ${commodity.packaging.join(', ')}</li>
+                </ul>
+                <div class="card-actions">
+                    <a class="card-more" href="/products/${commodity.id}" data-route="/products/${commodity.id}"><span data-i18n="products.details">View details</span> &rarr;</a>
+                    <button type="button" class="card-sheet" data-spec-sheet="${commodity.id}" data-i18n="specSheet.download">Download spec sheet</button>
+                </div>
+            </div>
+        </div>
+    </article>`;
+}
+
+export function commodityPageHtml(commodity) {
+    const { id } = commodity;
+    const rows = [
+        ...commodity.specs.map(spec => [`specs.${spec.key}`, spec.label, formatSpecValue(spec)]),
+        ['commodity.grades', 'Grades', commodity.grades.join(', ')],
+        ['specs.packaging', 'Packaging', commodity.packaging.join(', ')],
+        ['commodity.hsCode', 'HS code', commodity.hsCode]
+    ];
+
+    return `
+        <article class="commodity-page" aria-labelledby="commodity-title">
+            <header class="commodity-hero" style="background-image: url('${commodity.image}');">
+                <div class="container">
+                    <a class="commodity-back" href="/products" data-route="/products">&larr; <span data-i18n="commodity.back">All commodities</span></a>
+                    <span class="commodity-icon" aria-hidden="true">${commodity.icon}</span>
+                    <h1 class="commodity-title" id="commodity-title" data-i18n="commodities.${id}.fullName">${commodity.fullName}</h1>
+                    <p class="commodity-lead" data-i18n="commodities.${id}.overview">${commodity.overview}</p>
+                </div>
+            </header>
+
+            <section class="section">
+                <div class="container commodity-grid">
+                    <div class="commodity-block">
+                        <h2 class="commodity-heading" data-i18n="products.specifications">Specifications</h2>
+                        <table class="spec-table">
+                            <tbody>
+                                ${rows.map(([key, label, value]) => `<tr><th scope="row" data-i18n="${key}">${label}</th><td>${value}</td></tr>`).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div class="commodity-block commodity-model">
+                        <h2 class="commodity-heading" data-i18n="commodity.model">3D Model</h2>
+                        <div class="viewer-canvas" id="commodity-viewer-canvas" tabindex="0" role="img"
+                            aria-label="3D commodity model" data-lenis-prevent></div>
+                        <p class="viewer-hint" data-i18n="products.viewerHint">Drag to rotate &middot; Scroll or pinch to zoom &middot; Arrow keys to turn</p>
+                        <div class="viewer-controls">
+                            <button type="button" class="viewer-btn viewer-reset" data-i18n="products.reset">Reset View</button>
+                            <button type="button" class="viewer-btn" data-spec-sheet="${id}" data-i18n="specSheet.download">Download spec sheet</button>
+                        </div>
+                    </div>
+                </div>
+            </section>
+
+            <section class="section dark-bg">
+                <div class="container commodity-block">
+                    <h2 class="commodity-heading" data-i18n="commodity.season">Harvest Season</h2>
+                    <ol class="season-calendar" aria-label="Harvest calendar" data-i18n-attr="aria-label:commodity.seasonLabel"></ol>
+                    <p class="season-legend">
+                        <span class="season-key is-harvest" data-i18n="commodity.harvest">Harvest</span>
+                        <span class="season-key is-peak" data-i18n="commodity.peak">Peak</span>
+                    </p>
+                </div>
+            </section>
+
+            <section class="section">
+                <div class="container commodity-block">
+                    <h2 class="commodity-heading" data-i18n="commodity.gallery">Gallery</h2>
+                    <div class="commodity-gallery">
+                        ${commodity.gallery.map(photo => `
+                        <figure><img src="${photo.src}" sizes="(max-width: 640px) 100vw, 400px" alt="${photo.alt}" data-i18n-attr="alt:${photo.altKey}" loading="lazy" decoding="async"></figure>`).join('')}
+                    </div>
+                </div>
+            </section>
+
+            <section class="section dark-bg">
+                <div class="container commodity-block commodity-quote">
+                    <h2 class="commodity-heading" data-i18n="commodity.quoteTitle">Request a Quote</h2>
+                    <p data-i18n="commodity.quoteText">The form starts with this commodity selected. Anything you already filled in is kept.</p>
+                    <div class="commodity-quote-slot"></div>
+                    <p class="commodity-whatsapp">
+                        <a class="whatsapp-link" href="${whatsappHref()}" data-whatsapp="${id}" target="_blank" rel="noopener" data-i18n="contact.whatsappProduct">Prefer WhatsApp? Ask us about this product</a>
+                    </p>
+                </div>
+            </section>
+        </article>`;
+}
+
+// The footer's profile links; the WhatsApp one opens a chat with a message
+// (see src/features/ContactCard.js).
+export function socialLinksHtml() {
+    return SOCIAL_LINKS.map(link => `
+                    <a href="${link.url}" class="social-icon" aria-label="${link.label}"${link.url !== '#' ? ' target="_blank" rel="noopener"' : ''}${link.id === 'whatsapp' ? ' data-whatsapp' : ''}>${link.short}</a>`).join('');
+}
+
+// Month names come from Intl, so unlike the rest this is rendered per locale;
+// `t` translates the screen reader note on harvest months.
+export function seasonCalendarHtml(commodity, { lang, t }) {
+    const { harvest, peak } = commodity.season;
+    const monthName = new Intl.DateTimeFormat(lang, { month: 'short' });
+    return Array.from({ length: 12 }, (_, i) => {
+        const month = i + 1;
+        const state = peak.includes(month) ? 'peak' : harvest.includes(month) ? 'harvest' : null;
+        const note = state ? `<span class="visually-hidden">: ${t(`commodity.${state}`)}</span>` : '';
+        return `<li class="season-month${state ? ` is-${state}` : ''}">${monthName.format(new Date(2000, i, 1))}${note}</li>`;
+    }).join('');
+}
+
+// For text and attribute values taken from data. Shared with the other
+// modules that build markup as strings.
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// A /lot/<id> page. Dates and numbers are formatted for `lang`, so like the
+// season calendar this is rendered per locale; the map canvas is drawn by
+// src/LotMap.js once the page is in the document.
+export function lotPageHtml(lot, { lang }) {
+    const { commodity, compliance } = lot;
+    const { id } = commodity;
+    const format = lotFormats(lang);
+    const date = value => (value ? `<time datetime="${value.toISOString().slice(0, 10)}">${format.date.format(value)}</time>` : '');
+    const yesNo = value => (value ? '<span data-i18n="lot.yes">Yes</span>' : '<span data-i18n="lot.no">No</span>');
+    const join = parts => parts.filter(Boolean).join(' &middot; ');
+    const details = [
+        ['lot.commodity', 'Commodity', `<span data-i18n="commodities.${id}.fullName">${commodity.fullName}</span>`],
+        ['commodity.hsCode', 'HS code', commodity.hsCode],
+        ['lot.harvest', 'Harvest season', escapeHtml(harvestRange(lot, format))],
+        ['lot.quantity', 'Quantity', lot.quantity && join([
+            `${format.number.format(lot.quantity.value)} ${escapeHtml(lot.quantity.unit)}`,
+            lot.quantity.bags && `${format.number.format(lot.quantity.bags)} <span data-i18n="lot.bags">bags</span>`
+        ])],
+        ['lot.cooperative', 'Cooperative', join([
+            escapeHtml(lot.cooperative.name),
+            escapeHtml(lot.cooperative.location),
+            lot.cooperative.members && `${format.number.format(lot.cooperative.members)} <span data-i18n="lot.members">members</span>`
+        ])],
+        ['lot.processed', 'Processed', join([date(lot.processing.date), escapeHtml(lot.processing.site), escapeHtml(lot.processing.description)])],
+        ['lot.inspected', 'Inspected', join([date(lot.inspection.date), escapeHtml(lot.inspection.body), escapeHtml(lot.inspection.reference)])],
+        ['lot.shipment', 'Shipment', lot.shipment && `<a href="/track?ref=${encodeURIComponent(lot.shipment)}" data-route="/track?ref=${encodeURIComponent(lot.shipment)}">${escapeHtml(lot.shipment)}</a>`]
+    ].filter(([, , value]) => value);
+    const checks = [
+        ['lot.deforestationFree', 'Deforestation-free', yesNo(compliance.deforestationFree)],
+        ['lot.cutoff', 'Cut-off date', date(compliance.cutoffDate)],
+        ['lot.legal', 'Legally produced', yesNo(compliance.legal)],
+        ['lot.risk', 'Risk assessment', compliance.risk && `<span data-i18n="lot.risks.${compliance.risk}">${escapeHtml(compliance.risk)}</span>`],
+        ['lot.statement', 'Due-diligence statement', compliance.eudr && escapeHtml(compliance.statement)]
+    ].filter(([, , value]) => value);
+    const row = ([key, label, value]) => `<tr><th scope="row" data-i18n="${key}">${label}</th><td>${value}</td></tr>`;
+
+    return `
+        <article class="lot-page" aria-labelledby="lot-title">
+            <header class="commodity-hero" style="background-image: url('${commodity.image}');">
+                <div class="container">
+                    <a class="commodity-back" href="/products/${id}" data-route="/products/${id}">&larr; <span data-i18n="commodities.${id}.fullName">${commodity.fullName}</span></a>
+                    <p class="lot-kicker" data-i18n="lot.kicker">Lot Traceability</p>
+                    <h1 class="commodity-title" id="lot-title"><span data-i18n="lot.lot">Lot</span> ${escapeHtml(lot.id)}</h1>
+                    ${compliance.deforestationFree ? `
+                    <p class="lot-badge">&check; <span data-i18n="lot.deforestationFree">Deforestation-free</span>${compliance.eudr ? ' &middot; EUDR' : ''}</p>` : ''}
+                </div>
+            </header>
+
+            <section class="section">
+                <div class="container commodity-grid">
+                    <div class="commodity-block">
+                        <h2 class="commodity-heading" data-i18n="lot.details">Lot Details</h2>
+                        <table class="spec-table">
+                            <tbody>
+                                ${details.map(row).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div class="commodity-block">
+                        <h2 class="commodity-heading" data-i18n="lot.origin">Farm Origin</h2>
+                        <canvas class="lot-map" role="img" aria-label="Map of the farm plots in this lot"
+                            data-i18n-attr="aria-label:lot.mapLabel"></canvas>
+                        <p class="lot-map-note" data-i18n="lot.mapNote">Plot boundaries surveyed by GPS. Outline of Guinea from Natural Earth.</p>
+                    </div>
+                </div>
+            </section>
+
+            <section class="section dark-bg">
+                <div class="container commodity-block">
+                    <h2 class="commodity-heading" data-i18n="lot.plots">Farm Plots</h2>
+                    <div class="lot-plots-scroll">
+                        <table class="spec-table lot-plots">
+                            <thead>
+                                <tr>
+                                    <th scope="col" data-i18n="lot.plot">Plot</th>
+                                    <th scope="col" data-i18n="lot.village">Village</th>
+                                    <th scope="col" data-i18n="lot.producer">Producer</th>
+                                    <th scope="col" data-i18n="lot.area">Area (ha)</th>
+                                    <th scope="col" data-i18n="lot.center">Centre (lat, lon)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${lot.plots.map(plot => `
+                                <tr data-plot="${escapeHtml(plot.id)}" tabindex="0">
+                                    <th scope="row">${escapeHtml(plot.id)}</th>
+                                    <td>${escapeHtml(plot.village)}</td>
+                                    <td>${escapeHtml(plot.producer)}</td>
+                                    <td>${format.area.format(plot.areaHa)}</td>
+                                    <td>${format.coordinate.format(plot.center[1])}, ${format.coordinate.format(plot.center[0])}</td>
+                                </tr>`).join('')}
+                            </tbody>
+                            <tfoot>
+                                <tr>
+                                    <th scope="row" colspan="3" data-i18n="lot.total">Total</th>
+                                    <td>${format.area.format(lot.totalArea)}</td>
+                                    <td></td>
+                                </tr>
+                            </tfoot>
+                        </table>
+                    </div>
+                </div>
+            </section>
+
+            <section class="section">
+                <div class="container commodity-block">
+                    <h2 class="commodity-heading" data-i18n="lot.compliance">Due Diligence</h2>
+                    <table class="spec-table">
+                        <tbody>
+                            ${checks.map(row).join('')}
+                        </tbody>
+                    </table>
+                    <p class="lot-dds-text" data-i18n="lot.ddsText">The summary and the plot file carry what an importer's due-diligence statement asks for: product, quantity, country of production and the geolocation of every plot.</p>
+                    <div class="viewer-controls">
+                        <button type="button" class="viewer-btn lot-dds" data-i18n="lot.downloadDds">Download due-diligence summary (PDF)</button>
+                        <button type="button" class="viewer-btn lot-geojson" data-i18n="lot.downloadGeojson">Download plot boundaries (GeoJSON)</button>
+                    </div>
+                    <p class="lot-download-status" role="status" aria-live="polite"></p>
+                </div>
+            </section>
+        </article>`;
+}
+
+// <title> and meta description of a page; `view` is the route's view and
+// `section` the home section it scrolls to, if any.
+export function pageMeta({ view, section, commodity, lot }, t) {
+    if (commodity) {
+        return {
+            title: t('commodity.title', { name: t(`commodities.${commodity.id}.fullName`, null, commodity.fullName) }),
+            description: t(`commodities.${commodity.id}.overview`, null, commodity.overview)
+        };
+    }
+    if (section) {
+        return {
+            title: t('meta.pageTitle', { name: t(`nav.${section}`) }),
+            description: t(`meta.descriptions.${section}`)
+        };
+    }
+    if (lot) {
+        const name = t(`commodities.${lot.commodity.id}.fullName`, null, lot.commodity.fullName);
+        return {
+            title: t('meta.pageTitle', { name: `${t('lot.lot')} ${lot.id}` }),
+            description: t('meta.descriptions.lot', { name, cooperative: lot.cooperative.name, plots: lot.plots.length })
+        };
+    }
+    if (view === 'lot') return { title: t('meta.pageTitle', { name: t('lot.kicker') }), description: t('meta.description') };
+    if (view === 'track') {
+        return { title: t('meta.pageTitle', { name: t('track.title') }), description: t('meta.descriptions.track') };
+    }
+    return { title: t('meta.title'), description: t('meta.description') };
+}
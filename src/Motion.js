@@ -0,0 +1,64 @@
+const STORAGE_KEY = 'glocal-motion';
+
+// Single source of truth for whether decorative motion should run. Follows
+// `prefers-reduced-motion` until the visitor picks a side with the toggle;
+// that choice is remembered. Effects read `motion.reduced` when they start
+// and listen for `motionchange` on document to adapt while running.
+export class MotionPolicy {
+    constructor() {
+        this.query = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.preference = this.readPreference();
+        this.query.addEventListener('change', () => {
+            if (!this.preference) this.notify();
+        });
+        this.applyClass();
+    }
+
+    readPreference() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return stored === 'reduce' || stored === 'full' ? stored : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    get reduced() {
+        return this.preference ? this.preference === 'reduce' : this.query.matches;
+    }
+
+    // 'reduce', 'full', or null to follow the OS setting again.
+    setPreference(preference) {
+        this.preference = preference;
+        try {
+            if (preference) localStorage.setItem(STORAGE_KEY, preference);
+            else localStorage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            // Storage may be unavailable (private mode); the choice still applies to this visit.
+        }
+        this.notify();
+    }
+
+    toggle() {
+        this.setPreference(this.reduced ? 'full' : 'reduce');
+    }
+
+    applyClass() {
+        document.documentElement.classList.toggle('reduce-motion', this.reduced);
+    }
+
+    notify() {
+        this.applyClass();
+        document.dispatchEvent(new CustomEvent('motionchange', { detail: { reduced: this.reduced } }));
+    }
+
+    // Keeps a toggle button's pressed state in sync with the policy.
+    bindToggle(button) {
+        const sync = () => button.setAttribute('aria-pressed', String(this.reduced));
+        button.addEventListener('click', () => this.toggle());
+        document.addEventListener('motionchange', sync);
+        sync();
+    }
+}
+
+export const motion = new MotionPolicy();
@@ -0,0 +1,63 @@
+const DB_NAME = 'glocal-outbox';
+const DB_VERSION = 1;
+const STORE = 'submissions';
+
+// Persistent queue of form submissions that could not be delivered, kept in
+// IndexedDB so they survive reloads and closed tabs until the next flush.
+// Records are `{ id, payload, createdAt, attempts }`.
+export class Outbox {
+    constructor(name = DB_NAME) {
+        this.name = name;
+        this.db = null;
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(this.name, DB_VERSION);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // A failed open (private mode, blocked storage) may succeed later.
+            this.db.catch(() => { this.db = null; });
+        }
+        return this.db;
+    }
+
+    // Runs one request in its own transaction and resolves once it commits.
+    async request(mode, run) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const request = run(transaction.objectStore(STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    add(payload) {
+        return this.request('readwrite', store => store.add({ payload, createdAt: Date.now(), attempts: 0 }));
+    }
+
+    all() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    count() {
+        return this.request('readonly', store => store.count());
+    }
+
+    update(record) {
+        return this.request('readwrite', store => store.put(record));
+    }
+
+    remove(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+}
@@ -1,60 +1,231 @@
 import * as THREE from 'three';
 
+// Emitter presets. Ranges are [min, max]; `area` emitters spawn anywhere in
+// a box instead of around an origin. Velocities/accelerations are per second.
+const EMITTERS = {
+    trail: {
+        count: 3, life: [0.6, 1.2], size: [0.12, 0.25], speed: [0.2, 0.8], spread: 0.2,
+        acceleration: [0, 0.6, 0], colors: [0xd9a441, 0xf2d28b]
+    },
+    dust: {
+        count: 8, life: [0.8, 1.6], size: [0.2, 0.45], speed: [0.6, 1.8], spread: 0.3, upward: true,
+        acceleration: [0, -0.6, 0], colors: [0xc8b48f, 0xa8926b, 0xe0d3b4]
+    },
+    sparkle: {
+        count: 24, life: [0.5, 1], size: [0.08, 0.2], speed: [1.5, 4],
+        acceleration: [0, -2, 0], colors: [0xffd700, 0xfff3c4, 0xffffff]
+    },
+    // Slow drifting motes in the commodity colours; replaces the old DOM emoji.
+    ambient: {
+        count: 1, life: [8, 14], size: [0.15, 0.35], speed: [0.05, 0.3],
+        area: { x: [-18, 18], y: [1, 14], z: [-10, 6] },
+        acceleration: [0, 0.04, 0], colors: [0xe0b24a, 0xb5835a, 0x5e3423, 0x6b8e23]
+    }
+};
+
+const vertexShader = /* glsl */`
+    uniform float uTime;
+    attribute vec3 aOrigin;
+    attribute vec3 aVelocity;
+    attribute vec3 aAcceleration;
+    attribute vec3 aColor;
+    attribute vec2 aTime; // birth, lifetime
+    attribute float aSize;
+    varying vec3 vColor;
+    varying float vAlpha;
+    varying vec2 vUv;
+
+    void main() {
+        float age = uTime - aTime.x;
+        float t = age / aTime.y;
+        vUv = uv;
+        vColor = aColor;
+        if (t < 0.0 || t > 1.0) {
+            vAlpha = 0.0;
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            return;
+        }
+
+        vec3 p = aOrigin + aVelocity * age + 0.5 * aAcceleration * age * age;
+        vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+        mvPosition.xy += position.xy * aSize * (1.0 - 0.5 * t);
+        gl_Position = projectionMatrix * mvPosition;
+        vAlpha = smoothstep(0.0, 0.1, t) * (1.0 - smoothstep(0.6, 1.0, t));
+    }
+`;
+
+const fragmentShader = /* glsl */`
+    uniform float uOpacity;
+    varying vec3 vColor;
+    varying float vAlpha;
+    varying vec2 vUv;
+
+    void main() {
+        float d = length(vUv - 0.5) * 2.0;
+        float alpha = (1.0 - smoothstep(0.4, 1.0, d)) * vAlpha * uOpacity;
+        if (alpha < 0.01) discard;
+        gl_FragColor = vec4(vColor, alpha);
+        #include <colorspace_fragment>
+    }
+`;
+
+const ATTRIBUTES = {
+    aOrigin: 3,
+    aVelocity: 3,
+    aAcceleration: 3,
+    aColor: 3,
+    aTime: 2,
+    aSize: 1
+};
+
+const random = ([min, max]) => min + Math.random() * (max - min);
+const color = new THREE.Color();
+const direction = new THREE.Vector3();
+
+// One preallocated instanced buffer drawn in a single call. Particles are
+// written into a ring buffer and animated entirely in the vertex shader, so
+// the CPU only touches the slots it emits into. `limit` is the live cap and
+// can be lowered at runtime down from the allocated `capacity`.
 export class Particles {
-    constructor(scene) {
+    constructor(scene, { maxParticles = 2500 } = {}) {
         this.scene = scene;
-        this.systems = [];
-    }
-
-    createTrail(position) {
-        const count = 20;
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(count * 3);
-        const velocities = [];
-
-        for (let i = 0; i < count; i++) {
-            positions[i * 3] = position.x;
-            positions[i * 3 + 1] = position.y;
-            positions[i * 3 + 2] = position.z;
-            velocities.push(new THREE.Vector3(
-                (Math.random() - 0.5) * 0.2,
-                (Math.random() - 0.5) * 0.2,
-                (Math.random() - 0.5) * 0.2
-            ));
-        }
+        this.capacity = maxParticles;
+        this.limit = maxParticles;
+        this.cursor = 0;
+        this.time = 0;
+        this.emitters = [];
+        this.dirty = null;
+
+        const quad = new THREE.PlaneGeometry(1, 1);
+        this.geometry = new THREE.InstancedBufferGeometry();
+        this.geometry.index = quad.index;
+        this.geometry.setAttribute('position', quad.getAttribute('position'));
+        this.geometry.setAttribute('uv', quad.getAttribute('uv'));
+        Object.entries(ATTRIBUTES).forEach(([name, size]) => {
+            const attribute = new THREE.InstancedBufferAttribute(new Float32Array(this.capacity * size), size);
+            attribute.setUsage(THREE.DynamicDrawUsage);
+            this.geometry.setAttribute(name, attribute);
+        });
+        // Park every slot in the past so nothing draws until it is emitted.
+        const times = this.geometry.getAttribute('aTime');
+        for (let i = 0; i < this.capacity; i++) times.setXY(i, -1e6, 1);
+        this.geometry.instanceCount = this.limit;
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        const material = new THREE.PointsMaterial({
-            color: 0xffd700,
-            size: 0.1,
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uOpacity: { value: 0.85 }
+            },
+            vertexShader,
+            fragmentShader,
             transparent: true,
-            opacity: 0.8
+            depthWrite: false
         });
 
-        const points = new THREE.Points(geometry, material);
-        this.scene.add(points);
-        this.systems.push({ points, velocities, life: 1.0 });
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        this.mesh.frustumCulled = false;
+        this.scene.add(this.mesh);
+    }
+
+    setLimit(count) {
+        this.limit = Math.max(1, Math.min(count, this.capacity));
+        this.geometry.instanceCount = this.limit;
+        this.cursor %= this.limit;
+    }
+
+    setQuality(settings) {
+        this.setLimit(settings.maxParticles);
     }
 
-    update() {
-        for (let i = this.systems.length - 1; i >= 0; i--) {
-            const system = this.systems[i];
-            const positions = system.points.geometry.attributes.position.array;
+    emit(name, origin, overrides = {}) {
+        const config = { ...EMITTERS[name], ...overrides };
+        for (let i = 0; i < config.count; i++) this.spawn(config, origin, 0);
+    }
 
-            for (let j = 0; j < system.velocities.length; j++) {
-                positions[j * 3] += system.velocities[j].x;
-                positions[j * 3 + 1] += system.velocities[j].y;
-                positions[j * 3 + 2] += system.velocities[j].z;
-            }
+    // Continuous emitter; `rate` is particles per second. Area emitters are
+    // prewarmed so they start out full instead of fading in.
+    addEmitter(name, { origin = null, rate = 10, ...overrides } = {}) {
+        const config = { ...EMITTERS[name], ...overrides };
+        const emitter = { config, origin, rate, accumulator: 0 };
+        if (config.area) {
+            const prewarm = Math.min(Math.round(rate * config.life[1]), this.limit);
+            for (let i = 0; i < prewarm; i++) this.spawn(config, origin, Math.random() * config.life[0]);
+        }
+        this.emitters.push(emitter);
+        return emitter;
+    }
+
+    removeEmitter(emitter) {
+        this.emitters = this.emitters.filter(e => e !== emitter);
+    }
 
-            system.points.geometry.attributes.position.needsUpdate = true;
-            system.life -= 0.02;
-            system.points.material.opacity = system.life;
+    spawn(config, origin, age) {
+        const i = this.cursor;
+        this.cursor = (this.cursor + 1) % this.limit;
+        const attributes = this.geometry.attributes;
 
-            if (system.life <= 0) {
-                this.scene.remove(system.points);
-                this.systems.splice(i, 1);
-            }
+        if (config.area) {
+            const { x, y, z } = config.area;
+            attributes.aOrigin.setXYZ(i, random(x), random(y), random(z));
+        } else {
+            const spread = config.spread || 0;
+            attributes.aOrigin.setXYZ(
+                i,
+                origin.x + THREE.MathUtils.randFloatSpread(spread * 2),
+                origin.y + THREE.MathUtils.randFloatSpread(spread * 2),
+                origin.z + THREE.MathUtils.randFloatSpread(spread * 2)
+            );
         }
+
+        direction.randomDirection();
+        if (config.upward) direction.y = Math.abs(direction.y);
+        direction.multiplyScalar(random(config.speed));
+        attributes.aVelocity.setXYZ(i, direction.x, direction.y, direction.z);
+        attributes.aAcceleration.setXYZ(i, ...config.acceleration);
+
+        color.set(config.colors[Math.floor(Math.random() * config.colors.length)]);
+        attributes.aColor.setXYZ(i, color.r, color.g, color.b);
+        attributes.aTime.setXY(i, this.time - age, random(config.life));
+        attributes.aSize.setX(i, random(config.size));
+
+        this.markDirty(i);
+    }
+
+    markDirty(index) {
+        if (!this.dirty) {
+            this.dirty = { start: index, end: index };
+        } else {
+            this.dirty.start = Math.min(this.dirty.start, index);
+            this.dirty.end = Math.max(this.dirty.end, index);
+        }
+    }
+
+    update(delta) {
+        this.time += delta;
+        this.material.uniforms.uTime.value = this.time;
+
+        this.emitters.forEach(emitter => {
+            emitter.accumulator += delta * emitter.rate;
+            const count = Math.min(Math.floor(emitter.accumulator), this.limit);
+            emitter.accumulator -= Math.floor(emitter.accumulator);
+            for (let i = 0; i < count; i++) this.spawn(emitter.config, emitter.origin, 0);
+        });
+
+        // Upload only the slots written this frame.
+        if (!this.dirty) return;
+        const { start, end } = this.dirty;
+        Object.entries(ATTRIBUTES).forEach(([name, size]) => {
+            const attribute = this.geometry.getAttribute(name);
+            attribute.clearUpdateRanges();
+            attribute.addUpdateRange(start * size, (end - start + 1) * size);
+            attribute.needsUpdate = true;
+        });
+        this.dirty = null;
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.geometry.dispose();
+        this.material.dispose();
     }
 }
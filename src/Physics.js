@@ -1,49 +1,173 @@
+import * as THREE from 'three';
+
+const FIXED_STEP = 1 / 60;
+const MAX_STEPS = 5; // Drop simulation time rather than spiral after a long frame
+const IMPACT_SPEED = 3; // Landing speed (units/s) that counts as an impact
+
+const delta = new THREE.Vector3();
+const velocity = new THREE.Vector3();
+const acceleration = new THREE.Vector3();
+
+// Small Verlet integrator for decorative bodies: spheres that fall onto a
+// ground plane, push each other apart and get shoved by a cursor force field.
+// Bodies are pooled per `kind` so meshes are reused instead of re-created.
 export class Physics {
-    constructor() {
-        this.gravity = -9.8; // Antigravity (upward)
-        this.damping = 0.98;
+    constructor({ gravity = -9.8, damping = 0.995, groundY = 0, restitution = 0.3, friction = 0.85, bounds = 80 } = {}) {
+        this.gravity = gravity;
+        this.damping = damping;
+        this.groundY = groundY;
+        this.restitution = restitution;
+        this.friction = friction;
+        this.bounds = bounds;
+
         this.objects = [];
-        this.dt = 0.016; // Approx 60 FPS
+        this.pool = new Map();
+        this.accumulator = 0;
+        this.field = { active: false, position: new THREE.Vector3(), radius: 4, strength: 60 };
+        this.onImpact = null; // (obj, speed) => void, called when a body lands hard
     }
 
-    addObject(mesh, initialVelocity = { x: 0, y: 0, z: 0 }) {
+    addObject(mesh, { velocity: initialVelocity = { x: 0, y: 0, z: 0 }, radius = 0.5, kind = 'default', lifetime = Infinity } = {}) {
         const obj = {
-            mesh: mesh,
+            mesh,
+            kind,
+            radius,
+            lifetime,
+            age: 0,
             pos: mesh.position.clone(),
-            oldPos: mesh.position.clone().sub(initialVelocity),
-            velocity: new THREE.Vector3(initialVelocity.x, initialVelocity.y, initialVelocity.z)
+            oldPos: new THREE.Vector3()
         };
+        this.setVelocity(obj, initialVelocity);
         this.objects.push(obj);
         return obj;
     }
 
-    update() {
-        this.objects.forEach(obj => {
-            // Verlet Integration
-            const tempPos = obj.pos.clone();
+    // Reuse a recycled body of the same kind, or build a new mesh with `create`.
+    spawn(kind, create, position, options = {}) {
+        const pooled = this.pool.get(kind);
+        const obj = pooled && pooled.length ? pooled.pop() : null;
+        if (!obj) {
+            const mesh = create();
+            mesh.position.copy(position);
+            return this.addObject(mesh, { ...options, kind });
+        }
+
+        obj.age = 0;
+        obj.lifetime = options.lifetime ?? Infinity;
+        obj.radius = options.radius ?? obj.radius;
+        obj.pos.copy(position);
+        this.setVelocity(obj, options.velocity || { x: 0, y: 0, z: 0 });
+        obj.mesh.position.copy(position);
+        obj.mesh.visible = true;
+        this.objects.push(obj);
+        return obj;
+    }
+
+    recycle(obj) {
+        const index = this.objects.indexOf(obj);
+        if (index === -1) return;
+        this.objects.splice(index, 1);
+        obj.mesh.visible = false;
+        if (!this.pool.has(obj.kind)) this.pool.set(obj.kind, []);
+        this.pool.get(obj.kind).push(obj);
+    }
+
+    // Velocities are in units per second; Verlet stores them as the offset
+    // between the current and previous position over one fixed step.
+    setVelocity(obj, { x, y, z }) {
+        obj.oldPos.set(obj.pos.x - x * FIXED_STEP, obj.pos.y - y * FIXED_STEP, obj.pos.z - z * FIXED_STEP);
+    }
+
+    setForceField(position, { radius = this.field.radius, strength = this.field.strength } = {}) {
+        this.field.position.copy(position);
+        this.field.radius = radius;
+        this.field.strength = strength;
+        this.field.active = true;
+    }
+
+    clearForceField() {
+        this.field.active = false;
+    }
+
+    update(frameDelta) {
+        this.accumulator += Math.min(frameDelta, MAX_STEPS * FIXED_STEP);
+        while (this.accumulator >= FIXED_STEP) {
+            this.step(FIXED_STEP);
+            this.accumulator -= FIXED_STEP;
+        }
+
+        this.objects.forEach(obj => obj.mesh.position.copy(obj.pos));
+    }
 
-            // Calculate velocity from current and old position
-            const vel = obj.pos.clone().sub(obj.oldPos).multiplyScalar(this.damping);
+    step(dt) {
+        for (let i = this.objects.length - 1; i >= 0; i--) {
+            const obj = this.objects[i];
+            obj.age += dt;
 
-            // Apply gravity (antigravity)
-            vel.y -= this.gravity * this.dt * this.dt * 100; // Multiplier to make it visible
+            velocity.subVectors(obj.pos, obj.oldPos).multiplyScalar(this.damping);
+            acceleration.set(0, this.gravity, 0);
+            this.applyField(obj, acceleration);
 
-            // Update position
-            obj.pos.add(vel);
-            obj.oldPos.copy(tempPos);
+            obj.oldPos.copy(obj.pos);
+            obj.pos.add(velocity).addScaledVector(acceleration, dt * dt);
 
-            // Update mesh
-            obj.mesh.position.copy(obj.pos);
+            // Roll with the horizontal movement.
+            obj.mesh.rotation.x += velocity.z / obj.radius;
+            obj.mesh.rotation.z -= velocity.x / obj.radius;
+
+            if (obj.age > obj.lifetime || Math.abs(obj.pos.x) > this.bounds || Math.abs(obj.pos.z) > this.bounds || obj.pos.y < this.groundY - 50) {
+                this.recycle(obj);
+            }
+        }
+
+        this.collideBodies();
+        this.objects.forEach(obj => this.collideGround(obj));
+    }
+
+    applyField(obj, target) {
+        if (!this.field.active) return;
+        delta.subVectors(obj.pos, this.field.position);
+        const distance = delta.length();
+        if (distance >= this.field.radius) return;
+
+        // Push outwards and slightly up so bodies hop away from the cursor.
+        delta.y = Math.max(delta.y, 0) + this.field.radius * 0.5;
+        delta.normalize().multiplyScalar(this.field.strength * (1 - distance / this.field.radius));
+        target.add(delta);
+    }
+
+    collideGround(obj) {
+        const floor = this.groundY + obj.radius;
+        if (obj.pos.y >= floor) return;
+
+        const vy = obj.pos.y - obj.oldPos.y;
+        const speed = -vy / FIXED_STEP;
+        if (this.onImpact && speed > IMPACT_SPEED) this.onImpact(obj, speed);
+        obj.pos.y = floor;
+        obj.oldPos.y = floor + vy * this.restitution;
+
+        // Ground friction bleeds off horizontal speed.
+        obj.oldPos.x = obj.pos.x - (obj.pos.x - obj.oldPos.x) * this.friction;
+        obj.oldPos.z = obj.pos.z - (obj.pos.z - obj.oldPos.z) * this.friction;
+    }
 
-            // Continuous rotation
-            obj.mesh.rotation.x += 0.02;
-            obj.mesh.rotation.y += 0.01;
+    collideBodies() {
+        const count = this.objects.length;
+        for (let i = 0; i < count; i++) {
+            const a = this.objects[i];
+            for (let j = i + 1; j < count; j++) {
+                const b = this.objects[j];
+                const minDistance = a.radius + b.radius;
+                delta.subVectors(a.pos, b.pos);
+                const distanceSq = delta.lengthSq();
+                if (distanceSq >= minDistance * minDistance || distanceSq === 0) continue;
 
-            // Remove if way out of bounds
-            if (obj.pos.y > 100 || obj.pos.y < -50) {
-                // We'll handle removal in the main loop or pooling
+                const distance = Math.sqrt(distanceSq);
+                delta.multiplyScalar((minDistance - distance) / distance * 0.5);
+                a.pos.add(delta);
+                b.pos.sub(delta);
             }
-        });
+        }
     }
 
     setGravity(value) {
@@ -0,0 +1,132 @@
+const PADDING = { top: 16, right: 12, bottom: 24, left: 64 };
+
+// Colours come from the page's custom properties, so the charts follow the theme.
+function themeColors(element) {
+    const styles = getComputedStyle(element);
+    const read = (name) => styles.getPropertyValue(name).trim();
+    return { line: read('--primary'), text: read('--secondary'), grid: read('--border'), up: read('--price-up'), down: read('--price-down') };
+}
+
+// Sizes the backing store to the element's CSS box at the device pixel ratio;
+// returns the context scaled to CSS pixels, or null while the canvas is not laid out.
+function prepare(canvas) {
+    const { clientWidth: width, clientHeight: height } = canvas;
+    if (!width || !height) return null;
+    const ratio = Math.min(window.devicePixelRatio || 1, 2);
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    return { ctx, width, height };
+}
+
+// A round step (1, 2, 2.5 or 5 × 10ⁿ) giving about `count` gridlines over `range`.
+function niceStep(range, count) {
+    const raw = range / count;
+    const magnitude = 10 ** Math.floor(Math.log10(raw));
+    return [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(step => step >= raw);
+}
+
+function extent(points) {
+    const prices = points.map(point => point.price);
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const pad = (max - min || max * 0.05) * 0.1;
+    return [min - pad, max + pad];
+}
+
+// A bare trend line, coloured by whether the period ended up or down.
+export function drawSparkline(canvas, points) {
+    const frame = prepare(canvas);
+    if (!frame || points.length < 2) return;
+    const { ctx, width, height } = frame;
+    const colors = themeColors(canvas);
+    const [low, high] = extent(points);
+    const x = (i) => (i / (points.length - 1)) * (width - 2) + 1;
+    const y = (price) => height - 1 - ((price - low) / (high - low)) * (height - 2);
+
+    ctx.beginPath();
+    points.forEach((point, i) => (i ? ctx.lineTo(x(i), y(point.price)) : ctx.moveTo(x(i), y(point.price))));
+    ctx.strokeStyle = points[points.length - 1].price >= points[0].price ? colors.up : colors.down;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+}
+
+// Price history with a filled area, gridlines at round prices and the first
+// and last dates. Redraws itself when the canvas is resized; call draw() again
+// on theme or locale change.
+export class PriceChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.points = [];
+        this.formatPrice = String;
+        this.formatDate = (date) => date.toISOString().slice(0, 10);
+        this.observer = new ResizeObserver(() => this.draw());
+        this.observer.observe(canvas);
+    }
+
+    setData(points, { formatPrice, formatDate } = {}) {
+        this.points = points;
+        if (formatPrice) this.formatPrice = formatPrice;
+        if (formatDate) this.formatDate = formatDate;
+        this.draw();
+    }
+
+    draw() {
+        const frame = prepare(this.canvas);
+        const points = this.points;
+        if (!frame || points.length < 2) return;
+        const { ctx, width, height } = frame;
+        const colors = themeColors(this.canvas);
+        const [low, high] = extent(points);
+        const left = PADDING.left;
+        const right = width - PADDING.right;
+        const top = PADDING.top;
+        const bottom = height - PADDING.bottom;
+        const start = points[0].date.getTime();
+        const span = points[points.length - 1].date.getTime() - start || 1;
+        const x = (date) => left + ((date.getTime() - start) / span) * (right - left);
+        const y = (price) => bottom - ((price - low) / (high - low)) * (bottom - top);
+
+        ctx.font = '11px Outfit, sans-serif';
+        ctx.fillStyle = colors.text;
+        ctx.strokeStyle = colors.grid;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        const step = niceStep(high - low, 3);
+        for (let price = Math.ceil(low / step) * step; price <= high; price += step) {
+            const lineY = Math.round(y(price)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(left, lineY);
+            ctx.lineTo(right, lineY);
+            ctx.stroke();
+            ctx.fillText(this.formatPrice(price), left - 6, lineY);
+        }
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(this.formatDate(points[0].date), left, bottom + 8);
+        ctx.textAlign = 'right';
+        ctx.fillText(this.formatDate(points[points.length - 1].date), right, bottom + 8);
+
+        ctx.beginPath();
+        points.forEach((point, i) => (i ? ctx.lineTo(x(point.date), y(point.price)) : ctx.moveTo(x(point.date), y(point.price))));
+        ctx.strokeStyle = colors.line;
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+
+        ctx.lineTo(right, bottom);
+        ctx.lineTo(left, bottom);
+        ctx.closePath();
+        ctx.globalAlpha = 0.08;
+        ctx.fillStyle = colors.line;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+    }
+
+    dispose() {
+        this.observer.disconnect();
+    }
+}
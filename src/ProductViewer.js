@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+import { gsap } from 'gsap';
+import { quality, applyRendererQuality } from './Quality.js';
+import { getCommodity } from './data/commodities.js';
+import { t } from './I18n.js';
+import { theme } from './Theme.js';
+
+const DEFAULT_ZOOM = 10;
+const MIN_ZOOM = 4;
+const MAX_ZOOM = 20;
+const ROTATE_SPEED = 0.01;
+const KEY_STEP = 0.15;
+
+export class ProductViewer {
+    constructor(containerId, assets) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+        this.assets = assets;
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(45, this.container.clientWidth / this.container.clientHeight, 0.1, 100);
+        this.camera.position.z = DEFAULT_ZOOM;
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: quality.settings.antialias, alpha: true });
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+        this.container.appendChild(this.renderer.domElement);
+
+        this.setupLights();
+        this.currentMesh = null;
+        this.currentType = null;
+        this.isDragging = false;
+        this.autoRotate = true;
+        this.pointers = new Map();
+        this.pinchDistance = 0;
+        this.rotated = false; // By the visitor, since the last `viewerrotate`
+
+        this.pivot = new THREE.Group();
+        this.scene.add(this.pivot);
+
+        // Aborted by dispose(); the container can outlive the viewer.
+        this.listeners = new AbortController();
+        this.initInteractions();
+        window.addEventListener('resize', () => this.onResize(), { signal: this.listeners.signal });
+        document.addEventListener('themechange', (e) => this.applyTheme(e.detail.palette), { signal: this.listeners.signal });
+    }
+
+    // Colours come from the theme palette (applyTheme).
+    setupLights() {
+        this.ambientLight = new THREE.AmbientLight();
+        this.scene.add(this.ambientLight);
+        this.keyLight = new THREE.DirectionalLight();
+        this.keyLight.position.set(4, 6, 8);
+        this.scene.add(this.keyLight);
+        this.fillLight = new THREE.PointLight(0xffffff, 1, 50);
+        this.fillLight.position.set(-5, -3, 5);
+        this.scene.add(this.fillLight);
+        this.applyTheme(theme.palette);
+    }
+
+    applyTheme(palette) {
+        this.ambientLight.color.set(palette.ambient);
+        this.ambientLight.intensity = 0.6 * palette.lightScale;
+        this.keyLight.color.set(palette.key);
+        this.keyLight.intensity = 2 * palette.lightScale;
+        this.fillLight.color.set(palette.fill);
+    }
+
+    setProduct(type) {
+        if (type === this.currentType) return;
+
+        const commodity = getCommodity(type);
+        if (!commodity || typeof this.assets[commodity.asset] !== 'function') return;
+
+        const model = this.assets[commodity.asset]({ ...commodity.assetOptions, detail: 'high' });
+
+        this.clearProduct();
+
+        // Assets share geometry/material between instances, so the viewer
+        // takes its own copies that it is free to dispose later.
+        model.traverse(child => {
+            if (!child.isMesh) return;
+            child.geometry = child.geometry.clone();
+            child.material = child.material.clone();
+        });
+
+        // Models are not all built around their centre, so wrap them in a
+        // group that is scaled while the model itself is offset to the middle.
+        const center = new THREE.Box3().setFromObject(model).getCenter(new THREE.Vector3());
+        model.position.sub(center);
+        const mesh = new THREE.Group();
+        mesh.add(model);
+        mesh.scale.setScalar(commodity.viewerScale);
+
+        this.currentMesh = mesh;
+        this.currentType = type;
+        this.pivot.add(mesh);
+        gsap.from(mesh.scale, { x: 0, y: 0, z: 0, duration: 0.5, ease: "back.out" });
+
+        this.updateLabel();
+        this.container.dispatchEvent(new CustomEvent('productchange', { detail: { type } }));
+    }
+
+    updateLabel() {
+        const commodity = getCommodity(this.currentType);
+        if (!commodity) return;
+        const name = t(`commodities.${commodity.id}.fullName`, null, commodity.fullName);
+        this.container.setAttribute('aria-label', t('products.viewerLabel', { name }));
+    }
+
+    clearProduct() {
+        if (!this.currentMesh) return;
+        gsap.killTweensOf(this.currentMesh.scale);
+        this.pivot.remove(this.currentMesh);
+        this.currentMesh.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) [].concat(child.material).forEach(material => material.dispose());
+        });
+        this.currentMesh = null;
+        this.currentType = null;
+    }
+
+    initInteractions() {
+        const el = this.container;
+        const { signal } = this.listeners;
+
+        el.addEventListener('pointerdown', (e) => {
+            el.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.isDragging = true;
+            if (this.pointers.size === 2) this.pinchDistance = this.getPinchDistance();
+        }, { signal });
+
+        el.addEventListener('pointermove', (e) => {
+            const previous = this.pointers.get(e.pointerId);
+            if (!previous) return;
+            const current = { x: e.clientX, y: e.clientY };
+            this.pointers.set(e.pointerId, current);
+
+            if (this.pointers.size === 1) {
+                this.rotateBy((current.x - previous.x) * ROTATE_SPEED, (current.y - previous.y) * ROTATE_SPEED);
+            } else if (this.pointers.size === 2) {
+                const distance = this.getPinchDistance();
+                if (this.pinchDistance > 0) this.zoomBy((this.pinchDistance - distance) * 0.05);
+                this.pinchDistance = distance;
+            }
+        }, { signal });
+
+        const endPointer = (e) => {
+            this.pointers.delete(e.pointerId);
+            if (this.pointers.size < 2) this.pinchDistance = 0;
+            if (this.pointers.size === 0) {
+                this.isDragging = false;
+                this.endRotation();
+            }
+        };
+        el.addEventListener('pointerup', endPointer, { signal });
+        el.addEventListener('pointercancel', endPointer, { signal });
+        el.addEventListener('keyup', () => this.endRotation(), { signal });
+
+        el.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomBy(e.deltaY * 0.01);
+        }, { passive: false, signal });
+
+        el.addEventListener('keydown', (e) => {
+            switch (e.key) {
+                case 'ArrowLeft': this.rotateBy(-KEY_STEP, 0); break;
+                case 'ArrowRight': this.rotateBy(KEY_STEP, 0); break;
+                case 'ArrowUp': this.rotateBy(0, -KEY_STEP); break;
+                case 'ArrowDown': this.rotateBy(0, KEY_STEP); break;
+                case '+':
+                case '=': this.zoomBy(-1); break;
+                case '-':
+                case '_': this.zoomBy(1); break;
+                case '0':
+                case 'Home': this.reset(); break;
+                default: return;
+            }
+            e.preventDefault();
+        }, { signal });
+    }
+
+    getPinchDistance() {
+        const [a, b] = [...this.pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    rotateBy(dy, dx) {
+        this.pivot.rotation.y += dy;
+        this.pivot.rotation.x = THREE.MathUtils.clamp(this.pivot.rotation.x + dx, -Math.PI / 2, Math.PI / 2);
+        this.rotated = true;
+    }
+
+    // One `viewerrotate` per drag or key press that turned the model.
+    endRotation() {
+        if (!this.rotated) return;
+        this.rotated = false;
+        this.container.dispatchEvent(new CustomEvent('viewerrotate', { detail: { type: this.currentType } }));
+    }
+
+    zoomBy(delta) {
+        this.camera.position.z = THREE.MathUtils.clamp(this.camera.position.z + delta, MIN_ZOOM, MAX_ZOOM);
+    }
+
+    reset() {
+        gsap.to(this.pivot.rotation, { x: 0, y: 0, duration: 0.6, ease: "power2.out" });
+        gsap.to(this.camera.position, { z: DEFAULT_ZOOM, duration: 0.6, ease: "power2.out" });
+    }
+
+    setQuality(settings) {
+        applyRendererQuality(this.renderer, this.scene, settings);
+    }
+
+    onResize() {
+        const { clientWidth, clientHeight } = this.container;
+        if (!clientWidth || !clientHeight) return;
+        this.camera.aspect = clientWidth / clientHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(clientWidth, clientHeight);
+    }
+
+    dispose() {
+        this.listeners.abort();
+        this.clearProduct();
+        gsap.killTweensOf([this.pivot.rotation, this.camera.position]);
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.renderer.domElement.remove();
+    }
+
+    render() {
+        if (this.autoRotate && this.currentMesh && !this.isDragging) {
+            this.currentMesh.rotation.y += 0.005;
+        }
+        this.renderer.render(this.scene, this.camera);
+    }
+}
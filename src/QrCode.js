@@ -0,0 +1,328 @@
+// QR codes (ISO/IEC 18004) encoded in the browser, so contact cards need no
+// external service. Byte mode only, UTF-8: enough for links and vCards. The
+// smallest version (1–40) that fits the text at the requested error
+// correction level is used, with the mask scoring lowest on the standard
+// penalty rules.
+
+// Per level: format bits, then codewords of error correction per block and
+// number of blocks, indexed by version (index 0 unused).
+const LEVELS = {
+    L: {
+        format: 1,
+        eccPerBlock: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+    },
+    M: {
+        format: 0,
+        eccPerBlock: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        blocks: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+    },
+    Q: {
+        format: 3,
+        eccPerBlock: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68]
+    },
+    H: {
+        format: 2,
+        eccPerBlock: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    }
+};
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+const bit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Modules available for data and error correction, once the function
+// patterns are placed.
+function rawModules(version) {
+    let count = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        count -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) count -= 36;
+    }
+    return count;
+}
+
+function dataCodewords(version, level) {
+    return Math.floor(rawModules(version) / 8) - level.eccPerBlock[version] * level.blocks[version];
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1.
+function multiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = multiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = multiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= multiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+// Splits the data into blocks, appends each block's error correction and
+// interleaves them. Short blocks come first, one codeword shorter.
+function addErrorCorrection(data, version, level) {
+    const blockCount = level.blocks[version];
+    const eccLength = level.eccPerBlock[version];
+    const total = Math.floor(rawModules(version) / 8);
+    const shortBlocks = blockCount - (total % blockCount);
+    const shortLength = Math.floor(total / blockCount);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const chunk = data.slice(offset, offset + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+        offset += chunk.length;
+        const block = [...chunk, ...reedSolomonRemainder(chunk, divisor)];
+        if (i < shortBlocks) block.splice(chunk.length, 0, 0); // Placeholder, skipped below
+        blocks.push(block);
+    }
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+function alignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = version * 4 + 10; positions.length < count; position -= step) positions.splice(1, 0, position);
+    return positions;
+}
+
+class Matrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const { size, version } = this;
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+        // Finders, with their separators.
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) this.setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+        const positions = alignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => positions.forEach((cy, j) => {
+            // Not over the finders
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }));
+        this.drawFormat(0, 0); // Reserves the area; redrawn with the chosen mask
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                this.setFunction(a, b, bit(bits, i));
+                this.setFunction(b, a, bit(bits, i));
+            }
+        }
+    }
+
+    drawFormat(levelBits, mask) {
+        const { size } = this;
+        const data = (levelBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(bits, i));
+        this.setFunction(8, 7, bit(bits, 6));
+        this.setFunction(8, 8, bit(bits, 7));
+        this.setFunction(7, 8, bit(bits, 8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(bits, i));
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(bits, i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(bits, i));
+        this.setFunction(8, size - 8, true); // Always dark
+    }
+
+    // Zigzags up and down two-module columns from the right, skipping the
+    // vertical timing pattern.
+    drawCodewords(codewords) {
+        const { size } = this;
+        let index = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let step = 0; step < size; step++) {
+                const y = upward ? size - 1 - step : step;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (this.reserved[y][x] || index >= codewords.length * 8) continue;
+                    this.modules[y][x] = bit(codewords[index >>> 3], 7 - (index & 7));
+                    index++;
+                }
+            }
+        }
+    }
+
+    // Its own inverse: applying a mask twice restores the modules.
+    applyMask(mask) {
+        const test = MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && test(x, y)) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    penalty() {
+        const { size, modules } = this;
+        const column = x => modules.map(row => row[x]);
+        const lines = [...modules, ...Array.from({ length: size }, (_, x) => column(x))];
+        let score = 0;
+        lines.forEach(line => {
+            // Runs of five or more of one colour
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+            // Finder-like 1:1:3:1:1 with four light modules on one side
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            score += 40 * ((text.match(/(?=10111010000)/g)?.length ?? 0) + (text.match(/(?=00001011101)/g)?.length ?? 0));
+        });
+        // 2×2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const dark = modules[y][x];
+                if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) score += 3;
+            }
+        }
+        // Balance of dark and light, in 5 % steps away from half
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    }
+}
+
+// { version, size, modules } with modules[y][x] true for dark. Throws when
+// the text doesn't fit version 40 at the level.
+export function encodeQrCode(text, { level = 'M' } = {}) {
+    const ecc = LEVELS[level];
+    if (!ecc) throw new Error(`Unknown error correction level ${level}`);
+    const bytes = [...new TextEncoder().encode(text)];
+
+    let version = 1;
+    const countBits = v => (v < 10 ? 8 : 16);
+    while (4 + countBits(version) + bytes.length * 8 > dataCodewords(version, ecc) * 8) {
+        if (++version > 40) throw new Error('Text too long for a QR code');
+    }
+
+    // Mode, length, data, terminator, then padding to the capacity.
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    const capacity = dataCodewords(version, ecc) * 8;
+    push(0b0100, 4);
+    push(bytes.length, countBits(version));
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((byte, b) => (byte << 1) | b, 0));
+    for (let pad = 0xec; data.length < capacity / 8; pad ^= 0xec ^ 0x11) data.push(pad);
+
+    const matrix = new Matrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(addErrorCorrection(data, version, ecc));
+
+    let best = 0;
+    let lowest = Infinity;
+    MASKS.forEach((_, mask) => {
+        matrix.applyMask(mask);
+        matrix.drawFormat(ecc.format, mask);
+        const score = matrix.penalty();
+        if (score < lowest) {
+            best = mask;
+            lowest = score;
+        }
+        matrix.applyMask(mask);
+    });
+    matrix.applyMask(best);
+    matrix.drawFormat(ecc.format, best);
+    return { version, size: matrix.size, modules: matrix.modules };
+}
+
+// Draws `qr` on a 2D context as a `size` px square, quiet zone included, in
+// whole device pixels per module so edges stay sharp.
+export function drawQrCode(ctx, qr, { size, dark = '#000000', light = '#ffffff', quietZone = 4 }) {
+    const count = qr.size + quietZone * 2;
+    const scale = Math.max(1, Math.floor(size / count));
+    const offset = Math.floor((size - scale * count) / 2) + quietZone * scale;
+    ctx.fillStyle = light;
+    ctx.fillRect(0, 0, size, size);
+    ctx.fillStyle = dark;
+    qr.modules.forEach((row, y) => row.forEach((isDark, x) => {
+        if (isDark) ctx.fillRect(offset + x * scale, offset + y * scale, scale, scale);
+    }));
+}
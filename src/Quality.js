@@ -0,0 +1,111 @@
+// Device quality tiers. Everything that scales with GPU budget reads its
+// numbers from here so the tiers stay comparable across components.
+// `antialias` only applies to renderers created after the tier is known;
+// WebGL cannot toggle it on an existing context. `frameWidth` caps the
+// decoded growth-clip frames, which are held in memory all at once.
+export const QUALITY_TIERS = {
+    low: { pixelRatio: 1, shadows: false, antialias: false, extraLights: false, maxParticles: 800, frameWidth: 640 },
+    medium: { pixelRatio: 1.5, shadows: true, antialias: true, extraLights: false, maxParticles: 2500, frameWidth: 960 },
+    high: { pixelRatio: 2, shadows: true, antialias: true, extraLights: true, maxParticles: 6000, frameWidth: 1280 }
+};
+
+const TIER_ORDER = ['low', 'medium', 'high'];
+
+const SAMPLE_FRAMES = 90;
+const SLOW_FRAME = 1 / 40; // Average frame time (s) that triggers a downgrade
+const FAST_FRAME = 1 / 55; // ...and the one that counts towards an upgrade
+const UPGRADE_WINDOWS = 4; // Consecutive fast windows needed to step up
+const MAX_SAMPLE = 0.25; // Longer frames are hitches (tab switch, GC), not load
+
+// First guess from device hints, before any frame has been measured.
+export function detectQualityTier() {
+    const cores = navigator.hardwareConcurrency || 4;
+    const memory = navigator.deviceMemory || 4;
+    const coarse = window.matchMedia('(pointer: coarse)').matches;
+
+    if (cores <= 4 || memory <= 2) return 'low';
+    if (coarse || memory <= 4) return 'medium';
+    return 'high';
+}
+
+// Pixel ratio and shadows for one renderer. Materials must recompile when
+// the shadow map is switched on or off.
+export function applyRendererQuality(renderer, scene, settings) {
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, settings.pixelRatio));
+    if (renderer.shadowMap.enabled === settings.shadows) return;
+    renderer.shadowMap.enabled = settings.shadows;
+    scene.traverse(child => {
+        if (child.material) [].concat(child.material).forEach(material => { material.needsUpdate = true; });
+    });
+}
+
+// Picks a tier from device hints, then adapts it from measured frame times.
+// `?quality=low|medium|high` pins a tier and disables adaptation.
+export class QualityManager {
+    constructor() {
+        const param = new URLSearchParams(window.location.search).get('quality');
+        this.locked = param in QUALITY_TIERS;
+        this.tier = this.locked ? param : detectQualityTier();
+        this.ceiling = TIER_ORDER.length - 1;
+        this.targets = new Set();
+        this.resetSamples();
+        this.goodWindows = 0;
+    }
+
+    get settings() {
+        return QUALITY_TIERS[this.tier];
+    }
+
+    // `target.setQuality(settings)` runs now and whenever the tier changes.
+    register(target) {
+        if (!target) return;
+        this.targets.add(target);
+        target.setQuality(this.settings);
+    }
+
+    unregister(target) {
+        this.targets.delete(target);
+    }
+
+    setTier(tier) {
+        if (tier === this.tier || !(tier in QUALITY_TIERS)) return;
+        this.tier = tier;
+        this.targets.forEach(target => target.setQuality(this.settings));
+        document.dispatchEvent(new CustomEvent('qualitychange', { detail: { tier } }));
+    }
+
+    resetSamples() {
+        this.frameCount = 0;
+        this.frameTotal = 0;
+    }
+
+    // Feed one frame's duration (seconds). Only call it for frames that
+    // actually rendered something, otherwise idle frames skew the average.
+    sample(delta) {
+        if (this.locked || delta > MAX_SAMPLE) return;
+        this.frameCount++;
+        this.frameTotal += delta;
+        if (this.frameCount < SAMPLE_FRAMES) return;
+
+        const average = this.frameTotal / this.frameCount;
+        this.resetSamples();
+        const index = TIER_ORDER.indexOf(this.tier);
+
+        if (average > SLOW_FRAME && index > 0) {
+            // Never climb back to a tier that proved too slow.
+            this.ceiling = index - 1;
+            this.goodWindows = 0;
+            this.setTier(TIER_ORDER[index - 1]);
+        } else if (average < FAST_FRAME && index < this.ceiling) {
+            this.goodWindows++;
+            if (this.goodWindows >= UPGRADE_WINDOWS) {
+                this.goodWindows = 0;
+                this.setTier(TIER_ORDER[index + 1]);
+            }
+        } else {
+            this.goodWindows = 0;
+        }
+    }
+}
+
+export const quality = new QualityManager();
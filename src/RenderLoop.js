@@ -0,0 +1,64 @@
+import * as THREE from 'three';
+import { quality } from './Quality.js';
+
+// One requestAnimationFrame loop for every WebGL canvas on the page. A canvas
+// is anything with `render(delta)` and a `container` element; it only draws
+// while that element is on screen, the whole loop stops while the tab is
+// hidden, and frames that drew something feed the quality manager.
+export class RenderLoop {
+    constructor() {
+        this.canvases = new Set();
+        this.onScreen = new Map();
+        this.clock = new THREE.Clock();
+        this.frameId = null;
+
+        this.observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => this.onScreen.set(entry.target, entry.isIntersecting));
+        }, { rootMargin: '100px' });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                cancelAnimationFrame(this.frameId);
+                this.frameId = null;
+            } else if (!this.frameId) {
+                this.clock.getDelta(); // Drop the time spent hidden
+                quality.resetSamples();
+                this.tick();
+            }
+        });
+    }
+
+    add(canvas) {
+        this.canvases.add(canvas);
+        if (canvas.container) this.observer.observe(canvas.container);
+    }
+
+    remove(canvas) {
+        this.canvases.delete(canvas);
+        if (!canvas.container) return;
+        this.observer.unobserve(canvas.container);
+        this.onScreen.delete(canvas.container);
+    }
+
+    isOnScreen(element) {
+        return this.onScreen.get(element) !== false;
+    }
+
+    start() {
+        if (!this.frameId) this.tick();
+    }
+
+    tick() {
+        const delta = this.clock.getDelta();
+        let rendered = false;
+
+        this.canvases.forEach(canvas => {
+            if (!this.isOnScreen(canvas.container)) return;
+            canvas.render(delta);
+            rendered = true;
+        });
+
+        if (rendered) quality.sample(delta);
+        this.frameId = requestAnimationFrame(() => this.tick());
+    }
+}
@@ -0,0 +1,78 @@
+// Responsive images for the photos in public/images. The build
+// (scripts/responsive-images-plugin.js) turns each into hashed AVIF, WebP and
+// JPEG copies at IMAGE_WIDTHS, and describes them in a manifest keyed by the
+// original path:
+//   { '/images/cocoa.jpg': { width, height, placeholder,
+//       sources: { avif: [{ url, width }], webp: [...], jpeg: [...] } } }
+// `placeholder` is a tiny blurred data URL shown until the photo arrives.
+// Markup keeps referring to the originals; responsiveHtml() rewrites them with
+// that manifest, so the same templates work in the prerender and at runtime
+// (src/Images.js). The originals stay published for the spec sheet PDFs,
+// share images and structured data.
+export const IMAGE_DIR = '/images/';
+export const IMAGE_WIDTHS = [320, 640, 1024];
+// Most efficient first: a browser takes the first <source> it supports. The
+// last is the fallback, PNG instead of JPEG for images with transparency.
+export const IMAGE_TYPES = { avif: 'image/avif', webp: 'image/webp', jpeg: 'image/jpeg', png: 'image/png' };
+
+const IMG_TAG = /<img\b[^>]*>/g;
+const ATTRIBUTE = /([^\s=>/]+)(?:="([^"]*)")?/g;
+const BACKGROUND = /background-image:\s*url\((['"]?)(\/images\/[^'")]+)\1\);?/g;
+
+function srcset(variants) {
+    return variants.map(({ url, width }) => `${url} ${width}w`).join(', ');
+}
+
+// The formats of an entry in preference order, fallback last.
+function formats(entry) {
+    return Object.keys(IMAGE_TYPES).filter(format => entry.sources[format]?.length);
+}
+
+// <img src="/images/..." sizes="..."> → <picture> with a <source> per modern
+// format and the fallback on the <img>, which also gets the intrinsic size
+// (no layout shift), the placeholder and lazy loading. `sizes` defaults to
+// the full viewport width; images that already have a srcset are left alone.
+function pictureHtml(tag, images) {
+    const attributes = new Map([...tag.slice(4, -1).matchAll(ATTRIBUTE)].map(([, name, value = '']) => [name, value]));
+    const entry = images[attributes.get('src')];
+    if (!entry || attributes.has('srcset')) return tag;
+    const types = formats(entry);
+    const fallback = entry.sources[types.pop()];
+    const sizes = attributes.get('sizes') || '100vw';
+    attributes.delete('sizes');
+    attributes.set('src', fallback[fallback.length - 1].url);
+    attributes.set('srcset', srcset(fallback));
+    attributes.set('sizes', sizes);
+    attributes.set('width', String(entry.width));
+    attributes.set('height', String(entry.height));
+    if (!attributes.has('loading')) attributes.set('loading', 'lazy');
+    if (!attributes.has('decoding')) attributes.set('decoding', 'async');
+    if (entry.placeholder) {
+        const style = attributes.get('style')?.replace(/;?\s*$/, '; ') ?? '';
+        attributes.set('style', `${style}background: url('${entry.placeholder}') center / cover no-repeat;`);
+    }
+    const img = `<img ${[...attributes].map(([name, value]) => `${name}="${value}"`).join(' ')}>`;
+    const sources = types.map(format => `<source type="${IMAGE_TYPES[format]}" srcset="${srcset(entry.sources[format])}" sizes="${sizes}">`);
+    return `<picture>${sources.join('')}${img}</picture>`;
+}
+
+// A background is drawn at the largest width in the best supported format
+// (image-set), over the placeholder; browsers without image-set type() keep
+// the fallback declaration before it.
+function backgroundCss(path, images) {
+    const entry = images[path];
+    if (!entry) return null;
+    const types = formats(entry);
+    const largest = format => entry.sources[format][entry.sources[format].length - 1].url;
+    const placeholder = entry.placeholder ? `, url('${entry.placeholder}')` : '';
+    const set = types.map(format => `url('${largest(format)}') type('${IMAGE_TYPES[format]}')`).join(', ');
+    return `background-image: url('${largest(types[types.length - 1])}')${placeholder}; background-image: image-set(${set})${placeholder};`;
+}
+
+// Rewrites the <img> tags and inline background images that point into
+// IMAGE_DIR. Idempotent, so it is safe on markup that has been through it.
+export function responsiveHtml(html, images) {
+    return html
+        .replace(IMG_TAG, tag => pictureHtml(tag, images))
+        .replace(BACKGROUND, (declaration, quote, path) => backgroundCss(path, images) ?? declaration);
+}
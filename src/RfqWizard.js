@@ -0,0 +1,362 @@
+import { COMMODITIES, getCommodity } from './data/commodities.js';
+import { MARKETS } from './data/markets.js';
+import { QUANTITY_UNITS, INCOTERMS, PACKAGING, INSPECTION_BODIES } from './data/rfq.js';
+import { i18n, LOCALES, t } from './I18n.js';
+
+const STORAGE_KEY = 'glocal-rfq-draft';
+
+// Request-for-quote wizard on top of the contact form. Steps are the
+// `.rfq-step` groups in the markup; each validates inline before the next
+// opens, the last one is a read-only review. Every input is saved as a draft
+// in localStorage so a reload or a dropped connection doesn't lose it.
+// Submission stays with the form's own submit handler: the wizard only lets
+// the submit event through from the review step once every step is valid.
+// Each step shown fires `stepchange` on the form.
+export class RfqWizard {
+    constructor(form) {
+        this.form = form;
+        this.steps = [...form.querySelectorAll('.rfq-step')];
+        this.indicators = [...form.querySelectorAll('.rfq-progress li')];
+        this.review = form.querySelector('.rfq-review');
+        this.backBtn = form.querySelector('.rfq-back');
+        this.nextBtn = form.querySelector('.rfq-next');
+        this.submitBtn = form.querySelector('button[type="submit"]');
+        this.current = 0;
+        // Aborted by dispose(); the form outlives the wizard.
+        this.listeners = new AbortController();
+
+        this.renderOptions();
+        i18n.apply(this.form);
+        this.restoreDraft();
+        this.bind();
+        this.show(this.current, { focus: false });
+    }
+
+    get lastStep() {
+        return this.steps.length - 1;
+    }
+
+    renderOptions() {
+        const choices = this.form.querySelector('.rfq-choices');
+        choices.innerHTML = COMMODITIES.map(commodity => `
+            <label class="rfq-choice">
+                <input type="radio" name="commodity" value="${commodity.id}" required>
+                <span class="rfq-choice-icon" aria-hidden="true">${commodity.icon}</span>
+                <span data-i18n="commodities.${commodity.id}.fullName">${commodity.fullName}</span>
+            </label>`).join('');
+
+        this.fillSelect('#rfq-unit', QUANTITY_UNITS);
+        this.fillSelect('#rfq-incoterm', INCOTERMS, { placeholder: true });
+        this.fillSelect('#rfq-packaging', PACKAGING, { placeholder: true });
+        this.fillSelect('#rfq-inspection', INSPECTION_BODIES, { placeholder: true });
+
+        const ports = this.form.querySelector('#rfq-ports');
+        ports.innerHTML = MARKETS.map(market => `<option value="${market.port}"></option>`).join('');
+
+        // Earliest sensible target is the current month.
+        const now = new Date();
+        this.form.querySelector('#rfq-month').min = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+        this.updateGrades();
+        this.updatePortRequirement();
+    }
+
+    fillSelect(selector, options, { placeholder = false } = {}) {
+        const select = this.form.querySelector(selector);
+        select.innerHTML = '';
+        if (placeholder) {
+            const option = new Option(t('rfq.choose'), '');
+            option.setAttribute('data-i18n', 'rfq.choose');
+            select.add(option);
+        }
+        options.forEach(({ id, key, label }) => {
+            const option = new Option(label, id);
+            if (key) option.setAttribute('data-i18n', key);
+            select.add(option);
+        });
+    }
+
+    // Grades depend on the commodity; keep the chosen grade when it still applies.
+    updateGrades() {
+        const select = this.form.querySelector('#rfq-grade');
+        const previous = select.value;
+        const commodity = getCommodity(this.form.elements.commodity.value);
+        select.innerHTML = '';
+        const placeholder = new Option(t(commodity ? 'rfq.choose' : 'rfq.chooseCommodity'), '');
+        select.add(placeholder);
+        (commodity?.grades || []).forEach(grade => select.add(new Option(grade, grade)));
+        select.disabled = !commodity;
+        if (commodity?.grades.includes(previous)) select.value = previous;
+    }
+
+    updatePortRequirement() {
+        const incoterm = INCOTERMS.find(term => term.id === this.form.elements.incoterm.value);
+        this.form.elements.destinationPort.required = Boolean(incoterm?.needsPort);
+    }
+
+    updateQuantityStep() {
+        const unit = QUANTITY_UNITS.find(u => u.id === this.form.elements.quantityUnit.value);
+        this.form.elements.quantity.step = String(unit?.step ?? 'any');
+    }
+
+    bind() {
+        const { signal } = this.listeners;
+        this.nextBtn.addEventListener('click', () => this.next(), { signal });
+        this.backBtn.addEventListener('click', () => this.show(this.current - 1), { signal });
+
+        this.form.addEventListener('change', (e) => {
+            if (e.target.name === 'commodity') this.updateGrades();
+            if (e.target.name === 'incoterm') this.updatePortRequirement();
+            if (e.target.name === 'quantityUnit') this.updateQuantityStep();
+            if (e.target.name === 'commodity' || e.target.name === 'incoterm') {
+                // Dependent fields may have become valid (or optional) again.
+                this.steps[this.current].querySelectorAll('[aria-invalid="true"]').forEach(field => this.validateField(field));
+            }
+            this.saveDraft();
+        }, { signal });
+
+        // Errors appear once a field has been left, then update as it is corrected.
+        this.form.addEventListener('input', (e) => {
+            if (e.target.getAttribute('aria-invalid') === 'true') this.validateField(e.target);
+            this.saveDraft();
+        }, { signal });
+        this.form.addEventListener('focusout', (e) => {
+            if (e.target.matches('input:not([type="radio"]), select, textarea') && e.target.value) this.validateField(e.target);
+        }, { signal });
+
+        // Registered before the form's own submit handler so Enter on an
+        // earlier step advances instead of sending a half-filled request.
+        this.form.addEventListener('submit', (e) => {
+            if (this.current < this.lastStep) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.next();
+                return;
+            }
+            const invalid = this.steps.slice(0, this.lastStep).findIndex((step, index) => !this.validateStep(index, { focus: false }));
+            if (invalid !== -1) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.show(invalid);
+                this.validateStep(invalid);
+            }
+        }, { signal });
+
+        this.review.addEventListener('click', (e) => {
+            const edit = e.target.closest('[data-edit-step]');
+            if (edit) this.show(Number(edit.dataset.editStep));
+        }, { signal });
+
+        document.addEventListener('localechange', () => {
+            this.updateGrades();
+            if (this.current === this.lastStep) this.renderReview();
+            this.form.querySelectorAll('[aria-invalid="true"]').forEach(field => this.validateField(field));
+        }, { signal });
+    }
+
+    fieldsIn(index) {
+        const fields = [...this.steps[index].querySelectorAll('input, select, textarea')];
+        // A radio group is validated once, through its first input.
+        return fields.filter(field => field.type !== 'radio' || field === this.form.elements[field.name][0]);
+    }
+
+    validateField(field) {
+        const error = field.closest('.rfq-field')?.querySelector('.field-error');
+        const message = field.disabled || field.checkValidity() ? '' : this.messageFor(field);
+        const targets = field.type === 'radio' ? [...this.form.elements[field.name]] : [field];
+        targets.forEach(target => {
+            if (message) target.setAttribute('aria-invalid', 'true');
+            else target.removeAttribute('aria-invalid');
+        });
+        if (error) error.textContent = message;
+        return !message;
+    }
+
+    messageFor(field) {
+        const { validity } = field;
+        if (validity.valueMissing) return t(field.type === 'radio' || field.tagName === 'SELECT' ? 'rfq.errors.choose' : 'rfq.errors.required');
+        if (validity.typeMismatch) return t('rfq.errors.email');
+        if (validity.rangeUnderflow) return t('rfq.errors.min', { min: field.min });
+        if (validity.stepMismatch) return t('rfq.errors.whole');
+        if (validity.patternMismatch || validity.badInput) return t('rfq.errors.format');
+        return field.validationMessage;
+    }
+
+    validateStep(index, { focus = true } = {}) {
+        const results = this.fieldsIn(index).map(field => this.validateField(field));
+        const valid = results.every(Boolean);
+        if (!valid && focus) {
+            this.steps[index].querySelector('[aria-invalid="true"]')?.focus();
+        }
+        return valid;
+    }
+
+    // Field errors reported by the backend, e.g. `[{ field: 'email', message }]`.
+    // Opens the first step that has one; returns false if none matched a field.
+    showErrors(errors) {
+        let firstStep = -1;
+        errors.forEach(({ field: name, message }) => {
+            const field = this.form.elements[name];
+            if (!field) return;
+            const input = field instanceof RadioNodeList ? field[0] : field;
+            const error = input.closest('.rfq-field')?.querySelector('.field-error');
+            (field instanceof RadioNodeList ? [...field] : [field]).forEach(target => target.setAttribute('aria-invalid', 'true'));
+            if (error) error.textContent = message;
+            const step = this.steps.findIndex(s => s.contains(input));
+            if (step !== -1 && (firstStep === -1 || step < firstStep)) firstStep = step;
+        });
+        if (firstStep === -1) return false;
+        this.show(firstStep, { focus: false });
+        this.steps[firstStep].querySelector('[aria-invalid="true"]')?.focus();
+        return true;
+    }
+
+    next() {
+        if (!this.validateStep(this.current)) return;
+        this.show(this.current + 1);
+    }
+
+    show(index, { focus = true } = {}) {
+        this.current = Math.max(0, Math.min(index, this.lastStep));
+        if (this.current === this.lastStep) this.renderReview();
+
+        this.steps.forEach((step, i) => { step.hidden = i !== this.current; });
+        this.indicators.forEach((item, i) => {
+            item.classList.toggle('done', i < this.current);
+            if (i === this.current) item.setAttribute('aria-current', 'step');
+            else item.removeAttribute('aria-current');
+        });
+        this.backBtn.hidden = this.current === 0;
+        this.nextBtn.hidden = this.current === this.lastStep;
+        if (this.submitBtn) this.submitBtn.hidden = this.current !== this.lastStep;
+
+        if (focus) this.steps[this.current].querySelector('.rfq-step-title')?.focus();
+        this.saveDraft();
+        this.form.dispatchEvent(new CustomEvent('stepchange', { detail: { index: this.current, name: this.stepName(this.current) } }));
+    }
+
+    // The step's id in the markup: rfq-title-<name> labels it.
+    stepName(index) {
+        return this.steps[index].getAttribute('aria-labelledby')?.replace(/^rfq-title-/, '') ?? String(index);
+    }
+
+    // One block per step, using the labels the visitor saw, with an edit link back.
+    renderReview() {
+        this.review.innerHTML = '';
+        this.steps.slice(0, this.lastStep).forEach((step, index) => {
+            const block = document.createElement('div');
+            block.className = 'rfq-review-step';
+
+            const header = document.createElement('div');
+            header.className = 'rfq-review-header';
+            const title = document.createElement('h4');
+            title.textContent = step.querySelector('.rfq-step-title').textContent;
+            const edit = document.createElement('button');
+            edit.type = 'button';
+            edit.className = 'rfq-edit';
+            edit.dataset.editStep = String(index);
+            edit.textContent = t('rfq.edit');
+            edit.setAttribute('aria-label', `${t('rfq.edit')}: ${title.textContent}`);
+            header.append(title, edit);
+
+            const list = document.createElement('dl');
+            this.fieldsIn(index).forEach(field => {
+                const value = this.displayValue(field);
+                if (!value) return;
+                const label = field.type === 'radio'
+                    ? field.closest('fieldset').querySelector('legend')
+                    : this.form.querySelector(`label[for="${field.id}"]`);
+                const term = document.createElement('dt');
+                term.textContent = label?.textContent.trim() || field.name;
+                const detail = document.createElement('dd');
+                detail.textContent = value;
+                list.append(term, detail);
+            });
+
+            block.append(header, list);
+            this.review.appendChild(block);
+        });
+    }
+
+    displayValue(field) {
+        if (field.type === 'radio') {
+            const checked = this.form.querySelector(`input[name="${field.name}"]:checked`);
+            return checked ? checked.closest('label').textContent.replace(/\s+/g, ' ').trim() : '';
+        }
+        if (field.tagName === 'SELECT') return field.value ? field.selectedOptions[0].textContent : '';
+        if (field.type === 'month' && /^\d{4}-\d{2}$/.test(field.value)) {
+            const [year, month] = field.value.split('-').map(Number);
+            return new Date(year, month - 1).toLocaleDateString(LOCALES[i18n.locale].htmlLang, { month: 'long', year: 'numeric' });
+        }
+        return field.value.trim();
+    }
+
+    saveDraft() {
+        try {
+            const values = Object.fromEntries(new FormData(this.form).entries());
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ step: this.current, values }));
+        } catch (e) {
+            // Storage may be unavailable (private mode); the wizard still works without drafts.
+        }
+    }
+
+    restoreDraft() {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            return;
+        }
+        if (!draft?.values) return;
+
+        // Commodity first: it decides which grades exist.
+        const { commodity, ...rest } = draft.values;
+        const radio = this.form.querySelector(`input[name="commodity"][value="${CSS.escape(commodity || '')}"]`);
+        if (radio) radio.checked = true;
+        this.updateGrades();
+
+        Object.entries(rest).forEach(([name, value]) => {
+            const field = this.form.elements[name];
+            if (field && !(field instanceof RadioNodeList)) field.value = value;
+        });
+        this.updatePortRequirement();
+        this.updateQuantityStep();
+
+        // Resume where the visitor left off, but never past an invalid step.
+        const target = Math.min(Number(draft.step) || 0, this.lastStep);
+        let step = 0;
+        while (step < target && this.fieldsIn(step).every(field => field.disabled || field.checkValidity())) step++;
+        this.current = step;
+    }
+
+    // Starts the request on a given commodity, e.g. from its detail page. The
+    // rest of the draft is kept; switching commodity reopens step one so the
+    // grade is picked again.
+    prefill({ commodity }) {
+        const radio = this.form.querySelector(`input[name="commodity"][value="${CSS.escape(commodity)}"]`);
+        if (!radio || radio.checked) return;
+        radio.checked = true;
+        this.updateGrades();
+        this.show(0, { focus: false });
+    }
+
+    dispose() {
+        this.listeners.abort();
+    }
+
+    // After a successful submission: empty form, no draft, back to step one.
+    reset() {
+        this.form.reset();
+        this.updateGrades();
+        this.updatePortRequirement();
+        this.updateQuantityStep();
+        this.form.querySelectorAll('[aria-invalid]').forEach(el => el.removeAttribute('aria-invalid'));
+        this.form.querySelectorAll('.field-error').forEach(el => { el.textContent = ''; });
+        this.show(0, { focus: false });
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            // Nothing stored to clear.
+        }
+    }
+}
@@ -0,0 +1,91 @@
+import { i18n, stripLocale } from './I18n.js';
+
+// Turns '/products/:id' into a regex with named groups; a trailing slash is optional.
+function compile(path) {
+    const source = path.replace(/\/$/, '').replace(/:(\w+)/g, '(?<$1>[^/]+)');
+    return new RegExp(`^${source}/?$`);
+}
+
+// History API router. Routes are plain objects with a `path` pattern; any
+// other fields (which view renders it, a section to scroll to) come back
+// with the match. Paths are locale-free: the /fr/ prefix is added and
+// stripped through the i18n layer, and vercel.json already serves
+// index.html for every path.
+//
+// Only links marked with data-route="/path" are handled here; their href
+// is kept localised so new tabs, crawlers and no-JS visits still land on
+// the right page. Scroll positions are kept in history.state so Back and
+// Forward return to where the visitor was.
+export class Router {
+    constructor(routes, { onRoute } = {}) {
+        this.routes = routes.map(route => ({ ...route, pattern: compile(route.path) }));
+        this.onRoute = onRoute; // (route, { restore, initial, hash }) => void
+        this.current = null;
+    }
+
+    start() {
+        history.scrollRestoration = 'manual';
+        document.addEventListener('click', (e) => this.onClick(e));
+        window.addEventListener('popstate', (e) => this.resolve({ restore: e.state?.scroll ?? null }));
+        // Covers reloads and leaving the site, not just in-app navigation.
+        window.addEventListener('pagehide', () => this.saveScroll());
+        document.addEventListener('localechange', () => this.localizeLinks());
+        this.localizeLinks();
+        this.resolve({ restore: history.state?.scroll ?? null, initial: true });
+    }
+
+    // The match carries the concrete path ('/products/cocoa'), without a trailing slash.
+    match(path) {
+        for (const route of this.routes) {
+            const match = path.match(route.pattern);
+            if (match) return { ...route, path: path.replace(/(.)\/$/, '$1'), params: { ...match.groups } };
+        }
+        return null;
+    }
+
+    href(path) {
+        return i18n.pathFor(i18n.locale, path);
+    }
+
+    localizeLinks(root = document) {
+        root.querySelectorAll('a[data-route]').forEach(link => {
+            link.setAttribute('href', this.href(link.dataset.route));
+        });
+    }
+
+    navigate(path, { replace = false } = {}) {
+        if (!replace) this.saveScroll();
+        history[replace ? 'replaceState' : 'pushState']({}, '', this.href(path));
+        this.resolve();
+    }
+
+    saveScroll() {
+        history.replaceState({ ...history.state, scroll: window.scrollY }, '');
+    }
+
+    resolve({ restore = null, initial = false } = {}) {
+        const route = this.match(stripLocale(window.location.pathname));
+        if (!route) {
+            this.navigate('/', { replace: true });
+            return;
+        }
+        this.current = route;
+        document.querySelectorAll('a[data-route]').forEach(link => {
+            if (link.dataset.route === route.path) link.setAttribute('aria-current', 'page');
+            else link.removeAttribute('aria-current');
+        });
+        document.dispatchEvent(new CustomEvent('routechange', { detail: { route } }));
+        if (this.onRoute) this.onRoute(route, { restore, initial, hash: decodeURIComponent(window.location.hash.slice(1)) });
+    }
+
+    onClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        const link = e.target.closest('a[data-route]');
+        if (!link || (link.target && link.target !== '_self')) return;
+        e.preventDefault();
+        // Following the link to the page already shown (e.g. to scroll back
+        // to its section) shouldn't stack a duplicate history entry.
+        const path = link.dataset.route;
+        this.navigate(path, { replace: path === this.current?.path });
+    }
+}
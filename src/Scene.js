@@ -1,56 +1,83 @@
 import * as THREE from 'three';
+import { quality, applyRendererQuality } from './Quality.js';
+import { theme } from './Theme.js';
 
 export class Scene {
     constructor() {
         this.container = document.getElementById('hero-canvas');
         this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(0x050510);
+        this.scene.background = new THREE.Color(theme.palette.background);
+        this.ground = null; // The landscape, once App has built it
 
-        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-        this.camera.position.z = 50;
-        this.camera.position.y = 20;
-        this.camera.lookAt(0, 0, 0);
+        // Framed on the hero "harvest" drop zone around the origin.
+        this.camera = new THREE.PerspectiveCamera(55, window.innerWidth / window.innerHeight, 0.1, 1000);
+        this.camera.position.set(0, 9, 20);
+        this.camera.lookAt(0, 1, 0);
 
         this.renderer = new THREE.WebGLRenderer({
             canvas: this.container,
-            antialias: true,
+            antialias: quality.settings.antialias,
             alpha: true
         });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
         this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
         this.setupLights();
+        this.applyTheme(theme.palette);
         this.onWindowResize();
         window.addEventListener('resize', () => this.onWindowResize());
+        document.addEventListener('themechange', (e) => this.applyTheme(e.detail.palette));
     }
 
+    // Colours come from the theme palette (applyTheme).
     setupLights() {
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.8);
-        this.scene.add(ambientLight);
+        this.ambientLight = new THREE.AmbientLight();
+        this.scene.add(this.ambientLight);
 
-        const directionalLight = new THREE.DirectionalLight(0x8a4fff, 2);
-        directionalLight.position.set(20, 40, 20);
-        directionalLight.castShadow = true;
-        this.scene.add(directionalLight);
+        this.keyLight = new THREE.DirectionalLight();
+        this.keyLight.position.set(10, 25, 12);
+        this.keyLight.castShadow = true;
+        this.keyLight.shadow.mapSize.set(1024, 1024);
+        Object.assign(this.keyLight.shadow.camera, { left: -20, right: 20, top: 20, bottom: -20 });
+        this.scene.add(this.keyLight);
 
-        const blueLight = new THREE.PointLight(0x00d2ff, 5, 100);
-        blueLight.position.set(-20, 10, 20);
-        this.scene.add(blueLight);
+        this.fillLight = new THREE.PointLight(0xffffff, 2, 60);
+        this.fillLight.position.set(-15, 8, 10);
+        this.scene.add(this.fillLight);
+    }
+
+    applyTheme(palette) {
+        this.scene.background.set(palette.background);
+        if (this.scene.fog) {
+            this.scene.fog.color.set(palette.fog);
+            this.scene.fog.density = palette.fogDensity;
+        }
+        this.ambientLight.color.set(palette.ambient);
+        this.ambientLight.intensity = 0.8 * palette.lightScale;
+        this.keyLight.color.set(palette.key);
+        this.keyLight.intensity = 2 * palette.lightScale;
+        this.fillLight.color.set(palette.fill);
+        this.ground?.material.color.set(palette.ground);
+    }
 
-        const pinkLight = new THREE.PointLight(0xff007a, 3, 100);
-        pinkLight.position.set(20, -10, 10);
-        this.scene.add(pinkLight);
+    setQuality(settings) {
+        applyRendererQuality(this.renderer, this.scene, settings);
+        this.fillLight.visible = settings.extraLights;
     }
 
     addFog() {
-        this.scene.fog = new THREE.FogExp2(0x050510, 0.002);
+        this.scene.fog = new THREE.FogExp2(theme.palette.fog, theme.palette.fogDensity);
     }
 
+    // The canvas fills the hero section rather than the whole window.
     onWindowResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
+        const host = this.container.parentElement || document.body;
+        const width = host.clientWidth || window.innerWidth;
+        const height = host.clientHeight || window.innerHeight;
+        this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setSize(width, height);
     }
 
     render() {
@@ -0,0 +1,52 @@
+const UPDATE_INTERVAL = 60 * 60 * 1000; // Look for new deploys hourly in long-lived tabs
+
+// Registers /sw.js (production builds only; the dev server has no worker)
+// and reports when a new deploy has been installed and is waiting.
+// `onUpdate(apply)` receives a function that activates the waiting worker;
+// the page reloads once the new worker has taken over.
+export function registerServiceWorker({ onUpdate } = {}) {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    let accepted = false;
+    const notify = (worker) => {
+        if (!onUpdate) return;
+        onUpdate(() => {
+            accepted = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+    };
+
+    // The first install also changes controller (clients.claim); only an
+    // accepted update should reload the page.
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (accepted) window.location.reload();
+    });
+
+    const register = async () => {
+        let registration;
+        try {
+            registration = await navigator.serviceWorker.register('/sw.js');
+        } catch (e) {
+            console.warn('Service worker registration failed:', e);
+            return;
+        }
+
+        // A deploy may have been installed while the tab was closed.
+        if (registration.waiting && navigator.serviceWorker.controller) notify(registration.waiting);
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update.
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) notify(worker);
+            });
+        });
+
+        setInterval(() => registration.update().catch(() => {}), UPDATE_INTERVAL);
+    };
+
+    // Registering after load keeps precaching from competing with first paint.
+    if (document.readyState === 'complete') register();
+    else window.addEventListener('load', register, { once: true });
+}
@@ -0,0 +1,407 @@
+import outfitLatin400 from '@fontsource/outfit/files/outfit-latin-400-normal.woff?url';
+import outfitLatinExt400 from '@fontsource/outfit/files/outfit-latin-ext-400-normal.woff?url';
+import outfitLatin600 from '@fontsource/outfit/files/outfit-latin-600-normal.woff?url';
+import outfitLatinExt600 from '@fontsource/outfit/files/outfit-latin-ext-600-normal.woff?url';
+import playfairLatin700 from '@fontsource/playfair-display/files/playfair-display-latin-700-normal.woff?url';
+import playfairLatinExt700 from '@fontsource/playfair-display/files/playfair-display-latin-ext-700-normal.woff?url';
+import notoSansSc400 from '@fontsource/noto-sans-sc/files/noto-sans-sc-chinese-simplified-400-normal.woff?url';
+import { formatSpecValue } from './data/commodities.js';
+import { COMPANY } from './data/company.js';
+import { INCOTERMS, INSPECTION_BODIES } from './data/rfq.js';
+import { localizePath } from './I18n.js';
+import { escapeHtml } from './Markup.js';
+
+// Printable specification sheet of one commodity. specSheetContent() gathers
+// the translated copy once; specSheetHtml() renders it for the on-screen
+// preview (which is also what gets printed) and createSpecSheetPdf() lays the
+// same content out on an A4 page in the browser.
+
+// Everything already translated: `t` and `lang` are the page's.
+export function specSheetContent(commodity, { locale, lang, t }) {
+    const { id } = commodity;
+    const name = t(`commodities.${id}.fullName`, null, commodity.fullName);
+    const issued = new Intl.DateTimeFormat(lang, { dateStyle: 'long' }).format(new Date());
+
+    return {
+        lang,
+        title: t('specSheet.title'),
+        issued: t('specSheet.issued', { date: issued }),
+        name,
+        overview: t(`commodities.${id}.overview`, null, commodity.overview),
+        image: commodity.image,
+        imageAlt: t(`commodities.${id}.photoAlt`, null, commodity.gallery[0]?.alt),
+        sections: [
+            {
+                heading: t('products.specifications'),
+                rows: [
+                    ...commodity.specs.map(spec => [t(`specs.${spec.key}`, null, spec.label), formatSpecValue(spec)]),
+                    [t('commodity.grades'), commodity.grades.join(', ')],
+                    [t('specs.packaging'), commodity.packaging.join(', ')],
+                    [t('commodity.hsCode'), commodity.hsCode],
+                    [t('commodity.season'), monthRanges(commodity.season.harvest, lang)],
+                    [t('commodity.peak'), monthRanges(commodity.season.peak, lang)]
+                ]
+            },
+            {
+                heading: t('specSheet.tradeTerms'),
+                rows: [
+                    [t('specSheet.incoterms'), INCOTERMS.map(term => term.label).join(', ')],
+                    [t('specSheet.inspection'), INSPECTION_BODIES.map(body => body.label).join(' / ')],
+                    [t('specSheet.leadTime'), t('contact.faqLeadTimeA')]
+                ]
+            },
+            {
+                heading: t('specSheet.contact'),
+                rows: [
+                    [t('contact.location'), `${COMPANY.legalName}, ${t('contact.locationValue')}`],
+                    [t('contact.phone'), COMPANY.phones.join(' / ')],
+                    [t('contact.email'), COMPANY.email],
+                    [t('specSheet.website'), `${window.location.origin}${localizePath(locale, `/products/${id}`)}`]
+                ]
+            }
+        ],
+        disclaimer: t('specSheet.disclaimer'),
+        fileName: `glocal-guinee-${id}-spec-sheet-${locale}.pdf`
+    };
+}
+
+// [10, 11, 12, 1, 2] -> "Oct – Feb"; gaps start a new range.
+function monthRanges(months, lang) {
+    const monthName = new Intl.DateTimeFormat(lang, { month: 'short' });
+    const label = month => monthName.format(new Date(2000, month - 1, 1));
+    const next = month => month % 12 + 1;
+    const has = new Set(months);
+
+    return months.filter(month => !has.has((month + 10) % 12 + 1)).map(start => {
+        let end = start;
+        while (has.has(next(end)) && next(end) !== start) end = next(end);
+        return end === start ? label(start) : `${label(start)} – ${label(end)}`;
+    }).join(', ');
+}
+
+export function specSheetHtml(sheet) {
+    return `
+        <article class="spec-sheet" lang="${sheet.lang}">
+            <header class="sheet-header">
+                <img class="sheet-logo" src="${COMPANY.logo}" alt="" width="48" height="48">
+                <span class="sheet-wordmark">GLOCAL <span>GUINEE</span></span>
+                <p class="sheet-meta"><strong>${escapeHtml(sheet.title)}</strong><br>${escapeHtml(sheet.issued)}</p>
+            </header>
+            <div class="sheet-intro">
+                <div>
+                    <h2 class="sheet-title" id="spec-sheet-title">${escapeHtml(sheet.name)}</h2>
+                    <p>${escapeHtml(sheet.overview)}</p>
+                </div>
+                <img class="sheet-photo" src="${sheet.image}" alt="${escapeHtml(sheet.imageAlt)}">
+            </div>
+            ${sheet.sections.map(section => `
+            <h3 class="sheet-heading">${escapeHtml(section.heading)}</h3>
+            <table class="sheet-table">
+                <tbody>
+                    ${section.rows.map(([label, value]) => `<tr><th scope="row">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+                </tbody>
+            </table>`).join('')}
+            <p class="sheet-note">${escapeHtml(sheet.disclaimer)}</p>
+        </article>`;
+}
+
+// A4 in PDF points, and the sheet's two greys (matching --primary and
+// --secondary).
+const PAGE = { width: 595.28, height: 841.89, margin: 40 };
+const INK = [0.1, 0.1, 0.1];
+const MUTED = [0.4, 0.4, 0.4];
+
+// Latin and Latin Extended files are separate subsets, so each style is a
+// fallback chain and text is drawn in runs of whichever font has the glyph.
+// Chinese needs Noto Sans SC, which is only fetched when the text has CJK;
+// it is the WOFF file because pdf-lib can't subset the WOFF2 one and would
+// embed all of it (see woffToSfnt below for the catch).
+const FONT_FILES = {
+    body: [outfitLatin400, outfitLatinExt400],
+    bold: [outfitLatin600, outfitLatinExt600],
+    heading: [playfairLatin700, playfairLatinExt700]
+};
+const CJK = /[\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]/;
+
+async function fetchBytes(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to fetch ${url}: ${response.status}`);
+    return response.arrayBuffer();
+}
+
+// WOFF is an sfnt whose tables are zlib-compressed one by one. fontkit
+// inflates a table again on every read, which takes half a minute for a page
+// of Chinese, so fonts are unpacked to plain OpenType once before embedding.
+async function woffToSfnt(buffer) {
+    const woff = new DataView(buffer);
+    const numTables = woff.getUint16(12);
+    const tables = [];
+    for (let i = 0; i < numTables; i++) {
+        const entry = 44 + i * 20;
+        const offset = woff.getUint32(entry + 4);
+        const compLength = woff.getUint32(entry + 8);
+        let data = new Uint8Array(buffer, offset, compLength);
+        if (compLength < woff.getUint32(entry + 12)) {
+            const inflated = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+            data = new Uint8Array(await new Response(inflated).arrayBuffer());
+        }
+        const tag = woff.getUint32(entry);
+        tables.push({ tag, name: String.fromCharCode(tag >>> 24, (tag >>> 16) & 0xff, (tag >>> 8) & 0xff, tag & 0xff), checksum: woff.getUint32(entry + 16), data });
+    }
+    padGlyphs(tables);
+
+    // Tables stay in the (tag-sorted) WOFF order, each padded to 4 bytes.
+    const headerSize = 12 + numTables * 16;
+    const sfnt = new Uint8Array(tables.reduce((size, table) => size + ((table.data.length + 3) & ~3), headerSize));
+    const view = new DataView(sfnt.buffer);
+    const entrySelector = Math.floor(Math.log2(numTables));
+    const searchRange = 2 ** entrySelector * 16;
+    view.setUint32(0, woff.getUint32(4));
+    view.setUint16(4, numTables);
+    view.setUint16(6, searchRange);
+    view.setUint16(8, entrySelector);
+    view.setUint16(10, numTables * 16 - searchRange);
+
+    let offset = headerSize;
+    tables.forEach((table, i) => {
+        const entry = 12 + i * 16;
+        view.setUint32(entry, table.tag);
+        view.setUint32(entry + 4, table.checksum);
+        view.setUint32(entry + 8, offset);
+        view.setUint32(entry + 12, table.data.length);
+        sfnt.set(table.data, offset);
+        offset += (table.data.length + 3) & ~3;
+    });
+    return sfnt;
+}
+
+// fontkit's subsetter writes a short loca table whenever the subset is small
+// enough, and short offsets can only point at even positions: glyphs of odd
+// length (which the Noto file has) come out garbled. Padding every glyph to an
+// even length beforehand keeps all subset offsets even.
+function padGlyphs(tables) {
+    const table = name => tables.find(entry => entry.name === name);
+    const [head, maxp, loca, glyf] = ['head', 'maxp', 'loca', 'glyf'].map(table);
+    if (!loca || !glyf) return; // CFF outlines
+
+    const view = ({ data }) => new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const longOffsets = view(head).getInt16(50) === 1;
+    const numGlyphs = view(maxp).getUint16(4);
+    const offsets = view(loca);
+    const offsetOf = i => (longOffsets ? offsets.getUint32(i * 4) : offsets.getUint16(i * 2) * 2);
+
+    const glyphs = Array.from({ length: numGlyphs }, (_, i) => glyf.data.subarray(offsetOf(i), offsetOf(i + 1)));
+    const padded = new Uint8Array(glyphs.reduce((size, glyph) => size + ((glyph.length + 1) & ~1), 0));
+    const newOffsets = new DataView(new ArrayBuffer((numGlyphs + 1) * 4));
+    let offset = 0;
+    glyphs.forEach((glyph, i) => {
+        newOffsets.setUint32(i * 4, offset);
+        padded.set(glyph, offset);
+        offset += (glyph.length + 1) & ~1;
+    });
+    newOffsets.setUint32(numGlyphs * 4, offset);
+
+    glyf.data = padded;
+    loca.data = new Uint8Array(newOffsets.buffer);
+    head.data = head.data.slice();
+    view(head).setInt16(50, 1);
+}
+
+// Draws text through the font chains and keeps a top-down cursor, adding
+// pages when the content runs past the bottom margin.
+class SheetWriter {
+    constructor(doc, fonts, rgb) {
+        this.doc = doc;
+        this.fonts = fonts;
+        this.rgb = rgb;
+        this.addPage();
+    }
+
+    addPage() {
+        this.page = this.doc.addPage([PAGE.width, PAGE.height]);
+        this.y = PAGE.height - PAGE.margin;
+    }
+
+    ensure(height) {
+        if (this.y - height < PAGE.margin) this.addPage();
+    }
+
+    runs(text, style) {
+        const chain = this.fonts[style];
+        const runs = [];
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            const font = (chain.find(candidate => candidate.chars.has(code)) ?? chain[0]).font;
+            const last = runs[runs.length - 1];
+            if (last && last.font === font) last.text += char;
+            else runs.push({ font, text: char });
+        }
+        return runs;
+    }
+
+    widthOf(text, { size, style = 'body' }) {
+        return this.runs(text, style).reduce((width, run) => width + run.font.widthOfTextAtSize(run.text, size), 0);
+    }
+
+    // `y` is the baseline.
+    draw(text, x, y, { size, style = 'body', color = INK }) {
+        this.runs(text, style).forEach(run => {
+            this.page.drawText(run.text, { x, y, size, font: run.font, color: this.rgb(...color) });
+            x += run.font.widthOfTextAtSize(run.text, size);
+        });
+    }
+
+    // Breaks at spaces, and between any two CJK characters. Tokens are
+    // measured once each; laying out the whole line again per token is far
+    // too slow with the CJK font.
+    wrap(text, maxWidth, options) {
+        const tokens = text.match(/[\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]|[^\s\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]+|\s+/g) ?? [];
+        const lines = [];
+        let line = '';
+        let width = 0;
+        tokens.forEach(token => {
+            const isSpace = /^\s/.test(token);
+            if (!line && isSpace) return;
+            const tokenWidth = this.widthOf(token, options);
+            if (line && !isSpace && width + tokenWidth > maxWidth) {
+                lines.push(line.trimEnd());
+                line = '';
+                width = 0;
+            }
+            line += token;
+            width += tokenWidth;
+        });
+        if (line.trim()) lines.push(line.trimEnd());
+        return lines;
+    }
+
+    // Wrapped text starting at the cursor; moves the cursor below it.
+    paragraph(text, { x = PAGE.margin, width = PAGE.width - PAGE.margin * 2, lineHeight = 1.45, ...options }) {
+        const step = options.size * lineHeight;
+        this.wrap(text, width, options).forEach(line => {
+            this.ensure(step);
+            this.y -= step;
+            this.draw(line, x, this.y + (step - options.size * 0.7) / 2, options);
+        });
+    }
+}
+
+export async function createSpecSheetPdf(sheet) {
+    // pdf-lib and fontkit are only needed here, so they load on demand.
+    const [{ PDFDocument, rgb }, { default: fontkit }] = await Promise.all([
+        import('pdf-lib'),
+        import('@pdf-lib/fontkit')
+    ]);
+
+    const text = [sheet.title, sheet.issued, sheet.name, sheet.overview, sheet.disclaimer,
+        ...sheet.sections.flatMap(section => [section.heading, ...section.rows.flat()])].join(' ');
+    const extra = CJK.test(text) ? [notoSansSc400] : [];
+
+    const doc = await PDFDocument.create();
+    doc.registerFontkit(fontkit);
+    doc.setTitle(`${sheet.name} – ${sheet.title}`);
+    doc.setAuthor(COMPANY.legalName);
+    doc.setCreator(COMPANY.name);
+    doc.setLanguage(sheet.lang);
+
+    // Each file is embedded once, even where chains share it.
+    const embedded = new Map();
+    const embed = (url) => {
+        if (!embedded.has(url)) {
+            embedded.set(url, fetchBytes(url).then(woffToSfnt).then(async bytes => {
+                const font = await doc.embedFont(bytes, { subset: true });
+                return { font, chars: new Set(font.getCharacterSet()) };
+            }));
+        }
+        return embedded.get(url);
+    };
+    const fonts = {};
+    await Promise.all(Object.entries(FONT_FILES).map(async ([style, urls]) => {
+        fonts[style] = await Promise.all([...urls, ...extra].map(embed));
+    }));
+    const [logo, photo] = await Promise.all([
+        fetchBytes(COMPANY.logo).then(bytes => doc.embedPng(bytes)),
+        fetchBytes(sheet.image).then(bytes => (/\.png$/i.test(sheet.image) ? doc.embedPng(bytes) : doc.embedJpg(bytes)))
+    ]);
+
+    const writer = new SheetWriter(doc, fonts, rgb);
+    const { margin } = PAGE;
+    const contentWidth = PAGE.width - margin * 2;
+    const rule = (y) => writer.page.drawLine({
+        start: { x: margin, y },
+        end: { x: PAGE.width - margin, y },
+        thickness: 0.75,
+        color: rgb(0.85, 0.85, 0.85)
+    });
+
+    // Header: logo and wordmark left, document title and date right.
+    const logoSize = 40;
+    writer.page.drawImage(logo, { x: margin, y: writer.y - logoSize, width: logoSize, height: logoSize });
+    const wordmarkY = writer.y - logoSize / 2 - 6;
+    writer.draw('GLOCAL', margin + logoSize + 12, wordmarkY, { size: 18, style: 'heading' });
+    const glocalWidth = writer.widthOf('GLOCAL ', { size: 18, style: 'heading' });
+    writer.draw('GUINEE', margin + logoSize + 12 + glocalWidth, wordmarkY, { size: 18, style: 'heading', color: MUTED });
+    [[sheet.title, 'bold', INK, 0], [sheet.issued, 'body', MUTED, 14]].forEach(([line, style, color, offset]) => {
+        const options = { size: 10, style, color };
+        writer.draw(line, PAGE.width - margin - writer.widthOf(line, options), writer.y - 16 - offset, options);
+    });
+    writer.y -= logoSize + 16;
+    rule(writer.y);
+    writer.y -= 24;
+
+    // Name and overview beside the photo.
+    const photoWidth = 150;
+    const photoHeight = Math.min(photoWidth * photo.height / photo.width, 140);
+    const introTop = writer.y;
+    writer.page.drawImage(photo, {
+        x: PAGE.width - margin - photoWidth,
+        y: introTop - photoHeight,
+        width: photoWidth,
+        height: photoHeight
+    });
+    const textWidth = contentWidth - photoWidth - 24;
+    writer.paragraph(sheet.name, { size: 26, style: 'heading', width: textWidth, lineHeight: 1.2 });
+    writer.y -= 8;
+    writer.paragraph(sheet.overview, { size: 11, color: MUTED, width: textWidth });
+    writer.y = Math.min(writer.y, introTop - photoHeight) - 20;
+
+    // One two-column table per section, rows shaded alternately.
+    const labelWidth = 150;
+    const cell = 5;
+    sheet.sections.forEach(section => {
+        writer.ensure(60);
+        writer.paragraph(section.heading.toLocaleUpperCase(sheet.lang), { size: 10, style: 'bold', color: MUTED });
+        writer.y -= 4;
+
+        section.rows.forEach(([label, value], index) => {
+            const options = { size: 9.5 };
+            const labelLines = writer.wrap(label, labelWidth - cell * 2, { ...options, style: 'bold' });
+            const valueLines = writer.wrap(value, contentWidth - labelWidth - cell * 2, options);
+            const step = options.size * 1.35;
+            const height = Math.max(labelLines.length, valueLines.length) * step + cell * 2;
+
+            writer.ensure(height);
+            if (index % 2 === 0) {
+                writer.page.drawRectangle({
+                    x: margin,
+                    y: writer.y - height,
+                    width: contentWidth,
+                    height,
+                    color: rgb(0.96, 0.96, 0.96)
+                });
+            }
+            const firstBaseline = writer.y - cell - options.size * 0.9;
+            labelLines.forEach((line, i) => writer.draw(line, margin + cell, firstBaseline - i * step, { ...options, style: 'bold' }));
+            valueLines.forEach((line, i) => writer.draw(line, margin + labelWidth + cell, firstBaseline - i * step, options));
+            writer.y -= height;
+        });
+        writer.y -= 16;
+    });
+
+    writer.ensure(40);
+    rule(writer.y);
+    writer.y -= 6;
+    writer.paragraph(sheet.disclaimer, { size: 8.5, color: MUTED });
+
+    return doc.save();
+}
@@ -0,0 +1,188 @@
+import { Outbox } from './Outbox.js';
+
+// Where form submissions go. Set at build time through Vite env variables:
+//   VITE_FORM_TRANSPORT  formspree | webhook | mailto
+//   VITE_FORM_ENDPOINT   Formspree form URL or webhook URL
+//   VITE_FORM_EMAIL      address for the mailto transport and error fallback
+// The dev server defaults to the local mock endpoint (scripts/mock-form-endpoint.js).
+// A webhook on another origin also needs adding to `connect-src` in vercel.json.
+const env = import.meta.env;
+export const SUBMISSION_CONFIG = {
+    transport: env.VITE_FORM_TRANSPORT || (env.DEV ? 'webhook' : 'formspree'),
+    endpoint: env.VITE_FORM_ENDPOINT || (env.DEV ? '/api/rfq' : 'https://formspree.io/f/xvzzzgjd'),
+    email: env.VITE_FORM_EMAIL || 'glocal.guinee@gmail.com'
+};
+
+const RETRY = { attempts: 3, baseDelay: 1000, maxDelay: 8000 };
+const LOCK_NAME = 'glocal-outbox-flush';
+
+// `kind` is 'network' (no response), 'server' (5xx/429), 'validation'
+// (the backend rejected fields; see `fieldErrors`) or 'rejected' (other 4xx).
+// Only network and server errors are worth retrying.
+export class SubmissionError extends Error {
+    constructor(kind, message, { status = 0, fieldErrors = [] } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.kind = kind;
+        this.status = status;
+        this.fieldErrors = fieldErrors;
+    }
+
+    get retryable() {
+        return this.kind === 'network' || this.kind === 'server';
+    }
+}
+
+export function subjectFor(payload) {
+    const quantity = payload.quantity ? `${payload.quantity} ${payload.quantityUnit || ''}`.trim() : '';
+    const parts = [payload.commodity, payload.grade, quantity, payload.incoterm].filter(Boolean);
+    return `RFQ${parts.length ? `: ${parts.join(' · ')}` : ''}${payload.company ? ` (${payload.company})` : ''}`;
+}
+
+export function mailtoHref(email, payload) {
+    const body = Object.entries(payload)
+        .filter(([, value]) => value !== '')
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('\n');
+    return `mailto:${email}?subject=${encodeURIComponent(subjectFor(payload))}&body=${encodeURIComponent(body)}`;
+}
+
+async function postJson(endpoint, body) {
+    let response;
+    try {
+        response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    } catch (e) {
+        throw new SubmissionError('network', e.message);
+    }
+    if (response.ok) return response;
+
+    const message = `Form endpoint responded ${response.status}`;
+    const details = await response.json().catch(() => ({}));
+    if (response.status >= 500 || response.status === 429) {
+        throw new SubmissionError('server', message, { status: response.status });
+    }
+    // Formspree's shape: { errors: [{ field, message }] }. The mock endpoint matches it.
+    const fieldErrors = (details.errors || []).filter(error => error.field);
+    const kind = fieldErrors.length || response.status === 422 ? 'validation' : 'rejected';
+    throw new SubmissionError(kind, message, { status: response.status, fieldErrors });
+}
+
+// Each transport turns a flat form payload into one delivery attempt.
+// `queueable` transports can be retried later from the outbox.
+export const TRANSPORTS = {
+    formspree: ({ endpoint }) => ({
+        queueable: true,
+        send: payload => postJson(endpoint, { ...payload, _subject: subjectFor(payload) })
+    }),
+    webhook: ({ endpoint }) => ({
+        queueable: true,
+        send: payload => postJson(endpoint, { type: 'rfq', subject: subjectFor(payload), submittedAt: new Date().toISOString(), data: payload })
+    }),
+    // Hands the request to the visitor's mail app; nothing to confirm or retry.
+    mailto: ({ email }) => ({
+        queueable: false,
+        send: async payload => { window.location.href = mailtoHref(email, payload); }
+    })
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function withRetry(task, { attempts = RETRY.attempts, baseDelay = RETRY.baseDelay, maxDelay = RETRY.maxDelay, onRetry } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await task();
+        } catch (error) {
+            // Offline: fail fast so the caller can queue instead of waiting out the backoff.
+            if (!error.retryable || attempt >= attempts || !navigator.onLine) throw error;
+            const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)) * (0.5 + Math.random() * 0.5);
+            if (onRetry) onRetry(attempt, error);
+            await wait(delay);
+        }
+    }
+}
+
+// Sends submissions through the configured transport with retry/backoff.
+// Anything that still can't be delivered for network reasons is parked in
+// the outbox and flushed when the browser comes back online (or on the next
+// visit), so an inquiry typed on a flaky connection is never lost.
+export class FormSubmitter {
+    constructor(config = SUBMISSION_CONFIG) {
+        const create = TRANSPORTS[config.transport];
+        if (!create) throw new Error(`Unknown form transport "${config.transport}"`);
+        this.config = config;
+        this.transport = create(config);
+        this.outbox = new Outbox();
+        this.flushing = null;
+        this.onFlush = null; // (sentCount) => void, after queued submissions went out
+    }
+
+    // Resolves to 'sent', 'queued' or 'handedOff' (mailto). Throws a
+    // SubmissionError for anything the visitor has to act on.
+    async submit(payload, { onRetry } = {}) {
+        if (!this.transport.queueable) {
+            await this.transport.send(payload);
+            return 'handedOff';
+        }
+        try {
+            await withRetry(() => this.transport.send(payload), { onRetry });
+            return 'sent';
+        } catch (error) {
+            if (error.kind !== 'network') throw error;
+            try {
+                await this.outbox.add(payload);
+            } catch (storageError) {
+                throw error; // Nowhere to keep it; report the original failure.
+            }
+            return 'queued';
+        }
+    }
+
+    watch({ signal } = {}) {
+        if (!this.transport.queueable) return;
+        window.addEventListener('online', () => this.flush(), { signal });
+        if (navigator.onLine) this.flush();
+    }
+
+    // Delivers queued submissions oldest first. Only one flush runs at a time,
+    // across tabs too where the Web Locks API is available.
+    flush() {
+        if (!this.flushing) {
+            const run = () => this.flushOutbox();
+            const locked = navigator.locks ? navigator.locks.request(LOCK_NAME, run) : run();
+            this.flushing = locked
+                .catch(e => {
+                    console.warn('Outbox flush failed:', e);
+                    return 0;
+                })
+                .finally(() => { this.flushing = null; });
+        }
+        return this.flushing;
+    }
+
+    async flushOutbox() {
+        const records = await this.outbox.all();
+        let sent = 0;
+        for (const record of records) {
+            try {
+                await withRetry(() => this.transport.send(record.payload), { attempts: 2 });
+                await this.outbox.remove(record.id);
+                sent++;
+            } catch (error) {
+                if (error.retryable) {
+                    // Still unreachable: keep this and everything after it for the next flush.
+                    await this.outbox.update({ ...record, attempts: record.attempts + 1 });
+                    break;
+                }
+                // The backend refused it outright; retrying can't help.
+                console.warn('Dropping queued submission the server rejected:', error);
+                await this.outbox.remove(record.id);
+            }
+        }
+        if (sent && this.onFlush) this.onFlush(sent);
+        return sent;
+    }
+}
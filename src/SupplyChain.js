@@ -0,0 +1,288 @@
+import * as THREE from 'three';
+import { gsap } from 'gsap';
+import { quality, applyRendererQuality } from './Quality.js';
+import { theme } from './Theme.js';
+
+// One entry per `.step` card in #process, matched through data-stage.
+const STAGES = [
+    { id: 'sourcing', x: -9 },
+    { id: 'processing', x: -3 },
+    { id: 'inspection', x: 3 },
+    { id: 'shipping', x: 9 }
+];
+
+const ITEM_COUNT = 18;
+const ITEM_SPACING = 0.035;
+const ITEM_SIZE = 0.45;
+const ITEM_FACTORIES = ['createCashew', 'createCocoa', 'createSesame'];
+
+const standard = (color, extra = {}) => new THREE.MeshStandardMaterial({ color, roughness: 0.8, ...extra });
+
+function createFarm() {
+    const group = new THREE.Group();
+    const field = new THREE.Mesh(new THREE.CylinderGeometry(2.2, 2.4, 0.3, 32), standard(0x6b8e23));
+    group.add(field);
+
+    const trunkMaterial = standard(0x6b4226);
+    const leafMaterial = standard(0x2e7d32);
+    [[-1, -0.6], [0.8, -0.9], [0, 0.9], [-1.2, 0.8], [1.2, 0.5]].forEach(([x, z]) => {
+        const trunk = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.1, 0.6, 8), trunkMaterial);
+        trunk.position.set(x, 0.45, z);
+        const crown = new THREE.Mesh(new THREE.SphereGeometry(0.45, 12, 12), leafMaterial);
+        crown.position.set(x, 1, z);
+        crown.scale.y = 0.8;
+        group.add(trunk, crown);
+    });
+    return group;
+}
+
+function createProcessing() {
+    const group = new THREE.Group();
+    const base = new THREE.Mesh(new THREE.BoxGeometry(4, 0.3, 3.5), standard(0x9e9e9e));
+    const shed = new THREE.Mesh(new THREE.BoxGeometry(2.2, 1.4, 1.6), standard(0xe0d6c2));
+    shed.position.set(-0.6, 0.85, -0.6);
+    const roof = new THREE.Mesh(new THREE.ConeGeometry(1.7, 0.8, 4), standard(0x8d3b2a));
+    roof.position.set(-0.6, 1.95, -0.6);
+    roof.rotation.y = Math.PI / 4;
+    group.add(base, shed, roof);
+
+    const rackMaterial = standard(0xc8a165);
+    for (let i = 0; i < 3; i++) {
+        const rack = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.08, 0.5), rackMaterial);
+        rack.position.set(1.1, 0.5, -1 + i * 0.8);
+        group.add(rack);
+    }
+    return group;
+}
+
+function createInspection() {
+    const group = new THREE.Group();
+    const base = new THREE.Mesh(new THREE.BoxGeometry(3.5, 0.3, 3.5), standard(0xbdbdbd));
+    const lab = new THREE.Mesh(new THREE.BoxGeometry(2, 1.6, 1.6), standard(0xf5f5f5));
+    lab.position.set(-0.5, 0.95, -0.5);
+    group.add(base, lab);
+
+    const glass = new THREE.Group();
+    const rim = new THREE.Mesh(new THREE.TorusGeometry(0.55, 0.08, 12, 32), standard(0x1e3c72, { metalness: 0.5, roughness: 0.3 }));
+    const lens = new THREE.Mesh(
+        new THREE.CircleGeometry(0.5, 32),
+        new THREE.MeshStandardMaterial({ color: 0x87ceeb, transparent: true, opacity: 0.35, side: THREE.DoubleSide })
+    );
+    const handle = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.07, 0.8, 8), standard(0x3d1f14));
+    handle.position.set(0.55, -0.55, 0);
+    handle.rotation.z = Math.PI / 4;
+    glass.add(rim, lens, handle);
+    glass.position.set(0.9, 1.6, 0.6);
+    glass.userData.spin = true;
+    group.add(glass);
+    return group;
+}
+
+function createPort() {
+    const group = new THREE.Group();
+    const dock = new THREE.Mesh(new THREE.BoxGeometry(3, 0.3, 3.5), standard(0x757575));
+    dock.position.x = -0.5;
+    const water = new THREE.Mesh(new THREE.BoxGeometry(2, 0.1, 4), standard(0x1e90ff, { roughness: 0.2, transparent: true, opacity: 0.8 }));
+    water.position.set(2, -0.05, 0);
+    group.add(dock, water);
+
+    const colors = [0xc92a2a, 0x1e3c72, 0xd97706, 0x2e7d32];
+    for (let i = 0; i < 6; i++) {
+        const container = new THREE.Mesh(new THREE.BoxGeometry(0.9, 0.45, 0.45), standard(colors[i % colors.length]));
+        container.position.set(-1.3 + (i % 2) * 0.95, 0.38 + Math.floor(i / 2) * 0.46, 0.8);
+        group.add(container);
+    }
+
+    const craneMaterial = standard(0xf59e0b, { metalness: 0.3 });
+    const mast = new THREE.Mesh(new THREE.BoxGeometry(0.2, 2.6, 0.2), craneMaterial);
+    mast.position.set(0.6, 1.45, -0.9);
+    const boom = new THREE.Mesh(new THREE.BoxGeometry(2.6, 0.15, 0.15), craneMaterial);
+    boom.position.set(1.5, 2.7, -0.9);
+    const ship = new THREE.Mesh(new THREE.BoxGeometry(1.4, 0.4, 3), standard(0x37474f));
+    ship.position.set(2, 0.2, 0);
+    group.add(mast, boom, ship);
+    return group;
+}
+
+const STAGE_BUILDERS = {
+    sourcing: createFarm,
+    processing: createProcessing,
+    inspection: createInspection,
+    shipping: createPort
+};
+
+export class SupplyChain {
+    constructor(container, assets, { onStageChange } = {}) {
+        this.container = container;
+        if (!this.container) return;
+        this.assets = assets;
+        this.onStageChange = onStageChange;
+        this.state = { progress: 0 };
+        this.activeStage = -1;
+
+        const { clientWidth, clientHeight } = this.container;
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(45, clientWidth / clientHeight, 0.1, 100);
+        this.lookTarget = new THREE.Vector3(STAGES[0].x, 0.5, 0);
+        this.camera.position.set(STAGES[0].x - 2, 5, 9);
+        this.camera.lookAt(this.lookTarget);
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: quality.settings.antialias, alpha: true });
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setSize(clientWidth, clientHeight);
+        this.container.appendChild(this.renderer.domElement);
+
+        this.clock = new THREE.Clock();
+        this.setupLights();
+        this.createStages();
+        this.createPath();
+        this.createItems();
+        this.applyTheme(theme.palette);
+
+        this.listeners = new AbortController();
+        window.addEventListener('resize', () => this.onResize(), { signal: this.listeners.signal });
+        document.addEventListener('themechange', (e) => this.applyTheme(e.detail.palette), { signal: this.listeners.signal });
+    }
+
+    // Colours come from the theme palette (applyTheme).
+    setupLights() {
+        this.skyLight = new THREE.HemisphereLight(0xffffff, 0xc8b89a);
+        this.scene.add(this.skyLight);
+        this.sun = new THREE.DirectionalLight();
+        this.sun.position.set(-5, 10, 6);
+        this.scene.add(this.sun);
+    }
+
+    applyTheme(palette) {
+        this.skyLight.color.set(palette.ambient);
+        this.skyLight.intensity = 1.6 * palette.lightScale;
+        this.sun.color.set(palette.key);
+        this.sun.intensity = 1.5 * palette.lightScale;
+        this.ground.material.color.set(palette.ground);
+    }
+
+    createStages() {
+        this.ground = new THREE.Mesh(new THREE.PlaneGeometry(40, 12), standard(0xffffff, { roughness: 1 }));
+        this.ground.rotation.x = -Math.PI / 2;
+        this.ground.position.y = -0.16;
+        this.scene.add(this.ground);
+
+        this.stages = STAGES.map(stage => {
+            const group = STAGE_BUILDERS[stage.id]();
+            group.position.x = stage.x;
+            this.scene.add(group);
+
+            const ring = new THREE.Mesh(
+                new THREE.RingGeometry(2.6, 2.8, 48),
+                new THREE.MeshBasicMaterial({ color: 0xd97706, transparent: true, opacity: 0, side: THREE.DoubleSide })
+            );
+            ring.rotation.x = -Math.PI / 2;
+            ring.position.set(stage.x, -0.14, 0);
+            this.scene.add(ring);
+
+            return { ...stage, group, ring };
+        });
+    }
+
+    createPath() {
+        const points = [];
+        STAGES.forEach((stage, i) => {
+            points.push(new THREE.Vector3(stage.x, 0.6, 1.6));
+            if (i < STAGES.length - 1) {
+                points.push(new THREE.Vector3((stage.x + STAGES[i + 1].x) / 2, 0.4, i % 2 ? 2.4 : 2));
+            }
+        });
+        this.path = new THREE.CatmullRomCurve3(points);
+
+        const road = new THREE.Mesh(
+            new THREE.TubeGeometry(this.path, 128, 0.05, 6, false),
+            new THREE.MeshBasicMaterial({ color: 0xbca98a })
+        );
+        this.scene.add(road);
+    }
+
+    createItems() {
+        // Assets meshes come in very different sizes, so fit each one to ITEM_SIZE.
+        const size = new THREE.Vector3();
+        this.items = [];
+        for (let i = 0; i < ITEM_COUNT; i++) {
+            const factory = ITEM_FACTORIES[i % ITEM_FACTORIES.length];
+            const mesh = this.assets[factory]({ detail: 'low' });
+            new THREE.Box3().setFromObject(mesh).getSize(size);
+            mesh.scale.multiplyScalar(ITEM_SIZE / Math.max(size.x, size.y, size.z));
+            mesh.visible = false;
+            this.scene.add(mesh);
+            this.items.push({ mesh, lag: i * ITEM_SPACING, spin: 0.5 + Math.random() });
+        }
+    }
+
+    // Scroll drives this timeline (see App.setupSupplyChain): one second per
+    // stage, moving the camera along while the convoy advances.
+    createTimeline() {
+        const tl = gsap.timeline({ paused: true });
+        this.stages.forEach((stage, i) => {
+            tl.to(this.state, { progress: (i + 1) / this.stages.length, duration: 1, ease: 'none' }, i);
+            if (i === 0) return;
+            tl.to(this.camera.position, { x: stage.x - 2, y: 5 - i * 0.3, z: 9 - i * 0.4, duration: 1, ease: 'power1.inOut' }, i - 1)
+                .to(this.lookTarget, { x: stage.x, duration: 1, ease: 'power1.inOut' }, i - 1);
+        });
+        return tl;
+    }
+
+    setActiveStage(index) {
+        if (index === this.activeStage) return;
+        this.activeStage = index;
+        this.stages.forEach((stage, i) => {
+            gsap.to(stage.ring.material, { opacity: i === index ? 0.8 : 0, duration: 0.4 });
+        });
+        if (this.onStageChange) this.onStageChange(this.stages[index].id, index);
+    }
+
+    setQuality(settings) {
+        applyRendererQuality(this.renderer, this.scene, settings);
+    }
+
+    onResize() {
+        const { clientWidth, clientHeight } = this.container;
+        if (!clientWidth || !clientHeight) return;
+        this.camera.aspect = clientWidth / clientHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(clientWidth, clientHeight);
+    }
+
+    // Stage models come from Assets, which shares geometry and materials
+    // with the hero scene, so only the renderer and its context are released.
+    dispose() {
+        this.listeners.abort();
+        gsap.killTweensOf(this.stages.map(stage => stage.ring.material));
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.renderer.domElement.remove();
+    }
+
+    render() {
+        const delta = this.clock.getDelta();
+        const elapsed = this.clock.elapsedTime;
+        const { progress } = this.state;
+
+        this.setActiveStage(Math.min(this.stages.length - 1, Math.floor(progress * this.stages.length)));
+
+        this.items.forEach(item => {
+            const t = progress - item.lag;
+            item.mesh.visible = t > 0;
+            if (!item.mesh.visible) return;
+            this.path.getPointAt(Math.min(t, 1), item.mesh.position);
+            item.mesh.position.y += Math.sin(elapsed * 3 + item.lag * 40) * 0.05;
+            item.mesh.rotation.y += item.spin * delta;
+        });
+
+        this.stages.forEach(stage => {
+            stage.group.traverse(child => {
+                if (child.userData.spin) child.rotation.y += delta;
+            });
+        });
+
+        this.camera.lookAt(this.lookTarget);
+        this.renderer.render(this.scene, this.camera);
+    }
+}
@@ -0,0 +1,99 @@
+import { t } from './I18n.js';
+
+const STORAGE_KEY = 'glocal-theme';
+export const THEMES = ['light', 'dark', 'contrast'];
+
+// The WebGL colours live in style.css next to the page colours, as custom
+// properties on each [data-theme]; `theme.palette` is this map read back.
+const PALETTE_PROPERTIES = {
+    background: '--scene-background',
+    ground: '--scene-ground',
+    fog: '--scene-fog',
+    fogDensity: '--scene-fog-density',
+    ambient: '--scene-ambient',
+    key: '--scene-key',
+    fill: '--scene-fill',
+    lightScale: '--scene-light-scale',
+    ocean: '--globe-ocean',
+    land: '--globe-land',
+    graticule: '--globe-graticule',
+    atmosphere: '--globe-atmosphere'
+};
+const NUMERIC = ['fogDensity', 'lightScale'];
+
+// Light, dark or high contrast, set as data-theme on <html>. Follows
+// `prefers-contrast` and `prefers-color-scheme` until the visitor picks a
+// theme with the toggle; that choice is remembered. The inline script in
+// index.html applies the same rules before first paint. Canvases read
+// `theme.palette` when they are built and listen for `themechange` on
+// document to re-colour.
+export class ThemeManager {
+    constructor() {
+        this.queries = [window.matchMedia('(prefers-contrast: more)'), window.matchMedia('(prefers-color-scheme: dark)')];
+        this.preference = this.readPreference();
+        this.queries.forEach(query => query.addEventListener('change', () => {
+            if (!this.preference) this.notify();
+        }));
+        this.apply();
+    }
+
+    readPreference() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return THEMES.includes(stored) ? stored : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    get current() {
+        if (this.preference) return this.preference;
+        const [contrast, dark] = this.queries;
+        return contrast.matches ? 'contrast' : dark.matches ? 'dark' : 'light';
+    }
+
+    // One of THEMES, or null to follow the OS settings again.
+    setPreference(preference) {
+        this.preference = preference;
+        try {
+            if (preference) localStorage.setItem(STORAGE_KEY, preference);
+            else localStorage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            // Storage may be unavailable (private mode); the choice still applies to this visit.
+        }
+        this.notify();
+    }
+
+    // Auto, then each theme in turn.
+    cycle() {
+        const choices = [null, ...THEMES];
+        this.setPreference(choices[(choices.indexOf(this.preference) + 1) % choices.length]);
+    }
+
+    apply() {
+        document.documentElement.dataset.theme = this.current;
+        const styles = getComputedStyle(document.documentElement);
+        this.palette = Object.fromEntries(Object.entries(PALETTE_PROPERTIES).map(([name, property]) => {
+            const value = styles.getPropertyValue(property).trim();
+            return [name, NUMERIC.includes(name) ? parseFloat(value) : value];
+        }));
+    }
+
+    notify() {
+        this.apply();
+        document.dispatchEvent(new CustomEvent('themechange', { detail: { theme: this.current, palette: this.palette } }));
+    }
+
+    // The button names the current choice and moves on to the next.
+    bindToggle(button) {
+        const sync = () => {
+            button.textContent = t('theme.current', { name: t(`theme.${this.preference ?? 'auto'}`) });
+        };
+        button.addEventListener('click', () => this.cycle());
+        document.addEventListener('themechange', sync);
+        document.addEventListener('localechange', sync);
+        sync();
+    }
+}
+
+export const theme = new ThemeManager();
@@ -0,0 +1,204 @@
+import { getCommodity } from './data/commodities.js';
+import { COMPANY } from './data/company.js';
+import { localizePath } from './I18n.js';
+
+// Lot traceability for the /lot/<id> pages that bag QR codes point to. Each
+// lot is a static file, public/data/lots/<id>.json, listed in index.json
+// (which the prerender reads to write one page per lot):
+//   { id, commodity, harvest: { from, to }, quantity: { value, unit, bags },
+//     cooperative: { name, location, members },
+//     processing: { date, site, description },
+//     inspection: { date, body, reference }, shipment,
+//     compliance: { eudr, deforestationFree, cutoffDate, legal, risk, statement },
+//     plots: GeoJSON FeatureCollection of Polygons with { id, village, producer, areaHa } }
+// `commodity` is an id from src/data/commodities.js, `harvest` months are
+// 'YYYY-MM', other dates 'YYYY-MM-DD', `shipment` a booking for /track.
+export const LOTS_URL = '/data/lots';
+
+const LOT_ID = /^[A-Z]{3}-\d{4}-\d{3}$/;
+const EARTH_RADIUS = 6371008.8; // Metres
+
+export function isValidLotId(id) {
+    return LOT_ID.test(id);
+}
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Shoelace formula on a local equirectangular projection; exact enough at
+// the size of a farm plot.
+export function ringArea(ring) {
+    const lat0 = ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length * Math.PI / 180;
+    const x = lon => lon * Math.PI / 180 * EARTH_RADIUS * Math.cos(lat0);
+    const y = lat => lat * Math.PI / 180 * EARTH_RADIUS;
+    let twice = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        twice += x(ring[i][0]) * y(ring[i + 1][1]) - x(ring[i + 1][0]) * y(ring[i][1]);
+    }
+    return Math.abs(twice) / 2 / 10000; // Hectares
+}
+
+// Mean of the vertices, as [lon, lat]; the closing vertex is skipped.
+export function ringCenter(ring) {
+    const points = ring.slice(0, -1);
+    return [0, 1].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+}
+
+// Throws on a file that doesn't describe a lot; plots that aren't polygons
+// are dropped.
+export function parseLot(json) {
+    const commodity = getCommodity(json?.commodity);
+    if (!json?.id || !commodity) throw new Error('Lot needs `id` and a known `commodity`');
+    const plots = (json.plots?.features || [])
+        .filter(feature => feature?.geometry?.type === 'Polygon' && feature.geometry.coordinates?.[0]?.length >= 4)
+        .map((feature, i) => {
+            const ring = feature.geometry.coordinates[0];
+            const props = feature.properties || {};
+            return {
+                id: String(props.id || i + 1),
+                village: props.village || '',
+                producer: props.producer || '',
+                areaHa: Number(props.areaHa) || ringArea(ring),
+                center: ringCenter(ring),
+                ring
+            };
+        });
+    const compliance = json.compliance || {};
+    return {
+        id: String(json.id),
+        commodity,
+        harvest: { from: parseDate(json.harvest?.from), to: parseDate(json.harvest?.to) },
+        quantity: json.quantity?.value ? { value: Number(json.quantity.value), unit: json.quantity.unit || 't', bags: Number(json.quantity.bags) || 0 } : null,
+        cooperative: { name: json.cooperative?.name || '', location: json.cooperative?.location || '', members: Number(json.cooperative?.members) || 0 },
+        processing: { date: parseDate(json.processing?.date), site: json.processing?.site || '', description: json.processing?.description || '' },
+        inspection: { date: parseDate(json.inspection?.date), body: json.inspection?.body || '', reference: json.inspection?.reference || '' },
+        shipment: json.shipment || '',
+        compliance: {
+            eudr: Boolean(compliance.eudr),
+            deforestationFree: Boolean(compliance.deforestationFree),
+            cutoffDate: parseDate(compliance.cutoffDate),
+            legal: Boolean(compliance.legal),
+            risk: compliance.risk || '',
+            statement: compliance.statement || ''
+        },
+        plots,
+        totalArea: plots.reduce((sum, plot) => sum + plot.areaHa, 0)
+    };
+}
+
+// Resolves with null for a lot that doesn't exist.
+export async function loadLot(id, { signal } = {}) {
+    if (!isValidLotId(id)) return null;
+    const response = await fetch(`${LOTS_URL}/${id}.json`, { signal, headers: { 'Accept': 'application/json' } });
+    // The SPA fallback answers a missing file with index.html.
+    if (response.status === 404 || !response.headers.get('Content-Type')?.includes('json')) return null;
+    if (!response.ok) throw new Error(`Lot file responded ${response.status}`);
+    return parseLot(await response.json());
+}
+
+// Formatters shared by the page and the summary. Harvest months and dates
+// are calendar values, kept as UTC.
+export function lotFormats(lang) {
+    return {
+        date: new Intl.DateTimeFormat(lang, { dateStyle: 'medium', timeZone: 'UTC' }),
+        month: new Intl.DateTimeFormat(lang, { month: 'short', year: 'numeric', timeZone: 'UTC' }),
+        number: new Intl.NumberFormat(lang),
+        area: new Intl.NumberFormat(lang, { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+        coordinate: new Intl.NumberFormat(lang, { minimumFractionDigits: 5, maximumFractionDigits: 5 })
+    };
+}
+
+export function harvestRange(lot, format) {
+    const { from, to } = lot.harvest;
+    if (!from) return '';
+    return to && to.getTime() !== from.getTime() ? format.month.formatRange(from, to) : format.month.format(from);
+}
+
+// The plots as a GeoJSON file for the buyer's due-diligence statement (the
+// EU information system takes GeoJSON polygons).
+export function plotsGeoJson(lot) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        features: lot.plots.map(plot => ({
+            type: 'Feature',
+            properties: { lot: lot.id, plot: plot.id, producer: plot.producer, village: plot.village, areaHa: Number(plot.areaHa.toFixed(2)), country: 'GN' },
+            geometry: { type: 'Polygon', coordinates: [plot.ring] }
+        }))
+    }, null, 2);
+}
+
+// The due-diligence summary in the spec sheets' content shape, so
+// createSpecSheetPdf() in src/SpecSheet.js lays it out. Everything already
+// translated: `t` and `lang` are the page's.
+export function dueDiligenceContent(lot, { locale, lang, t }) {
+    const { commodity, compliance } = lot;
+    const format = lotFormats(lang);
+    const date = value => (value ? format.date.format(value) : '–');
+    const yesNo = value => t(value ? 'lot.yes' : 'lot.no');
+    const name = t(`commodities.${commodity.id}.fullName`, null, commodity.fullName);
+    const quantity = lot.quantity
+        ? `${format.number.format(lot.quantity.value)} ${lot.quantity.unit}${lot.quantity.bags ? ` · ${format.number.format(lot.quantity.bags)} ${t('lot.bags')}` : ''}`
+        : '–';
+
+    return {
+        lang,
+        title: t('lot.dds.title'),
+        issued: t('specSheet.issued', { date: new Intl.DateTimeFormat(lang, { dateStyle: 'long' }).format(new Date()) }),
+        name: `${t('lot.lot')} ${lot.id}`,
+        overview: t(compliance.deforestationFree ? 'lot.dds.statement' : 'lot.dds.statementPending', {
+            name,
+            cutoff: date(compliance.cutoffDate)
+        }),
+        image: commodity.image,
+        imageAlt: name,
+        sections: [
+            {
+                heading: t('lot.details'),
+                rows: [
+                    [t('lot.commodity'), name],
+                    [t('commodity.hsCode'), commodity.hsCode],
+                    [t('lot.quantity'), quantity],
+                    [t('lot.harvest'), harvestRange(lot, format) || '–'],
+                    [t('lot.country'), t('partners.guinea')],
+                    [t('lot.cooperative'), [lot.cooperative.name, lot.cooperative.location].filter(Boolean).join(', ')],
+                    [t('lot.processed'), [date(lot.processing.date), lot.processing.site].filter(Boolean).join(' · ')],
+                    [t('lot.inspected'), [date(lot.inspection.date), lot.inspection.body, lot.inspection.reference].filter(Boolean).join(' · ')]
+                ]
+            },
+            {
+                heading: t('lot.compliance'),
+                rows: [
+                    [t('lot.deforestationFree'), yesNo(compliance.deforestationFree)],
+                    [t('lot.cutoff'), date(compliance.cutoffDate)],
+                    [t('lot.legal'), yesNo(compliance.legal)],
+                    [t('lot.risk'), compliance.risk ? t(`lot.risks.${compliance.risk}`, null, compliance.risk) : '–'],
+                    ...(compliance.eudr && compliance.statement ? [[t('lot.statement'), compliance.statement]] : [])
+                ]
+            },
+            {
+                heading: t('lot.plots'),
+                rows: [
+                    [t('lot.total'), `${lot.plots.length} · ${format.area.format(lot.totalArea)} ha`],
+                    ...lot.plots.map(plot => [
+                        plot.id,
+                        `${[plot.village, plot.producer].filter(Boolean).join(', ')} · ${format.area.format(plot.areaHa)} ha · `
+                            + `${format.coordinate.format(plot.center[1])}, ${format.coordinate.format(plot.center[0])}`
+                    ])
+                ]
+            },
+            {
+                heading: t('lot.operator'),
+                rows: [
+                    [t('contact.location'), `${COMPANY.legalName}, ${t('contact.locationValue')}`],
+                    [t('contact.email'), COMPANY.email],
+                    [t('specSheet.website'), `${window.location.origin}${localizePath(locale, `/lot/${lot.id}`)}`]
+                ]
+            }
+        ],
+        disclaimer: t('lot.dds.disclaimer'),
+        fileName: `glocal-guinee-lot-${lot.id}-due-diligence-${locale}.pdf`
+    };
+}
@@ -0,0 +1,130 @@
+// Shipment lookups for the /track view. Set at build time through a Vite env
+// variable:
+//   VITE_TRACKING_ENDPOINT  base URL of the tracking API
+// The default, /api/shipments, is answered by the dev server's mock
+// (scripts/mock-tracking-endpoint.js) and, in production, by whatever proxies
+// the logistics system on the same origin. An API on another origin also
+// needs adding to `connect-src` in vercel.json.
+//
+// Contract: GET {endpoint}/{reference}, where the reference is a booking
+// (GGB-2026-0142) or a container number (MSCU4821730).
+//   200  the shipment, shaped as parseShipment() describes
+//   400  { error: 'invalid_reference' }
+//   404  { error: 'not_found' }
+const env = import.meta.env;
+export const TRACKING_CONFIG = {
+    endpoint: env.VITE_TRACKING_ENDPOINT || '/api/shipments'
+};
+
+// In order; the API reports each with a status of done, current or pending.
+export const MILESTONES = ['sourced', 'processed', 'inspected', 'loaded', 'atSea', 'arrived'];
+const STATUSES = ['done', 'current', 'pending'];
+
+// Our bookings, or an ISO 6346 container number (owner code, U, serial, check digit).
+const REFERENCE = /^(?:GGB-\d{4}-\d{4}|[A-Z]{3}U\d{7})$/;
+
+// `kind` is 'invalid' (not a reference we issue), 'notFound', 'network'
+// (no response) or 'server' (anything else, including a non-JSON answer).
+export class TrackingError extends Error {
+    constructor(kind, message, { status = 0 } = {}) {
+        super(message);
+        this.name = 'TrackingError';
+        this.kind = kind;
+        this.status = status;
+    }
+}
+
+// Upper-cased without spaces, as references are often pasted from a PDF.
+export function normalizeReference(input) {
+    return String(input).replace(/\s+/g, '').toUpperCase();
+}
+
+export function isValidReference(reference) {
+    return REFERENCE.test(reference);
+}
+
+// Dates are calendar days ('2026-10-04'), kept as UTC midnight.
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Only web links: the URLs end up in href attributes.
+function parseDocument(doc) {
+    try {
+        const url = new URL(doc.url, location.origin);
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+        return { type: String(doc.type || ''), title: String(doc.title || doc.type || ''), url: url.href };
+    } catch (e) {
+        return null;
+    }
+}
+
+// `{ reference, containers: [id], commodity, quantity: { value, unit },
+// destination: { market, port }, vessel, updatedAt, milestones: [{ id, status,
+// date, expected, location, inspector, documents: [{ type, title, url }] }] }`.
+// `commodity` and `destination.market` are ids from src/data; `date` is when a
+// milestone happened (or started, while current), `expected` when it is due.
+// Milestones come back in MILESTONES order; unknown ones are dropped.
+export function parseShipment(json) {
+    if (!json?.reference || !Array.isArray(json.milestones)) {
+        throw new TrackingError('server', 'Shipment needs `reference` and `milestones`');
+    }
+    const milestones = MILESTONES.map(id => json.milestones.find(milestone => milestone?.id === id))
+        .filter(Boolean)
+        .map(milestone => ({
+            id: milestone.id,
+            status: STATUSES.includes(milestone.status) ? milestone.status : 'pending',
+            date: parseDate(milestone.date),
+            expected: parseDate(milestone.expected),
+            location: milestone.location || '',
+            inspector: milestone.inspector || '',
+            documents: (milestone.documents || []).map(parseDocument).filter(Boolean)
+        }));
+    if (!milestones.length) throw new TrackingError('server', 'Shipment has no known milestones');
+    return {
+        reference: String(json.reference),
+        containers: (json.containers || []).map(String),
+        commodity: json.commodity || '',
+        quantity: json.quantity?.value ? { value: Number(json.quantity.value), unit: json.quantity.unit || 't' } : null,
+        destination: { market: json.destination?.market || '', port: json.destination?.port || '' },
+        vessel: json.vessel || '',
+        updatedAt: parseDate(json.updatedAt),
+        milestones
+    };
+}
+
+export async function fetchShipment(reference, { config = TRACKING_CONFIG, signal } = {}) {
+    if (!isValidReference(reference)) throw new TrackingError('invalid', `Not a booking or container reference: ${reference}`);
+    let response;
+    try {
+        response = await fetch(`${config.endpoint.replace(/\/$/, '')}/${encodeURIComponent(reference)}`, {
+            signal,
+            headers: { 'Accept': 'application/json' }
+        });
+    } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        throw new TrackingError('network', e.message);
+    }
+    const message = `Tracking endpoint responded ${response.status}`;
+    if (response.status === 404) throw new TrackingError('notFound', message, { status: 404 });
+    if (response.status === 400) throw new TrackingError('invalid', message, { status: 400 });
+    // The SPA fallback answers unknown paths with index.html, so check the type too.
+    if (!response.ok || !response.headers.get('Content-Type')?.includes('application/json')) {
+        throw new TrackingError('server', message, { status: response.status });
+    }
+    return parseShipment(await response.json());
+}
+
+// How far along the sea leg the shipment is: 0 until loaded, 1 once arrived,
+// in between by time elapsed towards the expected arrival.
+export function voyageProgress(shipment, now = Date.now()) {
+    const loaded = shipment.milestones.find(milestone => milestone.id === 'loaded');
+    const arrived = shipment.milestones.find(milestone => milestone.id === 'arrived');
+    if (arrived?.status === 'done') return 1;
+    if (loaded?.status !== 'done' || !loaded.date) return 0;
+    const end = arrived?.expected ?? arrived?.date;
+    if (!end || end <= loaded.date) return 0.5;
+    return Math.min(Math.max((now - loaded.date) / (end - loaded.date), 0), 1);
+}
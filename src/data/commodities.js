@@ -0,0 +1,103 @@
+// Single source of truth for the commodities we trade. The product grid, the
+// detail pages (/products/<id>), the quote wizard's commodity and grade
+// choices and the 3D viewer all render from this list, so adding a commodity
+// means adding one entry here.
+//
+// `asset` names the Assets factory used to build the 3D model, `assetOptions`
+// is passed to it and `viewerScale` sizes it inside the ProductViewer (Assets
+// models are ~2 units long). `season` lists the harvest months (1-12) in
+// Guinea, `peak` the ones with most volume. `gallery` alt text is English with
+// its locale key alongside. Names, descriptions and overviews are the English
+// copy; translations live under `commodities.<id>` and spec labels under
+// `specs.<key>` in src/locales.
+
+export const COMMODITIES = [
+    {
+        id: 'sesame',
+        name: 'Sesame',
+        shortName: 'Sesame',
+        fullName: 'Sesame Seeds',
+        icon: '🌾',
+        description: 'Golden seeds from the fertile Guinean plains.',
+        overview: 'Natural sesame grown by smallholders across Upper Guinea, machine-cleaned and sorted in Conakry before export.',
+        image: '/images/sesame.jpg',
+        gallery: [
+            { src: '/images/sesame.jpg', alt: 'Natural white sesame seeds', altKey: 'commodities.sesame.photoAlt' },
+            { src: '/images/about-agriculture.png', alt: 'Guinean Agriculture - Sesame, Cashews, and Cocoa', altKey: 'about.imageAlt' }
+        ],
+        hsCode: '1207.40',
+        season: { harvest: [10, 11, 12], peak: [11] },
+        asset: 'createSesame',
+        assetOptions: {},
+        viewerScale: 2.2,
+        specs: [
+            { key: 'purity', label: 'Purity', value: 99, unit: '%', limit: 'min' },
+            { key: 'oilContent', label: 'Oil Content', value: 48, unit: '%', limit: 'min' },
+            { key: 'moisture', label: 'Moisture', value: 6, unit: '%', limit: 'max' }
+        ],
+        grades: ['Natural White', 'Mixed'],
+        packaging: ['50 kg PP bags']
+    },
+    {
+        id: 'cashew',
+        name: 'Raw Cashew Nuts',
+        shortName: 'Cashew',
+        fullName: 'Raw Cashew Nuts',
+        icon: '🥜',
+        description: 'Premium RCN with high KOR and outturn.',
+        overview: 'In-shell cashew from the Boké and Kindia orchards, sun-dried and outturn-tested on every lot before it is bagged.',
+        image: '/images/cashew.jpg',
+        gallery: [
+            { src: '/images/cashew.jpg', alt: 'Raw cashew nuts in shell', altKey: 'commodities.cashew.photoAlt' },
+            { src: '/images/about-agriculture.png', alt: 'Guinean Agriculture - Sesame, Cashews, and Cocoa', altKey: 'about.imageAlt' }
+        ],
+        hsCode: '0801.31',
+        season: { harvest: [2, 3, 4, 5, 6], peak: [3, 4, 5] },
+        asset: 'createCashew',
+        assetOptions: { apple: true },
+        viewerScale: 2.2,
+        specs: [
+            { key: 'kor', label: 'KOR', value: '48-52', unit: 'lbs' },
+            { key: 'nutCount', label: 'Nut Count', value: '180-200', unit: 'nuts/kg' },
+            { key: 'origin', label: 'Origin', value: 'Guinea' }
+        ],
+        grades: ['KOR 50+', 'KOR 48-50'],
+        packaging: ['80 kg jute bags']
+    },
+    {
+        id: 'cocoa',
+        name: 'Cocoa Beans',
+        shortName: 'Cocoa',
+        fullName: 'Cocoa Beans',
+        icon: '🍫',
+        description: 'Rich, aromatic cocoa for fine chocolate.',
+        overview: 'Forest Guinea cocoa, fully fermented and dried to export moisture, with main-crop and mid-crop beans shipped separately.',
+        image: '/images/cocoa.jpg',
+        gallery: [
+            { src: '/images/cocoa.jpg', alt: 'Fermented cocoa beans', altKey: 'commodities.cocoa.photoAlt' },
+            { src: '/images/about-agriculture.png', alt: 'Guinean Agriculture - Sesame, Cashews, and Cocoa', altKey: 'about.imageAlt' }
+        ],
+        hsCode: '1801.00',
+        season: { harvest: [10, 11, 12, 1, 2, 3, 5, 6, 7], peak: [11, 12] },
+        asset: 'createCocoaPod',
+        assetOptions: { open: true },
+        viewerScale: 2.2,
+        specs: [
+            { key: 'fermentation', label: 'Fermentation', value: 95, unit: '%', limit: 'min' },
+            { key: 'moisture', label: 'Moisture', value: 7.5, unit: '%', limit: 'max' },
+            { key: 'grade', label: 'Grade', value: 'G1 & G2' }
+        ],
+        grades: ['G1', 'G2'],
+        packaging: ['62.5 kg jute bags']
+    }
+];
+
+export function getCommodity(id) {
+    return COMMODITIES.find(commodity => commodity.id === id) || null;
+}
+
+export function formatSpecValue(spec) {
+    const unit = spec.unit ? (spec.unit === '%' ? '%' : ` ${spec.unit}`) : '';
+    const limit = spec.limit ? ` ${spec.limit}` : '';
+    return `${spec.value}${unit}${limit}`;
+}
@@ -0,0 +1,26 @@
+// Company details used outside the page copy: the prerendered
+// Organization structured data, the share images, the spec sheets and the
+// contact links and vCard (src/Contact.js). The contact section in
+// index.html shows the same numbers; keep the two in sync.
+
+export const COMPANY = {
+    legalName: 'GLOCAL GUINEE SARLU',
+    name: 'Glocal Guinée',
+    foundingDate: '2008',
+    email: 'glocal.guinee@gmail.com',
+    phones: ['+224656314191', '+224622461483'],
+    whatsapp: '+224656314191',
+    address: { locality: 'Conakry', country: 'GN', countryName: 'Guinea' },
+    logo: '/icons/icon-512.png'
+};
+
+// The footer's profile links, in order: `label` is the accessible name,
+// `short` the icon text. The profiles still at `#` keep their footer icon
+// until their address is set; those with one also go into the structured
+// data as `sameAs`.
+export const SOCIAL_LINKS = [
+    { id: 'facebook', label: 'Facebook', short: 'FB', url: '#' },
+    { id: 'linkedin', label: 'LinkedIn', short: 'LI', url: '#' },
+    { id: 'whatsapp', label: 'WhatsApp', short: 'WA', url: `https://wa.me/${COMPANY.whatsapp.replace(/\D/g, '')}` },
+    { id: 'instagram', label: 'Instagram', short: 'IG', url: '#' }
+];
@@ -0,0 +1,61 @@
+// Trade network shown on the partners globe. Every destination market gets a
+// marker at its port, a shipping arc from Conakry, an info box and a marquee
+// entry, so adding a market means adding one entry to MARKETS.
+//
+// Country names are the English copy; translations live under
+// `partners.<id>` in src/locales. `products` are commodity ids from
+// ./commodities.js.
+
+export const HEADQUARTERS = {
+    id: 'guinea',
+    name: 'Guinea',
+    flag: '🇬🇳',
+    port: 'Conakry',
+    lat: 9.509,
+    lon: -13.712,
+    summary: { key: 'partners.hqRole', text: 'Sourcing & Processing' },
+    role: { key: 'partners.hqNote', text: 'Heart of Operations' }
+};
+
+export const MARKETS = [
+    {
+        id: 'india',
+        name: 'India',
+        flag: '🇮🇳',
+        port: 'Nhava Sheva',
+        lat: 18.95,
+        lon: 72.95,
+        products: ['sesame', 'cashew', 'cocoa'],
+        role: { key: 'partners.keyMarket', text: 'Key Market' }
+    },
+    {
+        id: 'turkey',
+        name: 'Turkey',
+        flag: '🇹🇷',
+        port: 'Mersin',
+        lat: 36.8,
+        lon: 34.63,
+        products: ['sesame', 'cashew'],
+        role: { key: 'partners.regionalHub', text: 'Regional Hub' }
+    },
+    {
+        id: 'vietnam',
+        name: 'Vietnam',
+        flag: '🇻🇳',
+        port: 'Ho Chi Minh City',
+        lat: 10.76,
+        lon: 106.79,
+        products: ['sesame', 'cashew', 'cocoa'],
+        role: { key: 'partners.growthMarket', text: 'Growth Market' }
+    },
+    {
+        id: 'china',
+        name: 'China',
+        flag: '🇨🇳',
+        port: 'Shanghai',
+        lat: 31.23,
+        lon: 121.47,
+        products: ['sesame', 'cashew', 'cocoa'],
+        role: { key: 'partners.majorMarket', text: 'Major Market' }
+    }
+];
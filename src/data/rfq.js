@@ -0,0 +1,26 @@
+// Choices offered by the request-for-quote wizard. `label` is the English
+// copy; entries with a `key` are translated under that key in src/locales,
+// the rest (trade terms, company names) read the same in every language.
+// Destination ports are suggested from the markets in ./markets.js.
+
+export const QUANTITY_UNITS = [
+    { id: 'mt', key: 'rfq.units.mt', label: 'Metric tonnes', step: 'any' },
+    { id: 'containers', key: 'rfq.units.containers', label: "20' containers", step: 1 }
+];
+
+// FOB leaves freight to the buyer, so only CFR/CIF need a destination port.
+export const INCOTERMS = [
+    { id: 'FOB', label: 'FOB Conakry', needsPort: false },
+    { id: 'CFR', label: 'CFR', needsPort: true },
+    { id: 'CIF', label: 'CIF', needsPort: true }
+];
+
+export const PACKAGING = [
+    { id: 'jute', key: 'rfq.packagingOptions.jute', label: 'Jute bags' },
+    { id: 'pp', key: 'rfq.packagingOptions.pp', label: 'PP bags' }
+];
+
+export const INSPECTION_BODIES = [
+    { id: 'sgs', label: 'SGS' },
+    { id: 'bureau-veritas', label: 'Bureau Veritas' }
+];
@@ -0,0 +1,15 @@
+// Pages of the site. The router in main.js matches these and the build-time
+// prerender (scripts/prerender-plugin.js) writes one HTML file per route and
+// locale, with `/products/:id` expanded to every commodity and `/lot/:id` to
+// every lot in public/data/lots.
+
+// Sections of the home page that have their own URL (/about, /contact...).
+export const HOME_SECTIONS = ['about', 'process', 'products', 'partners', 'contact'];
+
+export const ROUTES = [
+    { path: '/', view: 'home' },
+    ...HOME_SECTIONS.map(id => ({ path: `/${id}`, view: 'home', section: id })),
+    { path: '/products/:id', view: 'commodity' },
+    { path: '/lot/:id', view: 'lot' },
+    { path: '/track', view: 'track' }
+];
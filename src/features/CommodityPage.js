@@ -0,0 +1,67 @@
+import { gsap } from 'gsap';
+import { ProductViewer } from '../ProductViewer.js';
+import { commodityPageHtml, seasonCalendarHtml } from '../Markup.js';
+import { responsive } from '../Images.js';
+import { i18n, LOCALES, t } from '../I18n.js';
+import { motion } from '../Motion.js';
+import { analytics } from '../Analytics.js';
+
+// The /products/<id> view: rendered into `view` on mount and emptied on
+// unmount, with its own 3D viewer and the quote form moved in.
+export class CommodityPage {
+    constructor(view, { assets, router, quoteForm }) {
+        this.view = view;
+        this.assets = assets;
+        this.router = router;
+        this.quoteForm = quoteForm;
+        this.commodity = null;
+    }
+
+    init(scope, { commodity }) {
+        const view = this.view;
+        this.commodity = commodity;
+        view.innerHTML = responsive(commodityPageHtml(commodity));
+        this.renderSeason();
+        i18n.apply(view);
+        this.router.localizeLinks(view);
+        this.quoteForm.attach(view.querySelector('.commodity-quote-slot'), { commodity: commodity.id });
+
+        scope.animate(() => {
+            if (motion.reduced) return;
+            gsap.utils.toArray('.commodity-block', view).forEach(block => {
+                gsap.from(block, {
+                    scrollTrigger: { trigger: block, start: 'top 85%' },
+                    opacity: 0,
+                    y: 40,
+                    duration: 0.8,
+                    ease: 'power2.out'
+                });
+            });
+        });
+
+        const viewer = new ProductViewer('commodity-viewer-canvas', this.assets);
+        if (viewer.renderer) {
+            scope.canvas(viewer);
+            viewer.autoRotate = !motion.reduced;
+            viewer.setProduct(commodity.id);
+            const reset = view.querySelector('.viewer-reset');
+            if (reset) scope.on(reset, 'click', () => viewer.reset());
+            scope.on(document, 'localechange', () => viewer.updateLabel());
+            scope.on(viewer.container, 'viewerrotate', (e) => analytics.track('viewer_rotate', { commodity: e.detail.type, viewer: 'page' }));
+        }
+        // Month names follow the locale.
+        scope.on(document, 'localechange', () => this.renderSeason());
+    }
+
+    renderSeason() {
+        const list = this.view.querySelector('.season-calendar');
+        if (!list || !this.commodity) return;
+        list.innerHTML = seasonCalendarHtml(this.commodity, { lang: LOCALES[i18n.locale].htmlLang, t });
+    }
+
+    destroy() {
+        this.quoteForm.detach();
+        this.view.innerHTML = '';
+        this.commodity = null;
+    }
+}
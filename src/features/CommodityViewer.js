@@ -0,0 +1,65 @@
+import { ProductViewer } from '../ProductViewer.js';
+import { motion } from '../Motion.js';
+import { analytics } from '../Analytics.js';
+
+// The 360° inspector under the product grid, with one button per commodity
+// (rendered by App.renderCatalog). Its spec sheet button follows the model
+// on show. Clicking a product card, or Enter/Space on a focused one, shows
+// that commodity here; the card's own link and button keep their actions.
+// `scrollTo` is the app's scroll (Lenis, below the fixed navbar).
+export class CommodityViewer {
+    constructor(assets, { scrollTo }) {
+        this.assets = assets;
+        this.scrollTo = scrollTo;
+        this.viewer = null;
+    }
+
+    init(scope) {
+        const section = document.getElementById('product-360-viewer');
+        if (!section) return;
+        const viewer = new ProductViewer('product-viewer-canvas', this.assets);
+        if (!viewer.renderer) return;
+        this.viewer = scope.canvas(viewer);
+        viewer.autoRotate = !motion.reduced;
+
+        const selectors = section.querySelectorAll('[data-viewer-product]');
+        selectors.forEach(btn => {
+            scope.on(btn, 'click', () => viewer.setProduct(btn.getAttribute('data-viewer-product')));
+        });
+        const sheet = section.querySelector('.viewer-sheet');
+        scope.on(viewer.container, 'productchange', (e) => {
+            selectors.forEach(btn => {
+                const isActive = btn.getAttribute('data-viewer-product') === e.detail.type;
+                btn.classList.toggle('active', isActive);
+                btn.setAttribute('aria-pressed', isActive);
+            });
+            if (sheet) sheet.dataset.specSheet = e.detail.type;
+        });
+        const reset = section.querySelector('.viewer-reset');
+        if (reset) scope.on(reset, 'click', () => viewer.reset());
+        scope.on(document, 'localechange', () => viewer.updateLabel());
+        scope.on(viewer.container, 'viewerrotate', (e) => analytics.track('viewer_rotate', { commodity: e.detail.type, viewer: 'home' }));
+
+        const cards = document.querySelectorAll('.product-card[data-product]');
+        const openInViewer = (card) => {
+            viewer.setProduct(card.getAttribute('data-product'));
+            this.scrollTo(section);
+        };
+        cards.forEach(card => {
+            scope.on(card, 'click', (e) => {
+                if (!e.target.closest('a, button')) openInViewer(card);
+            });
+            scope.on(card, 'keydown', (e) => {
+                if (e.target !== card || (e.key !== 'Enter' && e.key !== ' ')) return;
+                e.preventDefault();
+                openInViewer(card);
+            });
+        });
+
+        if (cards.length) viewer.setProduct(cards[0].getAttribute('data-product'));
+    }
+
+    destroy() {
+        this.viewer = null;
+    }
+}
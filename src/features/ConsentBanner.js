@@ -0,0 +1,31 @@
+import { analytics } from '../Analytics.js';
+
+// The analytics consent banner: shown until the visitor allows or declines,
+// and again from the footer's "Privacy settings" button to change the answer.
+export class ConsentBanner {
+    init(scope) {
+        const banner = document.querySelector('.consent-banner');
+        if (!banner) return;
+        const show = () => {
+            banner.hidden = false;
+            banner.querySelector(`[data-consent="${analytics.consent ?? 'granted'}"]`)?.focus();
+        };
+        const hide = () => { banner.hidden = true; };
+
+        banner.hidden = !analytics.undecided;
+        this.hide = hide;
+
+        banner.querySelectorAll('[data-consent]').forEach(button => {
+            scope.on(button, 'click', () => {
+                analytics.setConsent(button.dataset.consent);
+                hide();
+            });
+        });
+        document.querySelectorAll('[data-consent-open]').forEach(button => scope.on(button, 'click', show));
+    }
+
+    destroy() {
+        this.hide?.();
+        this.hide = null;
+    }
+}
@@ -0,0 +1,68 @@
+import { companyVcard, whatsappHref, whatsappMessage } from '../Contact.js';
+import { download } from '../Download.js';
+import { drawQrCode, encodeQrCode } from '../QrCode.js';
+import { t } from '../I18n.js';
+import { analytics } from '../Analytics.js';
+
+const PRINT_SIZE = 1200; // px square, for the downloadable QR code
+
+// WhatsApp links and the contact card, for the whole visit. A link marked
+// data-whatsapp gets its opening message when clicked, from what is in the
+// quote form; one that names a product (data-whatsapp="cocoa") asks about
+// that product alone unless the form is already about it. The card shows the
+// company vCard as a QR code, drawn here, with the vCard and a print-size PNG
+// to download and a full-screen view for trade-fair screens.
+export class ContactCard {
+    init(scope) {
+        scope.on(document, 'click', (e) => {
+            const link = e.target.closest('a[data-whatsapp]');
+            if (!link) return;
+            const form = document.getElementById('contact-form');
+            const product = link.dataset.whatsapp;
+            let values = form ? Object.fromEntries(new FormData(form).entries()) : {};
+            if (product && values.commodity !== product) values = { commodity: product };
+            link.href = whatsappHref(whatsappMessage(values, t));
+            analytics.track('whatsapp_click', { commodity: values.commodity || null });
+        });
+
+        const card = document.querySelector('.contact-card');
+        if (!card) return;
+        const frame = card.querySelector('.contact-qr-frame');
+        const canvas = frame.querySelector('.contact-qr');
+        const vcard = companyVcard({ url: `${window.location.origin}/` });
+        const qr = encodeQrCode(vcard);
+
+        const draw = () => {
+            const size = Math.round(canvas.clientWidth * Math.min(window.devicePixelRatio || 1, 2));
+            if (!size) return;
+            canvas.width = canvas.height = size;
+            drawQrCode(canvas.getContext('2d'), qr, { size });
+        };
+        const observer = new ResizeObserver(draw);
+        observer.observe(canvas);
+        scope.defer(() => observer.disconnect());
+
+        scope.on(card.querySelector('.contact-vcard'), 'click', () => {
+            download(new Blob([vcard], { type: 'text/vcard;charset=utf-8' }), 'glocal-guinee.vcf');
+            analytics.track('contact_download', { format: 'vcard' });
+        });
+        scope.on(card.querySelector('.contact-qr-png'), 'click', () => {
+            const print = Object.assign(document.createElement('canvas'), { width: PRINT_SIZE, height: PRINT_SIZE });
+            drawQrCode(print.getContext('2d'), qr, { size: PRINT_SIZE });
+            print.toBlob(blob => {
+                if (blob) download(blob, 'glocal-guinee-contact-qr.png');
+            }, 'image/png');
+            analytics.track('contact_download', { format: 'qr' });
+        });
+
+        // Not every browser can show an element full screen (iPhone Safari).
+        const fullscreen = card.querySelector('.contact-qr-fullscreen');
+        fullscreen.hidden = !document.fullscreenEnabled;
+        scope.on(fullscreen, 'click', () => {
+            frame.requestFullscreen().catch(e => console.warn('Full screen unavailable:', e));
+        });
+        scope.on(frame, 'click', () => {
+            if (document.fullscreenElement === frame) document.exitFullscreen();
+        });
+    }
+}
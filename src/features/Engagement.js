@@ -0,0 +1,63 @@
+import { analytics } from '../Analytics.js';
+
+const MIN_DWELL = 1000; // Shorter visits are scrolling past, not reading
+
+// Analytics for the parts of the home page that have no module of their own:
+// product card flips (once per card per visit to the page) and clicks, and
+// how long each section sits across the middle of the viewport while the tab
+// is visible.
+export class Engagement {
+    init(scope) {
+        const flipped = new Set();
+        document.querySelectorAll('.product-card[data-product]').forEach(card => {
+            const commodity = card.dataset.product;
+            const flip = () => {
+                if (flipped.has(commodity)) return;
+                flipped.add(commodity);
+                analytics.track('card_flip', { commodity });
+            };
+            scope.on(card, 'pointerenter', flip);
+            scope.on(card, 'focusin', flip);
+            scope.on(card, 'click', (e) => {
+                const action = e.target.closest('.card-more') ? 'details' : e.target.closest('.card-sheet') ? 'specSheet' : null;
+                if (action) analytics.track('card_click', { commodity, action });
+            });
+        });
+
+        const sections = [...document.querySelectorAll('.view[data-view="home"] section[id]')];
+        const since = new Map(); // Section → when it came on screen
+        const report = (section, now = performance.now()) => {
+            const start = since.get(section);
+            if (start === undefined) return;
+            since.delete(section);
+            const ms = Math.round(now - start);
+            if (ms >= MIN_DWELL) analytics.track('section_dwell', { section: section.id, ms });
+        };
+        const observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting && !document.hidden) since.set(entry.target, performance.now());
+                else if (!entry.isIntersecting) report(entry.target);
+            });
+        }, { rootMargin: '-50% 0px -50% 0px' });
+        sections.forEach(section => observer.observe(section));
+
+        // Hidden time doesn't count: report on hide, restart whatever is on screen on return.
+        const visible = new Set();
+        scope.on(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                [...since.keys()].forEach(section => {
+                    visible.add(section);
+                    report(section);
+                });
+            } else {
+                const now = performance.now();
+                visible.forEach(section => since.set(section, now));
+                visible.clear();
+            }
+        });
+        scope.defer(() => {
+            observer.disconnect();
+            [...since.keys()].forEach(section => report(section));
+        });
+    }
+}
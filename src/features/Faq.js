@@ -0,0 +1,27 @@
+import { analytics } from '../Analytics.js';
+
+// FAQ accordion in the contact section; one answer open at a time.
+export class Faq {
+    init(scope) {
+        const items = document.querySelectorAll('.faq-item');
+        const setOpen = (item, isOpen) => {
+            const question = item.querySelector('.faq-question');
+            const answer = item.querySelector('.faq-answer');
+            item.classList.toggle('active', isOpen);
+            question?.setAttribute('aria-expanded', String(isOpen));
+            if (answer) answer.style.maxHeight = isOpen ? answer.scrollHeight + 'px' : null;
+        };
+
+        items.forEach(item => {
+            const question = item.querySelector('.faq-question');
+            if (!question) return;
+            scope.on(question, 'click', () => {
+                const isOpen = item.classList.contains('active');
+                items.forEach(i => setOpen(i, false));
+                if (isOpen) return;
+                setOpen(item, true);
+                analytics.track('faq_open', { question: question.id.replace(/^faq-q-/, '') });
+            });
+        });
+    }
+}
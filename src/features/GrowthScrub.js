@@ -0,0 +1,107 @@
+import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { FrameScrubber } from '../FrameScrubber.js';
+import { t } from '../I18n.js';
+import { motion } from '../Motion.js';
+import { quality } from '../Quality.js';
+import { analytics } from '../Analytics.js';
+
+const MILESTONES = [25, 50, 75, 100]; // Percent of the scrub, reported once each per mount
+
+// Growth clip scrubbed by scroll, one decoded frame per scroll position.
+// Frames start loading as the section approaches; captions are keyed to
+// progress ranges in the markup (data-start/data-end).
+export class GrowthScrub {
+    constructor() {
+        this.trigger = null;
+    }
+
+    init(scope) {
+        const section = document.getElementById('growth-video-section');
+        const container = document.getElementById('cashew-canvas-container');
+        if (!section || !container) return;
+
+        const scrubber = scope.own(new FrameScrubber(container, {
+            src: '/videos/plant-grow-optimized.mp4',
+            sequence: '/videos/plant-grow/manifest.json',
+            maxWidth: quality.settings.frameWidth
+        }));
+
+        const chapters = [...container.querySelectorAll('.growth-chapter')];
+        const showProgress = (progress) => {
+            scrubber.setProgress(progress);
+            chapters.forEach(chapter => {
+                const isActive = progress >= Number(chapter.dataset.start) && progress <= Number(chapter.dataset.end);
+                chapter.classList.toggle('active', isActive);
+            });
+        };
+
+        const status = container.querySelector('.scrub-status');
+        const bar = status?.querySelector('.scrub-status-bar span');
+        const label = status?.querySelector('.scrub-status-text');
+        scrubber.onLoadProgress = (fraction) => {
+            if (!status) return;
+            const percent = Math.round(fraction * 100);
+            status.setAttribute('aria-valuenow', String(percent));
+            if (bar) bar.style.transform = `scaleX(${fraction})`;
+            if (label) label.textContent = t('growth.loading', { percent });
+        };
+
+        scope.animate(() => ScrollTrigger.create({
+            trigger: section,
+            start: 'top bottom+=100%',
+            once: true,
+            onEnter: () => {
+                scrubber.load()
+                    .catch(e => {
+                        // Aborted when the visitor leaves the page mid-load.
+                        if (e.name !== 'AbortError') console.warn('Growth sequence unavailable, showing the still image:', e);
+                    })
+                    .finally(() => status?.classList.add('done'));
+            }
+        }));
+
+        const reached = new Set();
+        const trackProgress = (progress) => {
+            MILESTONES.forEach(percent => {
+                if (progress * 100 < percent - 0.5 || reached.has(percent)) return;
+                reached.add(percent);
+                analytics.track('video_progress', { percent });
+            });
+        };
+
+        // The pinned scrub is motion-heavy; with reduced motion the section
+        // shows the middle frame and its caption instead.
+        const setScrub = (enabled) => {
+            if (!enabled) {
+                if (this.trigger) this.trigger.kill(true);
+                this.trigger = null;
+                showProgress(0.5);
+                ScrollTrigger.refresh();
+                return;
+            }
+            if (this.trigger) return;
+            this.trigger = scope.animate(() => ScrollTrigger.create({
+                trigger: section,
+                start: 'top top',
+                end: '+=200%',
+                pin: true,
+                pinSpacing: true,
+                pinType: 'transform', // Lenis drives the scroll position
+                anticipatePin: 1,
+                scrub: 0.5,
+                onUpdate: (self) => {
+                    showProgress(self.progress);
+                    trackProgress(self.progress);
+                }
+            }));
+            showProgress(this.trigger.progress);
+            ScrollTrigger.refresh();
+        };
+        setScrub(!motion.reduced);
+        scope.on(document, 'motionchange', () => setScrub(!motion.reduced));
+    }
+
+    destroy() {
+        this.trigger = null;
+    }
+}
@@ -0,0 +1,86 @@
+import { gsap } from 'gsap';
+import { motion } from '../Motion.js';
+
+// Hero copy: the per-letter title, the entrance timeline, mouse parallax,
+// the scroll parallax of the content and the magnetic hover on its buttons.
+export class Hero {
+    init(scope, { firstVisit = true } = {}) {
+        const wrapper = document.querySelector('.hero-parallax-wrapper');
+        if (wrapper) {
+            scope.on(window, 'mousemove', (e) => {
+                if (motion.reduced) return;
+                const x = (e.clientX / window.innerWidth - 0.5) * 30;
+                const y = (e.clientY / window.innerHeight - 0.5) * 30;
+                gsap.to(wrapper, { x, y, duration: 1, ease: 'power2.out' });
+            });
+        }
+
+        scope.animate(() => {
+            // The first visit waits for the loading screen; coming back from another view doesn't.
+            this.splitTitle(firstVisit ? 0.5 : 0);
+
+            gsap.timeline({ delay: firstVisit ? 1.2 : 0.3 })
+                .from('.hero-subtitle', { opacity: 0, y: 30, duration: 1, ease: 'power3.out' })
+                .from('.hero-description', { opacity: 0, y: 30, duration: 1, ease: 'power3.out' }, '-=0.6')
+                .from('.cta-primary', { opacity: 0, scale: 0.8, duration: 1, ease: 'back.out(1.7)' }, '-=0.6')
+                .from('.scroll-hint', { opacity: 0, y: 30, duration: 1, ease: 'power3.out' }, '-=0.6')
+                .from('.stat-item', { opacity: 0, x: 50, duration: 1, stagger: 0.2, ease: 'power3.out' }, '-=1');
+
+            gsap.to('.hero-content', {
+                scrollTrigger: {
+                    trigger: '.hero-ui',
+                    start: 'top top',
+                    end: 'bottom top',
+                    scrub: 1
+                },
+                y: 150,
+                scale: 0.95,
+                ease: 'none'
+            });
+        });
+
+        document.querySelectorAll('.cta-primary, .social-icon, .hamburger').forEach(el => {
+            scope.on(el, 'mousemove', (e) => {
+                if (motion.reduced) return;
+                const rect = el.getBoundingClientRect();
+                const x = e.clientX - rect.left - rect.width / 2;
+                const y = e.clientY - rect.top - rect.height / 2;
+                gsap.to(el, { x: x * 0.4, y: y * 0.4, duration: 0.3, ease: 'power2.out' });
+            });
+            scope.on(el, 'mouseleave', () => {
+                gsap.to(el, { x: 0, y: 0, duration: 0.6, ease: 'elastic.out(1, 0.3)' });
+            });
+        });
+
+        scope.on(document, 'motionchange', () => {
+            if (motion.reduced) gsap.to('.hero-parallax-wrapper, .cta-primary, .social-icon, .hamburger', { x: 0, y: 0, duration: 0.2, overwrite: 'auto' });
+        });
+        // The i18n layer replaces the title text, which wipes out the letter spans.
+        scope.on(document, 'localechange', () => scope.animate(() => this.splitTitle()));
+    }
+
+    splitTitle(delay = 0) {
+        const title = document.getElementById('hero-title');
+        if (!title) return;
+
+        const text = title.textContent;
+        title.setAttribute('aria-label', text);
+        title.innerHTML = [...text].map(char =>
+            `<span class="char" aria-hidden="true" style="display:inline-block; opacity: 0; transform: translateY(100px);">${char === ' ' ? '&nbsp;' : char}</span>`
+        ).join('');
+
+        if (motion.reduced) {
+            gsap.set(title.querySelectorAll('.char'), { y: 0, opacity: 1 });
+            return;
+        }
+
+        gsap.to(title.querySelectorAll('.char'), {
+            y: 0,
+            opacity: 1,
+            duration: 1.5,
+            ease: 'elastic.out(1, 0.5)',
+            stagger: 0.05,
+            delay
+        });
+    }
+}
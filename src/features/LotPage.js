@@ -0,0 +1,136 @@
+import { gsap } from 'gsap';
+import { LotMap } from '../LotMap.js';
+import { lotPageHtml } from '../Markup.js';
+import { responsive } from '../Images.js';
+import { createSpecSheetPdf } from '../SpecSheet.js';
+import { dueDiligenceContent, loadLot, plotsGeoJson } from '../Traceability.js';
+import { i18n, LOCALES, t } from '../I18n.js';
+import { motion } from '../Motion.js';
+import { analytics } from '../Analytics.js';
+import { download } from '../Download.js';
+
+// The /lot/<id> view: the lot file from public/data/lots is loaded on mount
+// and rendered into `view` (over the prerendered copy, if any), with the farm
+// plot map and the due-diligence downloads. `onLoad` lets the app update the
+// title once the lot is known.
+export class LotPage {
+    constructor(view, { router, onLoad }) {
+        this.view = view;
+        this.router = router;
+        this.onLoad = onLoad;
+        this.lot = null;
+    }
+
+    init(scope, { id }) {
+        const view = this.view;
+        let map = null;
+
+        const render = () => {
+            const lot = this.lot;
+            view.innerHTML = responsive(lotPageHtml(lot, { lang: LOCALES[i18n.locale].htmlLang }));
+            i18n.apply(view);
+            this.router.localizeLinks(view);
+            map?.dispose();
+            map = new LotMap(view.querySelector('.lot-map'));
+            map.setLot(lot);
+        };
+
+        // Delegated, as render() replaces the markup: a plot row under the
+        // pointer or focused is highlighted on the map.
+        const plotAt = (element) => (element instanceof Element && view.contains(element) ? element.closest('[data-plot]')?.dataset.plot ?? null : null);
+        const highlight = (plot) => {
+            if (map && map.highlighted !== plot) map.highlight(plot);
+        };
+        scope.on(view, 'pointerover', (e) => highlight(plotAt(e.target)));
+        scope.on(view, 'focusin', (e) => highlight(plotAt(e.target)));
+        scope.on(view, 'pointerout', (e) => highlight(plotAt(e.relatedTarget)));
+        scope.on(view, 'focusout', (e) => highlight(plotAt(e.relatedTarget)));
+        scope.on(view, 'click', (e) => {
+            const lot = this.lot;
+            if (!lot) return;
+            const dds = e.target.closest('.lot-dds');
+            if (dds) this.downloadSummary(dds);
+            if (e.target.closest('.lot-geojson')) {
+                download(new Blob([plotsGeoJson(lot)], { type: 'application/geo+json' }), `glocal-guinee-lot-${lot.id}-plots.geojson`);
+                analytics.track('lot_download', { lot: lot.id, format: 'geojson' });
+            }
+        });
+
+        const notFound = () => {
+            view.innerHTML = `
+                <section class="section lot-missing">
+                    <div class="container">
+                        <h1 class="section-title" data-i18n="lot.notFound">Lot not found</h1>
+                        <p data-i18n="lot.notFoundText">Check the code printed under the QR code on the bag, or contact us with it.</p>
+                        <a class="cta-primary" href="/contact" data-route="/contact" data-i18n="nav.cta">Get in Touch</a>
+                    </div>
+                </section>`;
+            i18n.apply(view);
+            this.router.localizeLinks(view);
+        };
+
+        view.classList.add('is-loading');
+        loadLot(String(id).toUpperCase(), { signal: scope.signal })
+            .then(lot => {
+                if (scope.signal.aborted) return;
+                view.classList.remove('is-loading');
+                if (!lot) {
+                    notFound();
+                    return;
+                }
+                this.lot = lot;
+                render();
+                this.onLoad?.();
+                analytics.track('lot_view', { lot: lot.id, commodity: lot.commodity.id });
+                scope.animate(() => {
+                    if (motion.reduced) return;
+                    gsap.utils.toArray('.commodity-block', view).forEach(block => {
+                        gsap.from(block, {
+                            scrollTrigger: { trigger: block, start: 'top 85%' },
+                            opacity: 0,
+                            y: 40,
+                            duration: 0.8,
+                            ease: 'power2.out'
+                        });
+                    });
+                });
+            })
+            .catch(e => {
+                if (e.name === 'AbortError') return; // The view was left while loading
+                console.warn('Lot unavailable:', e);
+                view.classList.remove('is-loading');
+                notFound();
+            });
+
+        // Dates and numbers follow the locale; the map follows the theme.
+        scope.on(document, 'localechange', () => {
+            if (this.lot) render();
+        });
+        scope.on(document, 'themechange', () => map?.draw());
+        scope.defer(() => map?.dispose());
+    }
+
+    async downloadSummary(button) {
+        const lot = this.lot;
+        const status = this.view.querySelector('.lot-download-status');
+        const sheet = dueDiligenceContent(lot, { locale: i18n.locale, lang: LOCALES[i18n.locale].htmlLang, t });
+        button.disabled = true;
+        status.textContent = t('specSheet.preparing');
+        try {
+            download(new Blob([await createSpecSheetPdf(sheet)], { type: 'application/pdf' }), sheet.fileName);
+            status.textContent = '';
+            analytics.track('lot_download', { lot: lot.id, format: 'pdf' });
+        } catch (e) {
+            console.warn('Due-diligence summary failed:', e);
+            status.textContent = t('lot.downloadFailed');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    destroy() {
+        this.view.classList.remove('is-loading');
+        this.view.innerHTML = '';
+        this.lot = null;
+    }
+}
@@ -0,0 +1,140 @@
+import { COMMODITIES, getCommodity } from '../data/commodities.js';
+import { MARKET_FEED_CONFIG, latestChange, loadMarketFeed, pointsSince } from '../MarketFeed.js';
+import { PriceChart, drawSparkline } from '../PriceChart.js';
+import { i18n, LOCALES, t } from '../I18n.js';
+import { analytics } from '../Analytics.js';
+
+// Months shown per period button; null is the whole history.
+const PERIODS = { '3m': 3, '6m': 6, '1y': 12, all: null };
+const DEFAULT_PERIOD = '6m';
+
+// Indicative prices beside the product grid: a ticker above it (the partner
+// marquee's pattern) and, in the panel, one row per commodity with a
+// sparkline plus a price-history chart for the selected one. Prices come from
+// the feed in src/MarketFeed.js, loaded each time the view is shown.
+export class MarketPanel {
+    init(scope) {
+        const panel = document.querySelector('.market-panel');
+        if (!panel) return;
+        const ticker = document.querySelector('.market-ticker .marquee-content');
+        const list = panel.querySelector('.market-list');
+        const status = panel.querySelector('.market-status');
+        const basis = panel.querySelector('.market-basis');
+        const periodButtons = panel.querySelectorAll('[data-period]');
+        const chart = scope.own(new PriceChart(panel.querySelector('.market-chart')));
+        let feed = null;
+        let selected = null;
+        let period = DEFAULT_PERIOD;
+
+        const formats = () => {
+            const lang = LOCALES[i18n.locale].htmlLang;
+            return {
+                price: new Intl.NumberFormat(lang, { style: 'currency', currency: feed.currency, maximumFractionDigits: 0 }),
+                percent: new Intl.NumberFormat(lang, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1, signDisplay: 'exceptZero' }),
+                date: new Intl.DateTimeFormat(lang, { day: 'numeric', month: 'short', year: 'numeric' })
+            };
+        };
+        const nameOf = (id) => t(`commodities.${id}.shortName`, {}, getCommodity(id)?.shortName ?? id);
+        const trend = (change) => (change > 0 ? 'is-up' : change < 0 ? 'is-down' : '');
+        const arrow = (change) => (change > 0 ? '▲' : change < 0 ? '▼' : '■');
+
+        const renderTicker = (format) => {
+            if (!ticker) return;
+            const items = Object.entries(feed.series).map(([id, points]) => {
+                const { price, change } = latestChange(points);
+                return `<span class="ticker-item"><strong>${nameOf(id)}</strong> ${format.price.format(price)} `
+                    + `<span class="ticker-change ${trend(change)}">${arrow(change)} ${format.percent.format(change)}</span></span>`;
+            }).join('');
+            // The marquee animates to -50%, so the list is rendered twice for a seamless loop
+            ticker.innerHTML = items + items;
+        };
+
+        const renderList = (format) => {
+            list.innerHTML = COMMODITIES.filter(({ id }) => feed.series[id]).map(({ id }) => {
+                const { price, change } = latestChange(feed.series[id]);
+                return `
+                <li>
+                    <button type="button" class="market-row" data-market="${id}" aria-pressed="${id === selected}"
+                        aria-label="${t('market.select', { name: nameOf(id) })}">
+                        <span class="market-name">${nameOf(id)}</span>
+                        <canvas class="market-spark" aria-hidden="true"></canvas>
+                        <span class="market-price">${format.price.format(price)}</span>
+                        <span class="market-change ${trend(change)}">${arrow(change)} ${format.percent.format(change)}</span>
+                    </button>
+                </li>`;
+            }).join('');
+            list.querySelectorAll('[data-market]').forEach(row => {
+                drawSparkline(row.querySelector('canvas'), pointsSince(feed.series[row.dataset.market], PERIODS[DEFAULT_PERIOD]));
+            });
+        };
+
+        const renderChart = (format) => {
+            const points = pointsSince(feed.series[selected], PERIODS[period]);
+            const prices = points.map(point => point.price);
+            chart.setData(points, {
+                formatPrice: (price) => format.price.format(price),
+                formatDate: (date) => format.date.format(date)
+            });
+            chart.canvas.setAttribute('aria-label', t('market.chartLabel', {
+                name: nameOf(selected),
+                from: format.date.format(points[0].date),
+                to: format.date.format(points[points.length - 1].date),
+                first: format.price.format(prices[0]),
+                last: format.price.format(prices[prices.length - 1]),
+                low: format.price.format(Math.min(...prices)),
+                high: format.price.format(Math.max(...prices))
+            }));
+            periodButtons.forEach(button => button.setAttribute('aria-pressed', String(button.dataset.period === period)));
+        };
+
+        const renderStatus = (format) => {
+            const date = format.date.format(feed.updated);
+            status.textContent = t(feed.stale ? 'market.stale' : 'market.updated', { date });
+            status.classList.toggle('is-stale', feed.stale);
+            if (feed.sample) status.append(' · ', t('market.sample'));
+            basis.textContent = t('market.basis', { basis: feed.basis, currency: feed.currency });
+        };
+
+        const render = () => {
+            if (!feed) return;
+            const format = formats();
+            renderTicker(format);
+            renderList(format);
+            renderChart(format);
+            renderStatus(format);
+        };
+
+        const select = (id, nextPeriod = period) => {
+            if (!feed) return;
+            selected = id;
+            period = nextPeriod;
+            list.querySelectorAll('[data-market]').forEach(row => row.setAttribute('aria-pressed', String(row.dataset.market === id)));
+            renderChart(formats());
+            analytics.track('market_select', { commodity: id, period });
+        };
+
+        scope.on(list, 'click', (e) => {
+            const row = e.target.closest('[data-market]');
+            if (row) select(row.dataset.market);
+        });
+        periodButtons.forEach(button => scope.on(button, 'click', () => select(selected, button.dataset.period)));
+        scope.on(document, 'localechange', render);
+        scope.on(document, 'themechange', render);
+
+        loadMarketFeed(MARKET_FEED_CONFIG, { signal: scope.signal })
+            .then(result => {
+                if (scope.signal.aborted) return;
+                feed = result;
+                selected = COMMODITIES.find(({ id }) => feed.series[id]).id;
+                panel.classList.add('is-loaded');
+                render();
+            })
+            .catch(e => {
+                if (e.name === 'AbortError') return; // The view was left while loading
+                console.warn('Market prices unavailable:', e);
+                status.textContent = t('market.unavailable');
+                panel.classList.add('is-unavailable');
+            });
+        scope.defer(() => panel.classList.remove('is-loaded', 'is-unavailable'));
+    }
+}
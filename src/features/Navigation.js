@@ -0,0 +1,66 @@
+// The fixed navbar (solid once the page scrolls) and the mobile overlay menu:
+// aria-expanded on the toggle, focus moves into the dialog and is trapped
+// there, Escape closes and focus returns to the toggle.
+export class Navigation {
+    init(scope) {
+        const nav = document.querySelector('.navbar');
+        if (nav) scope.on(window, 'scroll', () => nav.classList.toggle('scrolled', window.scrollY > 50), { passive: true });
+
+        const hamburger = document.querySelector('.hamburger');
+        const mobileMenu = document.querySelector('.mobile-menu-overlay');
+        if (!hamburger || !mobileMenu) return;
+
+        const focusable = () => [...mobileMenu.querySelectorAll('a[href], button:not([disabled])')];
+
+        const open = () => {
+            mobileMenu.classList.add('active');
+            mobileMenu.inert = false;
+            hamburger.classList.add('toggle');
+            hamburger.setAttribute('aria-expanded', 'true');
+            focusable()[0]?.focus();
+        };
+
+        const close = ({ restoreFocus = true } = {}) => {
+            if (!mobileMenu.classList.contains('active')) return;
+            mobileMenu.classList.remove('active');
+            mobileMenu.inert = true;
+            hamburger.classList.remove('toggle');
+            hamburger.setAttribute('aria-expanded', 'false');
+            if (restoreFocus) hamburger.focus();
+        };
+        this.close = close;
+
+        scope.on(hamburger, 'click', () => {
+            if (mobileMenu.classList.contains('active')) close();
+            else open();
+        });
+        const closeBtn = mobileMenu.querySelector('.menu-close-btn');
+        if (closeBtn) scope.on(closeBtn, 'click', () => close());
+        mobileMenu.querySelectorAll('a').forEach(link => {
+            scope.on(link, 'click', () => close({ restoreFocus: false }));
+        });
+
+        scope.on(mobileMenu, 'keydown', (e) => {
+            if (e.key === 'Escape') {
+                close();
+                return;
+            }
+            if (e.key !== 'Tab') return;
+            const items = focusable();
+            const first = items[0];
+            const last = items[items.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        });
+    }
+
+    destroy() {
+        this.close?.({ restoreFocus: false });
+        this.close = null;
+    }
+}
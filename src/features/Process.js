@@ -0,0 +1,31 @@
+import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { SupplyChain } from '../SupplyChain.js';
+
+// The process section's supply chain scene, scrubbed by scroll; the step
+// matching the current stage is highlighted.
+export class Process {
+    constructor(assets) {
+        this.assets = assets;
+    }
+
+    init(scope) {
+        const container = document.getElementById('process-3d');
+        if (!container) return;
+        const steps = document.querySelectorAll('.process-steps .step[data-stage]');
+        const chain = new SupplyChain(container, this.assets, {
+            onStageChange: (id) => {
+                steps.forEach(step => step.classList.toggle('active', step.getAttribute('data-stage') === id));
+            }
+        });
+        if (!chain.renderer) return;
+        scope.canvas(chain);
+
+        scope.animate(() => ScrollTrigger.create({
+            trigger: '#process',
+            start: 'top 60%',
+            end: 'bottom 60%',
+            scrub: 1,
+            animation: chain.createTimeline()
+        }));
+    }
+}
@@ -0,0 +1,94 @@
+import { RfqWizard } from '../RfqWizard.js';
+import { FormSubmitter, SUBMISSION_CONFIG, mailtoHref } from '../Submission.js';
+import { t } from '../I18n.js';
+import { analytics } from '../Analytics.js';
+
+// The request-for-quote form: the wizard, sending through the configured
+// transport and the status line. Mounted for the whole visit; the form card
+// moves into a commodity page while one is shown (see attach()).
+export class QuoteForm {
+    constructor() {
+        this.wizard = null;
+        this.card = null;
+        this.home = null;
+    }
+
+    init(scope) {
+        const form = document.getElementById('contact-form');
+        if (!form) return;
+        this.card = form.closest('.contact-form-card');
+        this.home = this.card?.parentElement;
+        // Constructed first: its submit listener gates this one.
+        const wizard = scope.own(new RfqWizard(form));
+        this.wizard = wizard;
+        const submitter = new FormSubmitter(SUBMISSION_CONFIG);
+
+        const status = form.querySelector('.form-status');
+        const setStatus = (message, { isError = false, fallback = null } = {}) => {
+            if (!status) return;
+            status.textContent = message;
+            status.classList.toggle('is-error', isError);
+            // Failed sends offer the request as an email instead.
+            if (fallback) {
+                const link = document.createElement('a');
+                link.href = mailtoHref(SUBMISSION_CONFIG.email, fallback);
+                link.textContent = t('form.emailInstead');
+                status.append(' ', link);
+            }
+        };
+
+        submitter.onFlush = (count) => setStatus(t('form.flushed', { count }));
+        submitter.watch({ signal: scope.signal });
+
+        // The furthest the visitor gets, once per step per visit.
+        const reached = new Set([wizard.current]);
+        scope.on(form, 'stepchange', (e) => {
+            if (reached.has(e.detail.index)) return;
+            reached.add(e.detail.index);
+            analytics.track('form_step', e.detail);
+        });
+
+        scope.on(form, 'submit', async (e) => {
+            e.preventDefault();
+            const submitBtn = form.querySelector('button[type="submit"]');
+            if (submitBtn) submitBtn.disabled = true;
+            form.setAttribute('aria-busy', 'true');
+            setStatus(t('form.sending'));
+            const data = Object.fromEntries(new FormData(form).entries());
+            try {
+                const result = await submitter.submit(data, {
+                    onRetry: (attempt) => setStatus(t('form.retrying', { attempt }))
+                });
+                wizard.reset();
+                setStatus(t({ sent: 'form.sent', queued: 'form.queued', handedOff: 'form.handedOff' }[result]));
+                analytics.track('form_submit', { result, commodity: data.commodity });
+            } catch (error) {
+                if (error.kind === 'validation' && wizard.showErrors(error.fieldErrors)) {
+                    setStatus(t('form.invalid'), { isError: true });
+                } else {
+                    setStatus(t('form.error'), { isError: true, fallback: data });
+                }
+                analytics.track('form_submit', { result: 'failed', reason: error.kind ?? 'error', commodity: data.commodity });
+            } finally {
+                form.removeAttribute('aria-busy');
+                if (submitBtn) submitBtn.disabled = false;
+            }
+        });
+    }
+
+    // Shows the form inside `slot`, starting on `commodity`; detach() puts it back.
+    attach(slot, { commodity }) {
+        if (!this.card || !slot) return;
+        slot.append(this.card);
+        this.wizard.prefill({ commodity });
+    }
+
+    detach() {
+        if (this.card && this.card.parentElement !== this.home) this.home.append(this.card);
+    }
+
+    destroy() {
+        this.detach();
+        this.wizard = null;
+    }
+}
@@ -0,0 +1,95 @@
+import { gsap } from 'gsap';
+import { ScrollTrigger } from 'gsap/ScrollTrigger';
+
+// Staggered items to reveal when their container scrolls into view.
+const STAGGERED = [
+    { selector: '.milestones li', trigger: '.about-grid', x: -50 },
+    { selector: '.step', trigger: '.process-steps', y: 60, stagger: 0.2 },
+    { selector: '.product-card', trigger: '.product-grid', scale: 0.8, stagger: 0.25 },
+    { selector: '.info-box', trigger: '.info-grid', y: 40, stagger: 0.2 },
+    { selector: '.info-item', trigger: '.contact-wrap', x: -30, stagger: 0.2 },
+    { selector: '.contact-form-card', trigger: '.contact-wrap', x: 40 }
+];
+
+// Scroll reveals of the home sections, their headers and cards, and the
+// [data-speed] parallax layers.
+export class Reveals {
+    init(scope) {
+        scope.animate(() => {
+            document.querySelectorAll('.section').forEach(section => {
+                section.classList.add('section-reveal');
+                ScrollTrigger.create({
+                    trigger: section,
+                    start: 'top 80%',
+                    onEnter: () => section.classList.add('active')
+                });
+            });
+
+            gsap.utils.toArray('[data-speed]').forEach(el => {
+                gsap.to(el, {
+                    y: (i, target) => -ScrollTrigger.maxScroll(window) * target.getAttribute('data-speed') * 0.2, // Scaling factor
+                    ease: 'none',
+                    scrollTrigger: {
+                        trigger: el,
+                        start: 'top bottom',
+                        end: 'bottom top',
+                        scrub: 0
+                    }
+                });
+            });
+
+            gsap.utils.toArray('.section-header').forEach(header => {
+                const tagline = header.querySelector('.section-tagline');
+                const title = header.querySelector('.section-title');
+                const tl = gsap.timeline({
+                    scrollTrigger: {
+                        trigger: header,
+                        start: 'top 85%',
+                        toggleActions: 'play none none reverse'
+                    }
+                });
+                if (tagline) tl.from(tagline, { opacity: 0, y: 20, duration: 0.6, ease: 'power2.out' });
+                if (title) tl.from(title, { opacity: 0, y: 30, duration: 0.8, ease: 'power3.out' }, '-=0.4');
+            });
+
+            STAGGERED.forEach(config => {
+                const els = document.querySelectorAll(config.selector);
+                if (els.length === 0) return;
+                gsap.from(els, {
+                    scrollTrigger: {
+                        trigger: config.trigger,
+                        start: 'top 80%',
+                        toggleActions: 'play none none reverse'
+                    },
+                    opacity: 0,
+                    x: config.x || 0,
+                    y: config.y || 0,
+                    scale: config.scale || 1,
+                    duration: 1,
+                    stagger: config.stagger || 0,
+                    ease: 'power2.out'
+                });
+            });
+
+            // Fail-safe visibility for the quote form card
+            gsap.set('.contact-form-card', { opacity: 1, x: 0, clearProps: 'all', delay: 2 });
+
+            // Fail-safe: Reveal hidden elements after 5 seconds if ScrollTrigger hangs
+            gsap.delayedCall(5, () => {
+                gsap.to('.step, .counter, .section-reveal, .product-card, .info-box', {
+                    opacity: 1,
+                    y: 0,
+                    scale: 1,
+                    stagger: 0.1,
+                    duration: 1,
+                    overwrite: 'auto',
+                    ease: 'power2.out',
+                    onComplete: () => {
+                        document.querySelectorAll('.section-reveal').forEach(el => el.classList.add('active'));
+                    }
+                });
+                ScrollTrigger.refresh();
+            });
+        });
+    }
+}
@@ -0,0 +1,210 @@
+import { gsap } from 'gsap';
+import { Globe } from '../Globe.js';
+import { fetchShipment, isValidReference, normalizeReference, voyageProgress } from '../Tracking.js';
+import { getCommodity } from '../data/commodities.js';
+import { HEADQUARTERS, MARKETS } from '../data/markets.js';
+import { i18n, LOCALES, t } from '../I18n.js';
+import { escapeHtml } from '../Markup.js';
+import { motion } from '../Motion.js';
+import { analytics } from '../Analytics.js';
+
+// The /track view: a booking or container reference looked up through
+// src/Tracking.js, shown as a summary, a milestone timeline with dates and
+// documents, and the route on a globe with the ship where the voyage has got
+// to. The reference is kept in the URL (?ref=) so a tracking link can be
+// shared or bookmarked.
+export class ShipmentTracker {
+    init(scope) {
+        const view = document.querySelector('.view-track');
+        if (!view) return;
+        const form = view.querySelector('.track-form');
+        const input = form.elements.reference;
+        const status = form.querySelector('.track-status');
+        const result = view.querySelector('.track-result');
+        const summary = result.querySelector('.track-summary');
+        const timeline = result.querySelector('.track-timeline');
+        const globeContainer = result.querySelector('.track-globe');
+        let shipment = null;
+        let message = null; // { key, vars, error } shown in the status line
+        let globe = null;
+        let request = 0;
+
+        const formats = () => {
+            const lang = LOCALES[i18n.locale].htmlLang;
+            return {
+                // Milestone dates are calendar days, stored as UTC midnight.
+                date: new Intl.DateTimeFormat(lang, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' }),
+                dateTime: new Intl.DateTimeFormat(lang, { dateStyle: 'medium', timeStyle: 'short' }),
+                number: new Intl.NumberFormat(lang)
+            };
+        };
+
+        const renderStatus = () => {
+            status.textContent = message ? t(message.key, message.vars) : '';
+            status.classList.toggle('is-error', Boolean(message?.error));
+            input.setAttribute('aria-invalid', String(message?.key === 'track.invalid'));
+        };
+
+        const renderSummary = (format) => {
+            const market = MARKETS.find(({ id }) => id === shipment.destination.market);
+            const commodity = getCommodity(shipment.commodity);
+            const arrived = shipment.milestones.find(milestone => milestone.id === 'arrived');
+            const arrival = arrived?.status === 'done' ? arrived.date : arrived?.expected;
+            const facts = [
+                ['booking', shipment.reference],
+                ['containers', shipment.containers.join(', ')],
+                ['commodity', [
+                    commodity ? t(`commodities.${commodity.id}.shortName`, {}, commodity.shortName) : shipment.commodity,
+                    shipment.quantity && `${format.number.format(shipment.quantity.value)} ${shipment.quantity.unit}`
+                ].filter(Boolean).join(' · ')],
+                ['destination', [shipment.destination.port, market && `${market.flag} ${t(`partners.${market.id}`, {}, market.name)}`].filter(Boolean).join(', ')],
+                ['vessel', shipment.vessel],
+                [arrived?.status === 'done' ? 'arrivedOn' : 'eta', arrival && format.date.format(arrival)]
+            ].filter(([, value]) => value);
+            summary.innerHTML = `
+                <dl class="track-facts">
+                    ${facts.map(([key, value]) => `<div><dt>${t(`track.facts.${key}`)}</dt><dd>${escapeHtml(value)}</dd></div>`).join('')}
+                </dl>
+                ${shipment.updatedAt ? `<p class="track-updated">${t('track.updated', { date: format.dateTime.format(shipment.updatedAt) })}</p>` : ''}`;
+        };
+
+        const renderTimeline = (format) => {
+            const dateLine = (milestone) => {
+                if (milestone.status === 'done') return milestone.date && format.date.format(milestone.date);
+                if (milestone.status === 'current') return milestone.date && t('track.since', { date: format.date.format(milestone.date) });
+                return milestone.expected ? t('track.expected', { date: format.date.format(milestone.expected) }) : t('track.notScheduled');
+            };
+            timeline.innerHTML = shipment.milestones.map(milestone => {
+                const title = milestone.id === 'inspected' && milestone.inspector
+                    ? t('track.milestones.inspectedBy', { inspector: milestone.inspector })
+                    : t(`track.milestones.${milestone.id}`);
+                const when = milestone.date ?? milestone.expected;
+                const meta = [dateLine(milestone), milestone.location].filter(Boolean).map(escapeHtml);
+                if (when) meta[0] = `<time datetime="${when.toISOString().slice(0, 10)}">${meta[0]}</time>`;
+                const documents = milestone.documents.map(doc => `
+                    <li><a href="${escapeHtml(doc.url)}" target="_blank" rel="noopener">${escapeHtml(t(`track.documents.${doc.type}`, {}, doc.title))}</a></li>`).join('');
+                return `
+                <li class="track-milestone is-${milestone.status}"${milestone.status === 'current' ? ' aria-current="step"' : ''}>
+                    <span class="track-marker" aria-hidden="true"></span>
+                    <div class="track-milestone-body">
+                        <h3 class="track-milestone-title">${escapeHtml(title)}</h3>
+                        <p class="track-milestone-state">${t(`track.status.${milestone.status}`)}</p>
+                        <p class="track-milestone-meta">${meta.join(' · ')}</p>
+                        ${documents ? `<ul class="track-documents" aria-label="${t('track.documentsLabel')}">${documents}</ul>` : ''}
+                    </div>
+                </li>`;
+            }).join('');
+            // The line is filled up to the last milestone reached.
+            const reached = Math.max(shipment.milestones.map(milestone => milestone.status).lastIndexOf('done'),
+                shipment.milestones.findIndex(milestone => milestone.status === 'current'), 0);
+            timeline.style.setProperty('--progress', String(reached / Math.max(shipment.milestones.length - 1, 1)));
+        };
+
+        const render = () => {
+            renderStatus();
+            if (!shipment) return;
+            const format = formats();
+            renderSummary(format);
+            renderTimeline(format);
+        };
+
+        const showRoute = () => {
+            if (!globeContainer || !MARKETS.some(({ id }) => id === shipment.destination.market)) {
+                if (globeContainer) globeContainer.hidden = true;
+                return;
+            }
+            globeContainer.hidden = false;
+            if (!globe) {
+                // Created on the first result: the globe needs its container laid out.
+                globe = new Globe(globeContainer, { hq: HEADQUARTERS, markets: MARKETS });
+                if (!globe.renderer) return;
+                scope.canvas(globe);
+                globe.autoRotate = false;
+                i18n.apply(globeContainer);
+            }
+            if (globe.renderer) globe.showVoyage(shipment.destination.market, voyageProgress(shipment));
+        };
+
+        const animateTimeline = () => {
+            scope.animate(() => {
+                if (motion.reduced) return;
+                gsap.from(timeline, { '--progress': 0, duration: 1.2, ease: 'power2.inOut' });
+                gsap.from(timeline.querySelectorAll('.track-milestone'), {
+                    opacity: 0,
+                    x: -24,
+                    duration: 0.5,
+                    stagger: 0.12,
+                    ease: 'power2.out',
+                    clearProps: 'opacity,transform'
+                });
+            });
+        };
+
+        // A failed lookup must not leave the previous shipment on show next to
+        // its error, nor its reference in the address bar.
+        const clearResult = () => {
+            shipment = null;
+            result.hidden = true;
+            history.replaceState(history.state, '', location.pathname);
+        };
+
+        const lookUp = async (raw) => {
+            const reference = normalizeReference(raw);
+            input.value = reference;
+            if (!isValidReference(reference)) {
+                request++; // Drops a lookup still in flight
+                message = { key: 'track.invalid', error: true };
+                clearResult();
+                renderStatus();
+                analytics.track('shipment_lookup', { result: 'invalid' });
+                return;
+            }
+            const id = ++request;
+            message = { key: 'track.searching', vars: { reference } };
+            renderStatus();
+            form.setAttribute('aria-busy', 'true');
+            try {
+                const found = await fetchShipment(reference, { signal: scope.signal });
+                if (id !== request) return; // A newer lookup was started
+                shipment = found;
+                message = { key: 'track.found', vars: { reference } };
+                result.hidden = false;
+                render();
+                animateTimeline();
+                showRoute();
+                history.replaceState(history.state, '', `${location.pathname}?ref=${encodeURIComponent(reference)}`);
+                analytics.track('shipment_lookup', { result: 'found', by: reference.startsWith('GGB-') ? 'booking' : 'container' });
+            } catch (e) {
+                if (e.name === 'AbortError' || id !== request) return; // The view was left, or superseded
+                if (e.kind !== 'notFound' && e.kind !== 'invalid') console.warn('Shipment lookup failed:', e);
+                message = { key: e.kind === 'notFound' ? 'track.notFound' : e.kind === 'invalid' ? 'track.invalid' : 'track.unavailable', vars: { reference }, error: true };
+                clearResult();
+                renderStatus();
+                analytics.track('shipment_lookup', { result: e.kind || 'error' });
+            } finally {
+                if (id === request) form.removeAttribute('aria-busy');
+            }
+        };
+
+        scope.on(form, 'submit', (e) => {
+            e.preventDefault();
+            lookUp(input.value);
+        });
+        scope.on(document, 'localechange', render);
+
+        const fromUrl = new URLSearchParams(location.search).get('ref');
+        if (fromUrl) lookUp(fromUrl);
+
+        scope.defer(() => {
+            request++;
+            form.reset();
+            form.removeAttribute('aria-busy');
+            input.removeAttribute('aria-invalid');
+            status.textContent = '';
+            status.classList.remove('is-error');
+            result.hidden = true;
+            summary.innerHTML = '';
+            timeline.innerHTML = '';
+        });
+    }
+}
@@ -0,0 +1,77 @@
+import { createSpecSheetPdf, specSheetContent, specSheetHtml } from '../SpecSheet.js';
+import { getCommodity } from '../data/commodities.js';
+import { LOCALES, i18n, t } from '../I18n.js';
+import { download } from '../Download.js';
+
+// "Download spec sheet" buttons (data-spec-sheet="<commodity id>") on the
+// product cards and next to both 3D viewers open the sheet in a dialog, in the
+// page language. From there it prints (the print stylesheet shows only the
+// sheet while the dialog is open) or downloads as a PDF built in the browser.
+export class SpecSheets {
+    init(scope) {
+        const dialog = document.querySelector('.spec-sheet-dialog');
+        if (!dialog) return;
+        const page = dialog.querySelector('.spec-sheet-page');
+        const status = dialog.querySelector('.spec-sheet-status');
+        const pdfButton = dialog.querySelector('.spec-sheet-pdf');
+        let commodity = null;
+        let sheet = null;
+
+        const render = () => {
+            sheet = specSheetContent(commodity, { locale: i18n.locale, lang: LOCALES[i18n.locale].htmlLang, t });
+            page.innerHTML = specSheetHtml(sheet);
+            status.textContent = '';
+        };
+
+        const close = () => {
+            if (dialog.open) dialog.close();
+            document.documentElement.classList.remove('spec-sheet-open');
+            commodity = null;
+        };
+        this.close = close;
+
+        // Delegated: the viewer buttons change commodity and the commodity
+        // page's button comes and goes with the view.
+        scope.on(document, 'click', (e) => {
+            const trigger = e.target.closest('[data-spec-sheet]');
+            const target = trigger && getCommodity(trigger.dataset.specSheet);
+            if (!target) return;
+            commodity = target;
+            render();
+            document.documentElement.classList.add('spec-sheet-open');
+            dialog.showModal();
+        });
+
+        scope.on(dialog, 'close', close);
+        scope.on(dialog, 'click', (e) => {
+            if (e.target === dialog) close(); // Backdrop
+        });
+        scope.on(dialog.querySelector('.spec-sheet-close'), 'click', close);
+        scope.on(dialog.querySelector('.spec-sheet-print'), 'click', () => window.print());
+
+        scope.on(pdfButton, 'click', async () => {
+            const current = sheet;
+            pdfButton.disabled = true;
+            status.textContent = t('specSheet.preparing');
+            try {
+                const bytes = await createSpecSheetPdf(current);
+                download(new Blob([bytes], { type: 'application/pdf' }), current.fileName);
+                status.textContent = '';
+            } catch (e) {
+                console.warn('Spec sheet PDF failed, print is still available:', e);
+                status.textContent = t('specSheet.failed');
+            } finally {
+                pdfButton.disabled = false;
+            }
+        });
+
+        scope.on(document, 'localechange', () => {
+            if (commodity) render();
+        });
+    }
+
+    destroy() {
+        this.close?.();
+        this.close = null;
+    }
+}
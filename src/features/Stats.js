@@ -0,0 +1,55 @@
+import { gsap } from 'gsap';
+import { motion } from '../Motion.js';
+
+// The hero's side stats: each `.counter` counts up to its data-target once,
+// when it first scrolls into view, and the stat cards float gently.
+export class Stats {
+    init(scope, { firstVisit = true } = {}) {
+        scope.animate(() => {
+            gsap.utils.toArray('.counter').forEach(counter => {
+                const target = parseInt(counter.dataset.target, 10);
+                if (isNaN(target)) return;
+                if (motion.reduced) {
+                    counter.textContent = `${target}+`;
+                    return;
+                }
+
+                gsap.to(counter, {
+                    scrollTrigger: {
+                        trigger: counter,
+                        start: 'top 90%',
+                        toggleActions: 'play none none none'
+                    },
+                    innerText: target,
+                    // On the first visit the count starts once the loading screen is gone.
+                    delay: firstVisit ? 1.5 : 0,
+                    duration: 2,
+                    snap: { innerText: 1 },
+                    ease: 'power2.out',
+                    onUpdate: () => {
+                        counter.innerText = Math.floor(counter.innerText) + '+';
+                    }
+                });
+            });
+
+            this.float = gsap.to('.stat-item', {
+                y: 'random(-10, 10)',
+                duration: 'random(2, 4)',
+                repeat: -1,
+                yoyo: true,
+                ease: 'sine.inOut',
+                stagger: { each: 0.5, from: 'random' }
+            });
+        });
+        if (motion.reduced) this.float.pause(0);
+
+        scope.on(document, 'motionchange', () => {
+            if (motion.reduced) this.float.pause(0);
+            else this.float.play();
+        });
+    }
+
+    destroy() {
+        this.float = null;
+    }
+}
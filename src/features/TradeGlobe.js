@@ -0,0 +1,51 @@
+import { Globe } from '../Globe.js';
+import { i18n } from '../I18n.js';
+import { motion } from '../Motion.js';
+import { analytics } from '../Analytics.js';
+import { HEADQUARTERS, MARKETS } from '../data/markets.js';
+
+// The partners globe and the market info boxes, kept in sync both ways. The
+// boxes act as buttons: click, or Enter/Space when focused.
+export class TradeGlobe {
+    init(scope) {
+        const container = document.getElementById('trade-globe');
+        if (!container) return;
+        const globe = new Globe(container, { hq: HEADQUARTERS, markets: MARKETS });
+        if (!globe.renderer) return;
+        scope.canvas(globe);
+        globe.autoRotate = !motion.reduced;
+        i18n.apply(container);
+
+        const infoBoxes = document.querySelectorAll('.info-box[data-country]');
+        const highlightBox = (id) => {
+            infoBoxes.forEach(box => {
+                const isActive = box.getAttribute('data-country') === id;
+                box.classList.toggle('active', isActive);
+                box.setAttribute('aria-pressed', isActive);
+            });
+        };
+        const behavior = () => (motion.reduced ? 'auto' : 'smooth');
+
+        infoBoxes.forEach(box => {
+            const select = () => {
+                const id = box.getAttribute('data-country');
+                analytics.track('globe_select', { country: id, from: 'list' });
+                globe.focusCountry(id);
+                highlightBox(id);
+                container.scrollIntoView({ behavior: behavior(), block: 'center' });
+            };
+            scope.on(box, 'click', select);
+            scope.on(box, 'keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+                select();
+            });
+        });
+
+        scope.on(container, 'countryselect', (e) => {
+            analytics.track('globe_select', { country: e.detail.id, from: 'globe' });
+            highlightBox(e.detail.id);
+            document.querySelector(`.info-box[data-country="${e.detail.id}"]`)?.scrollIntoView({ behavior: behavior(), block: 'nearest' });
+        });
+    }
+}
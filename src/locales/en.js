@@ -0,0 +1,362 @@
+export default {
+    meta: {
+        title: 'Glocal Guinée - Premium Agricultural Processing',
+        pageTitle: '{name} | Glocal Guinée',
+        description: 'Exporter of sesame, raw cashew nuts and cocoa from Conakry, Guinea since 2008. SGS-inspected lots, shipped to Turkey, China, India and Vietnam.',
+        descriptions: {
+            about: 'GLOCAL GUINEE SARLU has sourced and exported Guinean sesame, cashew and cocoa since 2008, with ethical sourcing and strict quality control.',
+            process: 'From Guinean farms to the port of Conakry: sourcing, cleaning and drying, SGS or Bureau Veritas inspection and export shipping.',
+            products: 'Specifications, grades and packaging for our export sesame seeds, raw cashew nuts (RCN) and cocoa beans from Guinea.',
+            partners: 'Our trade network links Conakry to buyers in Turkey, China, India and Vietnam.',
+            contact: 'Request a quote for Guinean sesame, cashew or cocoa. Lead times, inspections and contact details for GLOCAL GUINEE SARLU.',
+            track: 'Track your Glocal Guinée shipment of sesame, cashew or cocoa by booking or container number, from sourcing and SGS inspection to arrival at your port.',
+            lot: 'Traceability of this lot of {name}: {cooperative}, {plots} mapped farm plots, processing and inspection dates, and a due-diligence summary.'
+        }
+    },
+    a11y: {
+        reduceMotion: 'Reduce motion',
+        reduceMotionHint: 'Turn off decorative animation and smooth scrolling'
+    },
+    theme: {
+        current: 'Theme: {name}',
+        hint: 'Cycle between automatic, light, dark and high-contrast colours',
+        auto: 'Auto',
+        light: 'Light',
+        dark: 'Dark',
+        contrast: 'High contrast'
+    },
+    lang: {
+        label: 'Language'
+    },
+    nav: {
+        home: 'Home',
+        about: 'About Us',
+        process: 'Our Process',
+        products: 'Products',
+        partners: 'Partners',
+        track: 'Track Shipment',
+        contact: 'Contact',
+        cta: 'Get in Touch',
+        toggle: 'Toggle Navigation Menu',
+        close: 'Close Menu',
+        menu: 'Navigation menu'
+    },
+    hero: {
+        title: 'GLOCAL',
+        subtitle: 'Premium Commodities from the Heart of Guinea',
+        description: 'Specializing in high-quality Sesame, Raw Cashew Nuts, and Cocoa. We bridge the gap between Guinean agriculture and global markets.',
+        cta: 'Explore Products',
+        scrollHint: 'Scroll to Explore',
+        yearsExp: 'YEARS EXP',
+        globalPorts: 'GLOBAL PORTS'
+    },
+    about: {
+        title: 'Established Excellence',
+        tagline: 'Our Journey from 2008 to Today',
+        intro: 'GLOCAL GUINEE SARLU has been a cornerstone of Guinea\'s export sector since 2008. We pride ourselves on ethical sourcing and premium quality control.',
+        milestone2008: 'Founded in Conakry, starting with Sesame exports.',
+        milestone2015: 'Expanded to Raw Cashew Nuts (RCN) with shells.',
+        milestone2022: 'Reached new heights in Cocoa distribution to Asian markets.',
+        imageAlt: 'Guinean Agriculture - Sesame, Cashews, and Cocoa'
+    },
+    process: {
+        title: 'How We Function',
+        tagline: 'A Seamless Supply Chain from Farm to Port',
+        sourcingTitle: 'Sourcing',
+        sourcingText: 'Directly from local farmers in Guinea center.',
+        processingTitle: 'Processing',
+        processingText: 'State-to-the-art cleaning and drying facilities.',
+        qualityTitle: 'Quality Check',
+        qualityText: 'Rigorous SGS/Bureau Veritas inspections.',
+        shippingTitle: 'Shipping',
+        shippingText: 'Exporting to Turkey, China, India, and Vietnam.'
+    },
+    products: {
+        title: 'Our Commodities',
+        tagline: 'Premium Quality, Sustainably Sourced',
+        specifications: 'Specifications',
+        viewerTitle: '360° Commodity Inspector',
+        viewerHint: 'Drag to rotate · Scroll or pinch to zoom · Arrow keys to turn',
+        viewerLabel: '3D model of {name}. Use arrow keys to rotate and plus or minus to zoom.',
+        reset: 'Reset View',
+        details: 'View details'
+    },
+    market: {
+        title: 'Indicative Prices',
+        basis: '{basis} · {currency} per tonne',
+        period: 'Period',
+        periods: { '3m': '3M', '6m': '6M', '1y': '1Y', all: 'All' },
+        select: 'Show {name} price history',
+        updated: 'Updated {date}',
+        stale: 'Out of date: last updated {date}',
+        sample: 'Sample data',
+        unavailable: 'Prices are unavailable right now.',
+        chartLabel: '{name} price, {from} to {to}: {first} to {last} (low {low}, high {high})',
+        disclaimer: 'Indicative only, not an offer. Request a quote for a firm price.'
+    },
+    track: {
+        title: 'Track Your Shipment',
+        tagline: 'From Guinean Farms to Your Port',
+        label: 'Booking or container number',
+        hint: 'As on your booking confirmation or bill of lading, e.g. GGB-2026-0142 or MSCU4821730.',
+        submit: 'Track',
+        searching: 'Looking up {reference}…',
+        found: 'Shipment {reference} found.',
+        invalid: 'Enter a booking reference (GGB-2026-0142) or a container number (MSCU4821730).',
+        notFound: 'No shipment matches {reference}. Check the reference or contact us.',
+        unavailable: 'Tracking is unavailable right now. Please try again later or contact us.',
+        updated: 'Last updated {date}',
+        since: 'Since {date}',
+        expected: 'Expected {date}',
+        notScheduled: 'Not yet scheduled',
+        facts: {
+            booking: 'Booking',
+            containers: 'Containers',
+            commodity: 'Commodity',
+            destination: 'Destination',
+            vessel: 'Vessel',
+            eta: 'Estimated arrival',
+            arrivedOn: 'Arrived'
+        },
+        milestones: {
+            sourced: 'Sourced',
+            processed: 'Processed',
+            inspected: 'Inspected',
+            inspectedBy: 'Inspected by {inspector}',
+            loaded: 'Loaded at Conakry',
+            atSea: 'At sea',
+            arrived: 'Arrived at destination port'
+        },
+        status: { done: 'Completed', current: 'In progress', pending: 'Upcoming' },
+        documentsLabel: 'Documents',
+        documents: {
+            contract: 'Purchase contract',
+            qualityReport: 'Quality report',
+            inspectionCertificate: 'Inspection certificate',
+            phytosanitary: 'Phytosanitary certificate',
+            certificateOfOrigin: 'Certificate of origin',
+            packingList: 'Packing list',
+            invoice: 'Commercial invoice',
+            billOfLading: 'Bill of lading',
+            arrivalNotice: 'Arrival notice'
+        },
+        globeLabel: 'Globe showing the shipping route from Conakry. Drag to rotate.'
+    },
+    lot: {
+        lot: 'Lot',
+        kicker: 'Lot Traceability',
+        details: 'Lot Details',
+        origin: 'Farm Origin',
+        commodity: 'Commodity',
+        harvest: 'Harvest season',
+        quantity: 'Quantity',
+        bags: 'bags',
+        country: 'Country of production',
+        cooperative: 'Cooperative',
+        members: 'members',
+        processed: 'Processed',
+        inspected: 'Inspected',
+        shipment: 'Shipment',
+        mapLabel: 'Map of the farm plots in this lot, with their location in Guinea',
+        mapNote: 'Plot boundaries surveyed by GPS. Outline of Guinea from Natural Earth.',
+        plots: 'Farm Plots',
+        plot: 'Plot',
+        village: 'Village',
+        producer: 'Producer',
+        area: 'Area (ha)',
+        center: 'Centre (lat, lon)',
+        total: 'Total',
+        compliance: 'Due Diligence',
+        deforestationFree: 'Deforestation-free',
+        cutoff: 'Cut-off date',
+        legal: 'Legally produced',
+        risk: 'Risk assessment',
+        risks: { negligible: 'Negligible', low: 'Low', standard: 'Standard', high: 'High' },
+        statement: 'Due-diligence statement',
+        yes: 'Yes',
+        no: 'No',
+        operator: 'Operator',
+        ddsText: 'The summary and the plot file carry what an importer\'s due-diligence statement asks for: product, quantity, country of production and the geolocation of every plot.',
+        downloadDds: 'Download due-diligence summary (PDF)',
+        downloadGeojson: 'Download plot boundaries (GeoJSON)',
+        downloadFailed: 'The PDF could not be created. The plot file and this page carry the same details.',
+        notFound: 'Lot Not Found',
+        notFoundText: 'Check the code printed under the QR code on the bag, or contact us with it.',
+        dds: {
+            title: 'Due-Diligence Summary',
+            statement: 'Every bag in this lot of {name} comes from the farm plots listed below. None of them was deforested after {cutoff}, and the crop was produced in accordance with the laws of Guinea.',
+            statementPending: 'The deforestation-free status of this lot of {name} has not been confirmed yet.',
+            disclaimer: 'Prepared by GLOCAL GUINEE SARLU from its sourcing records to support the importer\'s own due diligence under Regulation (EU) 2023/1115. It is not a due-diligence statement in itself.'
+        }
+    },
+    commodity: {
+        title: '{name} | Glocal Guinée',
+        back: 'All commodities',
+        grades: 'Grades',
+        hsCode: 'HS code',
+        model: '3D Model',
+        season: 'Harvest Season',
+        seasonLabel: 'Harvest calendar',
+        harvest: 'Harvest',
+        peak: 'Peak',
+        gallery: 'Gallery',
+        quoteTitle: 'Request a Quote',
+        quoteText: 'The form starts with this commodity selected. Anything you already filled in is kept.'
+    },
+    specSheet: {
+        download: 'Download spec sheet',
+        title: 'Specification Sheet',
+        issued: 'Issued {date}',
+        print: 'Print',
+        pdf: 'Download PDF',
+        close: 'Close',
+        preparing: 'Preparing PDF…',
+        failed: 'The PDF could not be created. Use Print and choose "Save as PDF" instead.',
+        tradeTerms: 'Trade Terms',
+        incoterms: 'Incoterms',
+        inspection: 'Inspection',
+        leadTime: 'Lead time',
+        contact: 'Contact',
+        website: 'Website',
+        disclaimer: 'Indicative specifications. Final quality, quantity and price are agreed per contract and confirmed by independent inspection.'
+    },
+    specs: {
+        purity: 'Purity',
+        oilContent: 'Oil Content',
+        moisture: 'Moisture',
+        kor: 'KOR',
+        nutCount: 'Nut Count',
+        origin: 'Origin',
+        fermentation: 'Fermentation',
+        grade: 'Grade',
+        packaging: 'Packaging'
+    },
+    growth: {
+        label: 'From seedling to harvest',
+        loadingLabel: 'Loading growth sequence',
+        loading: 'Loading growth sequence… {percent}%',
+        seedlingTitle: 'Seedling',
+        seedlingText: 'Young cashew trees take root on Guinean farms.',
+        floweringTitle: 'Flowering',
+        floweringText: 'Dry-season blossoms set the year\'s crop.',
+        harvestTitle: 'Harvest',
+        harvestText: 'Ripe nuts are hand-picked, dried and graded for export.'
+    },
+    partners: {
+        title: 'Global Trade Network',
+        tagline: 'Connecting Guinea to the World',
+        guinea: 'Guinea',
+        hq: 'HQ',
+        india: 'India',
+        turkey: 'Turkey',
+        vietnam: 'Vietnam',
+        china: 'China',
+        hqRole: 'Sourcing & Processing',
+        hqNote: 'Heart of Operations',
+        keyMarket: 'Key Market',
+        regionalHub: 'Regional Hub',
+        growthMarket: 'Growth Market',
+        majorMarket: 'Major Market',
+        globeLabel: 'Trade route globe. Drag to rotate.'
+    },
+    contact: {
+        title: 'Get In Touch',
+        tagline: 'Start your agricultural partnership today',
+        location: 'Location',
+        locationValue: 'Conakry, Republic of Guinea',
+        phone: 'Phone / WhatsApp',
+        email: 'Email',
+        faqTitle: 'Frequently Asked Questions',
+        faqLeadTimeQ: 'What is your shipment lead time?',
+        faqLeadTimeA: 'Usually 15-21 days from order confirmation to port loading.',
+        faqInspectionQ: 'Do you provide SGS inspection?',
+        faqInspectionA: 'Yes, all our shipments are certified by SGS or Bureau Veritas.',
+        whatsapp: 'Chat on WhatsApp',
+        whatsappProduct: 'Prefer WhatsApp? Ask us about this product',
+        whatsappHello: 'Hello {company}, I would like to know more about your products.',
+        whatsappQuote: 'Hello {company}, I would like a quote for {commodity}.',
+        cardTitle: 'Save our contact',
+        cardText: 'Scan the code with a phone camera to add us to your contacts.',
+        vcard: 'Download vCard',
+        qrDownload: 'QR code for print (PNG)',
+        qrFullscreen: 'Show full screen',
+        qrLabel: 'QR code with our contact card',
+        qrClose: 'Tap or press Esc to close'
+    },
+    rfq: {
+        steps: {
+            product: 'Product',
+            volume: 'Volume & Terms',
+            logistics: 'Logistics',
+            company: 'Company',
+            review: 'Review',
+            reviewTitle: 'Review your request'
+        },
+        commodity: 'Commodity',
+        grade: 'Grade',
+        quantity: 'Quantity',
+        unit: 'Unit',
+        units: {
+            mt: 'Metric tonnes',
+            containers: "20' containers"
+        },
+        incoterm: 'Incoterm',
+        port: 'Destination Port',
+        packaging: 'Packaging',
+        packagingOptions: {
+            jute: 'Jute bags',
+            pp: 'PP bags'
+        },
+        month: 'Target Shipment Month',
+        inspection: 'Inspection Body',
+        company: 'Company',
+        phone: 'Phone / WhatsApp (optional)',
+        country: 'Country',
+        notes: 'Notes (optional)',
+        choose: 'Choose…',
+        chooseCommodity: 'Choose a commodity first',
+        back: 'Back',
+        next: 'Continue',
+        edit: 'Edit',
+        errors: {
+            required: 'Please fill in this field.',
+            choose: 'Please choose an option.',
+            email: 'Please enter a valid email address.',
+            min: 'Must be at least {min}.',
+            whole: 'Please enter a whole number.',
+            format: 'Please use the format YYYY-MM.'
+        }
+    },
+    form: {
+        name: 'Full Name',
+        email: 'Email Address',
+        send: 'Send Request',
+        sent: 'Request Sent!',
+        error: "We couldn't send your request. Please try again.",
+        sending: 'Sending…',
+        retrying: 'Connection problem, retrying (attempt {attempt})…',
+        queued: "You're offline. Your request is saved on this device and will be sent automatically when you're back online.",
+        flushed: 'Saved requests sent: {count}.',
+        handedOff: 'Your email app has opened with the request. Send it from there to finish.',
+        invalid: 'Please correct the highlighted fields.',
+        emailInstead: 'Email it to us instead'
+    },
+    pwa: {
+        updateAvailable: 'A new version of the site is available.',
+        reload: 'Reload',
+        dismiss: 'Dismiss'
+    },
+    consent: {
+        title: 'Privacy',
+        message: 'May we count anonymous visits (which products are viewed, how far the form gets) to improve the site? No cookies, nothing shared with advertisers.',
+        accept: 'Allow',
+        decline: 'No thanks',
+        settings: 'Privacy settings'
+    },
+    footer: {
+        copyright: '© 2026 GLOCAL GUINEE SARLU. All Rights Reserved.'
+    },
+    loading: {
+        text: 'Loading Glocal Guinee Experience...'
+    }
+};
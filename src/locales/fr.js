@@ -0,0 +1,388 @@
+export default {
+    meta: {
+        title: 'Glocal Guinée - Transformation agricole premium',
+        pageTitle: '{name} | Glocal Guinée',
+        description: 'Exportateur de sésame, de noix de cajou brutes et de cacao depuis Conakry, en Guinée, depuis 2008. Lots inspectés par SGS, expédiés vers la Turquie, la Chine, l\'Inde et le Vietnam.',
+        descriptions: {
+            about: 'Depuis 2008, GLOCAL GUINEE SARLU collecte et exporte le sésame, le cajou et le cacao guinéens, avec un approvisionnement éthique et un contrôle qualité rigoureux.',
+            process: 'Des exploitations guinéennes au port de Conakry : collecte, nettoyage et séchage, inspection SGS ou Bureau Veritas et expédition.',
+            products: 'Spécifications, qualités et conditionnements de nos graines de sésame, noix de cajou brutes (RCN) et fèves de cacao de Guinée.',
+            partners: 'Notre réseau commercial relie Conakry à des acheteurs en Turquie, en Chine, en Inde et au Vietnam.',
+            contact: 'Demandez un devis pour du sésame, du cajou ou du cacao de Guinée. Délais, inspections et coordonnées de GLOCAL GUINEE SARLU.',
+            track: 'Suivez votre expédition de sésame, cajou ou cacao Glocal Guinée par numéro de réservation ou de conteneur, de la collecte et l\'inspection SGS jusqu\'à l\'arrivée au port.',
+            lot: 'Traçabilité de ce lot de {name} : {cooperative}, {plots} parcelles cartographiées, dates de transformation et d\'inspection, et synthèse de diligence raisonnée.'
+        }
+    },
+    a11y: {
+        reduceMotion: 'Réduire les animations',
+        reduceMotionHint: 'Désactive les animations décoratives et le défilement fluide'
+    },
+    theme: {
+        current: 'Thème : {name}',
+        hint: 'Alterne entre couleurs automatiques, claires, sombres et à contraste élevé',
+        auto: 'Auto',
+        light: 'Clair',
+        dark: 'Sombre',
+        contrast: 'Contraste élevé'
+    },
+    lang: {
+        label: 'Langue'
+    },
+    nav: {
+        home: 'Accueil',
+        about: 'À propos',
+        process: 'Notre processus',
+        products: 'Produits',
+        partners: 'Partenaires',
+        track: 'Suivi d\'expédition',
+        contact: 'Contact',
+        cta: 'Nous contacter',
+        toggle: 'Afficher le menu de navigation',
+        close: 'Fermer le menu',
+        menu: 'Menu de navigation'
+    },
+    hero: {
+        title: 'GLOCAL',
+        subtitle: 'Des matières premières d\'exception au cœur de la Guinée',
+        description: 'Spécialistes du sésame, de la noix de cajou brute et du cacao de haute qualité. Nous relions l\'agriculture guinéenne aux marchés mondiaux.',
+        cta: 'Découvrir nos produits',
+        scrollHint: 'Faites défiler',
+        yearsExp: 'ANS D\'EXPÉRIENCE',
+        globalPorts: 'PORTS DESSERVIS'
+    },
+    about: {
+        title: 'L\'excellence depuis 2008',
+        tagline: 'Notre parcours de 2008 à aujourd\'hui',
+        intro: 'GLOCAL GUINEE SARLU est un pilier du secteur d\'exportation guinéen depuis 2008. Nous sommes fiers de notre approvisionnement éthique et de notre contrôle qualité rigoureux.',
+        milestone2008: 'Création à Conakry, avec les premières exportations de sésame.',
+        milestone2015: 'Extension à la noix de cajou brute (RCN) en coque.',
+        milestone2022: 'Essor de la distribution de cacao vers les marchés asiatiques.',
+        imageAlt: 'Agriculture guinéenne - sésame, cajou et cacao'
+    },
+    process: {
+        title: 'Notre fonctionnement',
+        tagline: 'Une chaîne d\'approvisionnement fluide, de la ferme au port',
+        sourcingTitle: 'Approvisionnement',
+        sourcingText: 'Directement auprès des producteurs locaux de Guinée.',
+        processingTitle: 'Transformation',
+        processingText: 'Installations modernes de nettoyage et de séchage.',
+        qualityTitle: 'Contrôle qualité',
+        qualityText: 'Inspections rigoureuses SGS/Bureau Veritas.',
+        shippingTitle: 'Expédition',
+        shippingText: 'Exportations vers la Turquie, la Chine, l\'Inde et le Vietnam.'
+    },
+    products: {
+        title: 'Nos produits',
+        tagline: 'Qualité premium, approvisionnement durable',
+        specifications: 'Spécifications',
+        viewerTitle: 'Inspecteur 360° des produits',
+        viewerHint: 'Glissez pour pivoter · Molette ou pincement pour zoomer · Flèches pour tourner',
+        viewerLabel: 'Modèle 3D : {name}. Utilisez les flèches pour pivoter et plus ou moins pour zoomer.',
+        reset: 'Réinitialiser la vue',
+        details: 'Voir la fiche'
+    },
+    market: {
+        title: 'Prix indicatifs',
+        basis: '{basis} · {currency} par tonne',
+        period: 'Période',
+        periods: { '3m': '3 M', '6m': '6 M', '1y': '1 A', all: 'Tout' },
+        select: 'Afficher l\'historique des prix : {name}',
+        updated: 'Mis à jour le {date}',
+        stale: 'Données anciennes : mises à jour le {date}',
+        sample: 'Données d\'exemple',
+        unavailable: 'Les prix sont indisponibles pour le moment.',
+        chartLabel: 'Prix {name}, du {from} au {to} : de {first} à {last} (bas {low}, haut {high})',
+        disclaimer: 'Prix indicatifs, sans valeur d\'offre. Demandez un devis pour un prix ferme.'
+    },
+    track: {
+        title: 'Suivez votre expédition',
+        tagline: 'Des champs guinéens à votre port',
+        label: 'Numéro de réservation ou de conteneur',
+        hint: 'Tel qu\'indiqué sur votre confirmation de réservation ou votre connaissement, par ex. GGB-2026-0142 ou MSCU4821730.',
+        submit: 'Suivre',
+        searching: 'Recherche de {reference}…',
+        found: 'Expédition {reference} trouvée.',
+        invalid: 'Saisissez une référence de réservation (GGB-2026-0142) ou un numéro de conteneur (MSCU4821730).',
+        notFound: 'Aucune expédition ne correspond à {reference}. Vérifiez la référence ou contactez-nous.',
+        unavailable: 'Le suivi est indisponible pour le moment. Réessayez plus tard ou contactez-nous.',
+        updated: 'Dernière mise à jour : {date}',
+        since: 'Depuis le {date}',
+        expected: 'Prévu le {date}',
+        notScheduled: 'Pas encore planifié',
+        facts: {
+            booking: 'Réservation',
+            containers: 'Conteneurs',
+            commodity: 'Produit',
+            destination: 'Destination',
+            vessel: 'Navire',
+            eta: 'Arrivée estimée',
+            arrivedOn: 'Arrivé le'
+        },
+        milestones: {
+            sourced: 'Collecté',
+            processed: 'Transformé',
+            inspected: 'Inspecté',
+            inspectedBy: 'Inspecté par {inspector}',
+            loaded: 'Chargé à Conakry',
+            atSea: 'En mer',
+            arrived: 'Arrivé au port de destination'
+        },
+        status: { done: 'Terminé', current: 'En cours', pending: 'À venir' },
+        documentsLabel: 'Documents',
+        documents: {
+            contract: 'Contrat d\'achat',
+            qualityReport: 'Rapport qualité',
+            inspectionCertificate: 'Certificat d\'inspection',
+            phytosanitary: 'Certificat phytosanitaire',
+            certificateOfOrigin: 'Certificat d\'origine',
+            packingList: 'Liste de colisage',
+            invoice: 'Facture commerciale',
+            billOfLading: 'Connaissement',
+            arrivalNotice: 'Avis d\'arrivée'
+        },
+        globeLabel: 'Globe montrant la route maritime depuis Conakry. Faites glisser pour le tourner.'
+    },
+    lot: {
+        lot: 'Lot',
+        kicker: 'Traçabilité du lot',
+        details: 'Détails du lot',
+        origin: 'Origine des parcelles',
+        commodity: 'Produit',
+        harvest: 'Campagne de récolte',
+        quantity: 'Quantité',
+        bags: 'sacs',
+        country: 'Pays de production',
+        cooperative: 'Coopérative',
+        members: 'membres',
+        processed: 'Transformé',
+        inspected: 'Inspecté',
+        shipment: 'Expédition',
+        mapLabel: 'Carte des parcelles de ce lot, avec leur emplacement en Guinée',
+        mapNote: 'Limites des parcelles relevées par GPS. Contour de la Guinée : Natural Earth.',
+        plots: 'Parcelles',
+        plot: 'Parcelle',
+        village: 'Village',
+        producer: 'Producteur',
+        area: 'Surface (ha)',
+        center: 'Centre (lat, lon)',
+        total: 'Total',
+        compliance: 'Diligence raisonnée',
+        deforestationFree: 'Zéro déforestation',
+        cutoff: 'Date butoir',
+        legal: 'Production légale',
+        risk: 'Évaluation du risque',
+        risks: { negligible: 'Négligeable', low: 'Faible', standard: 'Standard', high: 'Élevé' },
+        statement: 'Déclaration de diligence raisonnée',
+        yes: 'Oui',
+        no: 'Non',
+        operator: 'Opérateur',
+        ddsText: 'La synthèse et le fichier des parcelles contiennent ce que demande la déclaration de diligence raisonnée de l\'importateur : produit, quantité, pays de production et géolocalisation de chaque parcelle.',
+        downloadDds: 'Télécharger la synthèse de diligence (PDF)',
+        downloadGeojson: 'Télécharger les limites des parcelles (GeoJSON)',
+        downloadFailed: 'Le PDF n\'a pas pu être créé. Le fichier des parcelles et cette page contiennent les mêmes informations.',
+        notFound: 'Lot introuvable',
+        notFoundText: 'Vérifiez le code imprimé sous le QR code du sac, ou contactez-nous en l\'indiquant.',
+        dds: {
+            title: 'Synthèse de diligence raisonnée',
+            statement: 'Chaque sac de ce lot de {name} provient des parcelles listées ci-dessous. Aucune n\'a été déboisée après le {cutoff}, et la récolte a été produite conformément aux lois guinéennes.',
+            statementPending: 'Le statut zéro déforestation de ce lot de {name} n\'est pas encore confirmé.',
+            disclaimer: 'Établie par GLOCAL GUINEE SARLU à partir de ses registres d\'approvisionnement, pour appuyer la diligence raisonnée de l\'importateur au titre du règlement (UE) 2023/1115. Elle ne constitue pas en elle-même une déclaration de diligence raisonnée.'
+        }
+    },
+    commodity: {
+        title: '{name} | Glocal Guinée',
+        back: 'Tous les produits',
+        grades: 'Qualités',
+        hsCode: 'Code SH',
+        model: 'Modèle 3D',
+        season: 'Saison de récolte',
+        seasonLabel: 'Calendrier de récolte',
+        harvest: 'Récolte',
+        peak: 'Pic',
+        gallery: 'Galerie',
+        quoteTitle: 'Demander un devis',
+        quoteText: 'Le formulaire commence avec ce produit sélectionné. Ce que vous avez déjà saisi est conservé.'
+    },
+    specSheet: {
+        download: 'Télécharger la fiche technique',
+        title: 'Fiche technique',
+        issued: 'Émise le {date}',
+        print: 'Imprimer',
+        pdf: 'Télécharger le PDF',
+        close: 'Fermer',
+        preparing: 'Préparation du PDF…',
+        failed: 'Le PDF n\'a pas pu être créé. Utilisez Imprimer puis « Enregistrer au format PDF ».',
+        tradeTerms: 'Conditions commerciales',
+        incoterms: 'Incoterms',
+        inspection: 'Inspection',
+        leadTime: 'Délai',
+        contact: 'Contact',
+        website: 'Site web',
+        disclaimer: 'Spécifications indicatives. La qualité, la quantité et le prix définitifs sont fixés par contrat et confirmés par une inspection indépendante.'
+    },
+    specs: {
+        purity: 'Pureté',
+        oilContent: 'Teneur en huile',
+        moisture: 'Humidité',
+        kor: 'KOR',
+        nutCount: 'Grainage',
+        origin: 'Origine',
+        fermentation: 'Fermentation',
+        grade: 'Qualité',
+        packaging: 'Conditionnement'
+    },
+    commodities: {
+        sesame: {
+            shortName: 'Sésame',
+            name: 'Sésame',
+            fullName: 'Graines de sésame',
+            description: 'Des graines dorées issues des plaines fertiles de Guinée.',
+            overview: 'Sésame naturel cultivé par de petits producteurs de Haute-Guinée, nettoyé et trié mécaniquement à Conakry avant l\'export.',
+            photoAlt: 'Graines de sésame blanc naturel'
+        },
+        cashew: {
+            shortName: 'Cajou',
+            name: 'Noix de cajou brutes',
+            fullName: 'Noix de cajou brutes',
+            description: 'RCN premium à KOR et rendement élevés.',
+            overview: 'Cajou en coque des vergers de Boké et de Kindia, séché au soleil et testé en rendement sur chaque lot avant ensachage.',
+            photoAlt: 'Noix de cajou brutes en coque'
+        },
+        cocoa: {
+            shortName: 'Cacao',
+            name: 'Fèves de cacao',
+            fullName: 'Fèves de cacao',
+            description: 'Un cacao riche et aromatique pour le chocolat fin.',
+            overview: 'Cacao de Guinée forestière, entièrement fermenté et séché à l\'humidité d\'export ; la grande et la petite traite sont expédiées séparément.',
+            photoAlt: 'Fèves de cacao fermentées'
+        }
+    },
+    growth: {
+        label: 'De la pousse à la récolte',
+        loadingLabel: 'Chargement de la séquence de croissance',
+        loading: 'Chargement de la séquence de croissance… {percent} %',
+        seedlingTitle: 'Jeune pousse',
+        seedlingText: 'Les jeunes anacardiers prennent racine dans les exploitations guinéennes.',
+        floweringTitle: 'Floraison',
+        floweringText: 'Les fleurs de la saison sèche annoncent la récolte de l\'année.',
+        harvestTitle: 'Récolte',
+        harvestText: 'Les noix mûres sont cueillies à la main, séchées et calibrées pour l\'export.'
+    },
+    partners: {
+        title: 'Réseau commercial mondial',
+        tagline: 'Relier la Guinée au monde',
+        guinea: 'Guinée',
+        hq: 'Siège',
+        india: 'Inde',
+        turkey: 'Turquie',
+        vietnam: 'Vietnam',
+        china: 'Chine',
+        hqRole: 'Approvisionnement et transformation',
+        hqNote: 'Cœur des opérations',
+        keyMarket: 'Marché clé',
+        regionalHub: 'Plateforme régionale',
+        growthMarket: 'Marché en croissance',
+        majorMarket: 'Marché majeur',
+        globeLabel: 'Globe des routes commerciales. Faites glisser pour le faire pivoter.'
+    },
+    contact: {
+        title: 'Contactez-nous',
+        tagline: 'Démarrez votre partenariat agricole dès aujourd\'hui',
+        location: 'Adresse',
+        locationValue: 'Conakry, République de Guinée',
+        phone: 'Téléphone / WhatsApp',
+        email: 'E-mail',
+        faqTitle: 'Questions fréquentes',
+        faqLeadTimeQ: 'Quel est votre délai d\'expédition ?',
+        faqLeadTimeA: 'Généralement 15 à 21 jours entre la confirmation de commande et le chargement au port.',
+        faqInspectionQ: 'Proposez-vous une inspection SGS ?',
+        faqInspectionA: 'Oui, toutes nos expéditions sont certifiées par SGS ou Bureau Veritas.',
+        whatsapp: 'Discuter sur WhatsApp',
+        whatsappProduct: 'Vous préférez WhatsApp ? Posez-nous vos questions sur ce produit',
+        whatsappHello: 'Bonjour {company}, je souhaite en savoir plus sur vos produits.',
+        whatsappQuote: 'Bonjour {company}, je souhaite recevoir un devis pour : {commodity}.',
+        cardTitle: 'Enregistrez notre contact',
+        cardText: 'Scannez le code avec l\'appareil photo d\'un téléphone pour nous ajouter à vos contacts.',
+        vcard: 'Télécharger la vCard',
+        qrDownload: 'QR code pour impression (PNG)',
+        qrFullscreen: 'Afficher en plein écran',
+        qrLabel: 'QR code contenant notre fiche contact',
+        qrClose: 'Touchez l\'écran ou appuyez sur Échap pour fermer'
+    },
+    rfq: {
+        steps: {
+            product: 'Produit',
+            volume: 'Volume et conditions',
+            logistics: 'Logistique',
+            company: 'Société',
+            review: 'Récapitulatif',
+            reviewTitle: 'Vérifiez votre demande'
+        },
+        commodity: 'Produit',
+        grade: 'Qualité',
+        quantity: 'Quantité',
+        unit: 'Unité',
+        units: {
+            mt: 'Tonnes métriques',
+            containers: 'Conteneurs 20 pieds'
+        },
+        incoterm: 'Incoterm',
+        port: 'Port de destination',
+        packaging: 'Conditionnement',
+        packagingOptions: {
+            jute: 'Sacs en jute',
+            pp: 'Sacs en PP'
+        },
+        month: 'Mois d\'expédition souhaité',
+        inspection: 'Organisme d\'inspection',
+        company: 'Société',
+        phone: 'Téléphone / WhatsApp (facultatif)',
+        country: 'Pays',
+        notes: 'Remarques (facultatif)',
+        choose: 'Choisir…',
+        chooseCommodity: 'Choisissez d\'abord un produit',
+        back: 'Retour',
+        next: 'Continuer',
+        edit: 'Modifier',
+        errors: {
+            required: 'Veuillez remplir ce champ.',
+            choose: 'Veuillez choisir une option.',
+            email: 'Veuillez saisir une adresse e-mail valide.',
+            min: 'La valeur minimale est {min}.',
+            whole: 'Veuillez saisir un nombre entier.',
+            format: 'Veuillez utiliser le format AAAA-MM.'
+        }
+    },
+    form: {
+        name: 'Nom complet',
+        email: 'Adresse e-mail',
+        send: 'Envoyer la demande',
+        sent: 'Demande envoyée !',
+        error: 'Impossible d\'envoyer votre demande. Veuillez réessayer.',
+        sending: 'Envoi en cours…',
+        retrying: 'Problème de connexion, nouvel essai ({attempt})…',
+        queued: 'Vous êtes hors ligne. Votre demande est enregistrée sur cet appareil et sera envoyée automatiquement dès le retour de la connexion.',
+        flushed: 'Demandes enregistrées envoyées : {count}.',
+        handedOff: 'Votre messagerie s\'est ouverte avec la demande. Envoyez-la pour terminer.',
+        invalid: 'Veuillez corriger les champs signalés.',
+        emailInstead: 'Nous l\'envoyer par e-mail'
+    },
+    pwa: {
+        updateAvailable: 'Une nouvelle version du site est disponible.',
+        reload: 'Recharger',
+        dismiss: 'Fermer'
+    },
+    consent: {
+        title: 'Confidentialité',
+        message: 'Pouvons-nous compter les visites de façon anonyme (produits consultés, progression du formulaire) pour améliorer le site ? Aucun cookie, rien n\'est partagé avec des annonceurs.',
+        accept: 'Autoriser',
+        decline: 'Non merci',
+        settings: 'Paramètres de confidentialité'
+    },
+    footer: {
+        copyright: '© 2026 GLOCAL GUINEE SARLU. Tous droits réservés.'
+    },
+    loading: {
+        text: 'Chargement de l\'expérience Glocal Guinée...'
+    }
+};
@@ -0,0 +1,388 @@
+export default {
+    meta: {
+        title: 'Glocal Guinée - Premium Tarım Ürünleri İşleme',
+        pageTitle: '{name} | Glocal Guinée',
+        description: '2008\'den beri Konakri, Gine\'den susam, ham kaju ve kakao ihracatçısı. SGS denetimli partiler Türkiye, Çin, Hindistan ve Vietnam\'a gönderilir.',
+        descriptions: {
+            about: 'GLOCAL GUINEE SARLU, 2008\'den beri etik tedarik ve sıkı kalite kontrolüyle Gine susamı, kajusu ve kakaosu tedarik edip ihraç ediyor.',
+            process: 'Gine çiftliklerinden Konakri limanına: tedarik, temizleme ve kurutma, SGS veya Bureau Veritas denetimi ve ihracat sevkiyatı.',
+            products: 'Gine\'den ihraç ettiğimiz susam tohumu, ham kaju (RCN) ve kakao çekirdeklerinin özellikleri, sınıfları ve ambalajı.',
+            partners: 'Ticaret ağımız Konakri\'yi Türkiye, Çin, Hindistan ve Vietnam\'daki alıcılara bağlar.',
+            contact: 'Gine susamı, kajusu veya kakaosu için teklif isteyin. GLOCAL GUINEE SARLU teslim süreleri, denetimler ve iletişim bilgileri.',
+            track: 'Glocal Guinée susam, kaju veya kakao sevkiyatınızı rezervasyon ya da konteyner numarasıyla izleyin: tedarik ve SGS denetiminden limanınıza varışa kadar.',
+            lot: 'Bu {name} partisinin izlenebilirliği: {cooperative}, haritalanmış {plots} tarla, işleme ve denetim tarihleri ile durum tespiti özeti.'
+        }
+    },
+    a11y: {
+        reduceMotion: 'Hareketi azalt',
+        reduceMotionHint: 'Dekoratif animasyonları ve yumuşak kaydırmayı kapatır'
+    },
+    theme: {
+        current: 'Tema: {name}',
+        hint: 'Otomatik, açık, koyu ve yüksek kontrastlı renkler arasında geçiş yapar',
+        auto: 'Otomatik',
+        light: 'Açık',
+        dark: 'Koyu',
+        contrast: 'Yüksek kontrast'
+    },
+    lang: {
+        label: 'Dil'
+    },
+    nav: {
+        home: 'Ana Sayfa',
+        about: 'Hakkımızda',
+        process: 'Sürecimiz',
+        products: 'Ürünler',
+        partners: 'Ortaklar',
+        track: 'Sevkiyat Takibi',
+        contact: 'İletişim',
+        cta: 'Bize Ulaşın',
+        toggle: 'Gezinme menüsünü aç/kapat',
+        close: 'Menüyü kapat',
+        menu: 'Gezinme menüsü'
+    },
+    hero: {
+        title: 'GLOCAL',
+        subtitle: 'Gine\'nin Kalbinden Premium Emtialar',
+        description: 'Yüksek kaliteli susam, ham kaju ve kakao konusunda uzmanız. Gine tarımını küresel pazarlarla buluşturuyoruz.',
+        cta: 'Ürünleri Keşfedin',
+        scrollHint: 'Keşfetmek için kaydırın',
+        yearsExp: 'YIL DENEYİM',
+        globalPorts: 'KÜRESEL LİMAN'
+    },
+    about: {
+        title: 'Köklü Mükemmellik',
+        tagline: '2008\'den Bugüne Yolculuğumuz',
+        intro: 'GLOCAL GUINEE SARLU, 2008\'den bu yana Gine ihracat sektörünün temel taşlarından biridir. Etik tedarik ve üstün kalite kontrolüyle gurur duyuyoruz.',
+        milestone2008: 'Conakry\'de kuruldu ve susam ihracatıyla başladı.',
+        milestone2015: 'Kabuklu ham kaju (RCN) ile faaliyet alanını genişletti.',
+        milestone2022: 'Asya pazarlarına kakao dağıtımında yeni bir seviyeye ulaştı.',
+        imageAlt: 'Gine tarımı - susam, kaju ve kakao'
+    },
+    process: {
+        title: 'Nasıl Çalışıyoruz',
+        tagline: 'Tarladan Limana Kesintisiz Tedarik Zinciri',
+        sourcingTitle: 'Tedarik',
+        sourcingText: 'Doğrudan Gine\'nin iç bölgelerindeki yerel çiftçilerden.',
+        processingTitle: 'İşleme',
+        processingText: 'Son teknoloji temizleme ve kurutma tesisleri.',
+        qualityTitle: 'Kalite Kontrol',
+        qualityText: 'Titiz SGS/Bureau Veritas denetimleri.',
+        shippingTitle: 'Sevkiyat',
+        shippingText: 'Türkiye, Çin, Hindistan ve Vietnam\'a ihracat.'
+    },
+    products: {
+        title: 'Ürünlerimiz',
+        tagline: 'Premium Kalite, Sürdürülebilir Tedarik',
+        specifications: 'Özellikler',
+        viewerTitle: '360° Ürün İnceleyici',
+        viewerHint: 'Döndürmek için sürükleyin · Yakınlaştırmak için kaydırın veya sıkıştırın · Ok tuşlarıyla çevirin',
+        viewerLabel: '{name} 3B modeli. Döndürmek için ok tuşlarını, yakınlaştırmak için artı veya eksiyi kullanın.',
+        reset: 'Görünümü Sıfırla',
+        details: 'Ayrıntıları gör'
+    },
+    market: {
+        title: 'Gösterge Fiyatlar',
+        basis: '{basis} · ton başına {currency}',
+        period: 'Dönem',
+        periods: { '3m': '3 A', '6m': '6 A', '1y': '1 Y', all: 'Tümü' },
+        select: '{name} fiyat geçmişini göster',
+        updated: '{date} tarihinde güncellendi',
+        stale: 'Güncel değil: son güncelleme {date}',
+        sample: 'Örnek veri',
+        unavailable: 'Fiyatlar şu anda kullanılamıyor.',
+        chartLabel: '{name} fiyatı, {from} – {to}: {first} → {last} (en düşük {low}, en yüksek {high})',
+        disclaimer: 'Yalnızca gösterge niteliğindedir, teklif değildir. Kesin fiyat için teklif isteyin.'
+    },
+    track: {
+        title: 'Sevkiyatınızı Takip Edin',
+        tagline: 'Gine Tarlalarından Limanınıza',
+        label: 'Rezervasyon veya konteyner numarası',
+        hint: 'Rezervasyon onayınızda veya konşimentonuzda yazdığı gibi, ör. GGB-2026-0142 veya MSCU4821730.',
+        submit: 'Takip Et',
+        searching: '{reference} aranıyor…',
+        found: '{reference} sevkiyatı bulundu.',
+        invalid: 'Bir rezervasyon numarası (GGB-2026-0142) veya konteyner numarası (MSCU4821730) girin.',
+        notFound: '{reference} ile eşleşen sevkiyat yok. Numarayı kontrol edin veya bizimle iletişime geçin.',
+        unavailable: 'Takip şu anda kullanılamıyor. Lütfen daha sonra tekrar deneyin veya bizimle iletişime geçin.',
+        updated: 'Son güncelleme: {date}',
+        since: '{date} tarihinden beri',
+        expected: 'Beklenen: {date}',
+        notScheduled: 'Henüz planlanmadı',
+        facts: {
+            booking: 'Rezervasyon',
+            containers: 'Konteynerler',
+            commodity: 'Ürün',
+            destination: 'Varış yeri',
+            vessel: 'Gemi',
+            eta: 'Tahmini varış',
+            arrivedOn: 'Varış'
+        },
+        milestones: {
+            sourced: 'Tedarik edildi',
+            processed: 'İşlendi',
+            inspected: 'Denetlendi',
+            inspectedBy: '{inspector} tarafından denetlendi',
+            loaded: 'Konakri\'de yüklendi',
+            atSea: 'Denizde',
+            arrived: 'Varış limanına ulaştı'
+        },
+        status: { done: 'Tamamlandı', current: 'Devam ediyor', pending: 'Sırada' },
+        documentsLabel: 'Belgeler',
+        documents: {
+            contract: 'Satın alma sözleşmesi',
+            qualityReport: 'Kalite raporu',
+            inspectionCertificate: 'Denetim sertifikası',
+            phytosanitary: 'Bitki sağlık sertifikası',
+            certificateOfOrigin: 'Menşe şahadetnamesi',
+            packingList: 'Çeki listesi',
+            invoice: 'Ticari fatura',
+            billOfLading: 'Konşimento',
+            arrivalNotice: 'Varış bildirimi'
+        },
+        globeLabel: 'Konakri\'den deniz rotasını gösteren küre. Döndürmek için sürükleyin.'
+    },
+    lot: {
+        lot: 'Parti',
+        kicker: 'Parti İzlenebilirliği',
+        details: 'Parti Bilgileri',
+        origin: 'Tarla Kökeni',
+        commodity: 'Ürün',
+        harvest: 'Hasat sezonu',
+        quantity: 'Miktar',
+        bags: 'çuval',
+        country: 'Üretim ülkesi',
+        cooperative: 'Kooperatif',
+        members: 'üye',
+        processed: 'İşlendi',
+        inspected: 'Denetlendi',
+        shipment: 'Sevkiyat',
+        mapLabel: 'Bu partinin tarlalarını ve Gine\'deki konumlarını gösteren harita',
+        mapNote: 'Tarla sınırları GPS ile ölçülmüştür. Gine sınırı: Natural Earth.',
+        plots: 'Tarlalar',
+        plot: 'Tarla',
+        village: 'Köy',
+        producer: 'Üretici',
+        area: 'Alan (ha)',
+        center: 'Merkez (enlem, boylam)',
+        total: 'Toplam',
+        compliance: 'Durum Tespiti',
+        deforestationFree: 'Ormansızlaştırmasız',
+        cutoff: 'Kesim tarihi',
+        legal: 'Yasal üretim',
+        risk: 'Risk değerlendirmesi',
+        risks: { negligible: 'İhmal edilebilir', low: 'Düşük', standard: 'Standart', high: 'Yüksek' },
+        statement: 'Durum tespiti beyanı',
+        yes: 'Evet',
+        no: 'Hayır',
+        operator: 'Operatör',
+        ddsText: 'Özet ve tarla dosyası, ithalatçının durum tespiti beyanının istediklerini içerir: ürün, miktar, üretim ülkesi ve her tarlanın coğrafi konumu.',
+        downloadDds: 'Durum tespiti özetini indir (PDF)',
+        downloadGeojson: 'Tarla sınırlarını indir (GeoJSON)',
+        downloadFailed: 'PDF oluşturulamadı. Tarla dosyası ve bu sayfa aynı bilgileri içerir.',
+        notFound: 'Parti Bulunamadı',
+        notFoundText: 'Çuvaldaki QR kodun altında yazan kodu kontrol edin veya bu kodla bize ulaşın.',
+        dds: {
+            title: 'Durum Tespiti Özeti',
+            statement: 'Bu {name} partisindeki her çuval aşağıda listelenen tarlalardan gelir. Bu tarlaların hiçbiri {cutoff} sonrasında ormansızlaştırılmamıştır ve ürün Gine yasalarına uygun olarak üretilmiştir.',
+            statementPending: 'Bu {name} partisinin ormansızlaştırmasız durumu henüz doğrulanmadı.',
+            disclaimer: 'GLOCAL GUINEE SARLU tarafından tedarik kayıtlarından, ithalatçının (AB) 2023/1115 sayılı Tüzük kapsamındaki kendi durum tespitini desteklemek için hazırlanmıştır. Kendi başına bir durum tespiti beyanı değildir.'
+        }
+    },
+    commodity: {
+        title: '{name} | Glocal Guinée',
+        back: 'Tüm ürünler',
+        grades: 'Kaliteler',
+        hsCode: 'GTİP kodu',
+        model: '3B Model',
+        season: 'Hasat Dönemi',
+        seasonLabel: 'Hasat takvimi',
+        harvest: 'Hasat',
+        peak: 'Yoğun dönem',
+        gallery: 'Galeri',
+        quoteTitle: 'Teklif İsteyin',
+        quoteText: 'Form bu ürün seçili olarak başlar. Daha önce doldurduklarınız korunur.'
+    },
+    specSheet: {
+        download: 'Teknik föyü indir',
+        title: 'Teknik Föy',
+        issued: 'Düzenlenme: {date}',
+        print: 'Yazdır',
+        pdf: 'PDF indir',
+        close: 'Kapat',
+        preparing: 'PDF hazırlanıyor…',
+        failed: 'PDF oluşturulamadı. Yazdır\'ı kullanıp "PDF olarak kaydet"i seçin.',
+        tradeTerms: 'Ticari Koşullar',
+        incoterms: 'Incoterms',
+        inspection: 'Gözetim',
+        leadTime: 'Teslim süresi',
+        contact: 'İletişim',
+        website: 'Web sitesi',
+        disclaimer: 'Gösterge niteliğinde spesifikasyonlardır. Nihai kalite, miktar ve fiyat sözleşmeyle belirlenir ve bağımsız gözetimle teyit edilir.'
+    },
+    specs: {
+        purity: 'Saflık',
+        oilContent: 'Yağ Oranı',
+        moisture: 'Nem',
+        kor: 'KOR',
+        nutCount: 'Tane Sayısı',
+        origin: 'Menşe',
+        fermentation: 'Fermantasyon',
+        grade: 'Sınıf',
+        packaging: 'Ambalaj'
+    },
+    commodities: {
+        sesame: {
+            shortName: 'Susam',
+            name: 'Susam',
+            fullName: 'Susam Tohumu',
+            description: 'Gine\'nin verimli ovalarından altın renkli tohumlar.',
+            overview: 'Yukarı Gine\'deki küçük üreticilerin yetiştirdiği doğal susam; ihracattan önce Konakri\'de makineyle temizlenir ve ayıklanır.',
+            photoAlt: 'Doğal beyaz susam tohumu'
+        },
+        cashew: {
+            shortName: 'Kaju',
+            name: 'Ham Kaju',
+            fullName: 'Ham Kaju',
+            description: 'Yüksek KOR ve randımanlı premium RCN.',
+            overview: 'Boké ve Kindia bahçelerinden kabuklu kaju; güneşte kurutulur ve her parti çuvallanmadan önce randıman testinden geçer.',
+            photoAlt: 'Kabuklu ham kaju'
+        },
+        cocoa: {
+            shortName: 'Kakao',
+            name: 'Kakao Çekirdeği',
+            fullName: 'Kakao Çekirdeği',
+            description: 'İnce çikolata için zengin ve aromatik kakao.',
+            overview: 'Orman Gine\'si kakaosu; tamamen fermente edilip ihracat nemine kadar kurutulur, ana ve ara ürün ayrı sevk edilir.',
+            photoAlt: 'Fermente kakao çekirdeği'
+        }
+    },
+    growth: {
+        label: 'Fideden hasada',
+        loadingLabel: 'Büyüme dizisi yükleniyor',
+        loading: 'Büyüme dizisi yükleniyor… %{percent}',
+        seedlingTitle: 'Fide',
+        seedlingText: 'Genç kaju ağaçları Gine çiftliklerinde kök salıyor.',
+        floweringTitle: 'Çiçeklenme',
+        floweringText: 'Kurak mevsim çiçekleri yılın mahsulünü belirler.',
+        harvestTitle: 'Hasat',
+        harvestText: 'Olgun kaju cevizleri elle toplanır, kurutulur ve ihracat için sınıflandırılır.'
+    },
+    partners: {
+        title: 'Küresel Ticaret Ağı',
+        tagline: 'Gine\'yi Dünyaya Bağlıyoruz',
+        guinea: 'Gine',
+        hq: 'Merkez',
+        india: 'Hindistan',
+        turkey: 'Türkiye',
+        vietnam: 'Vietnam',
+        china: 'Çin',
+        hqRole: 'Tedarik ve İşleme',
+        hqNote: 'Operasyonların Kalbi',
+        keyMarket: 'Kilit Pazar',
+        regionalHub: 'Bölgesel Merkez',
+        growthMarket: 'Büyüyen Pazar',
+        majorMarket: 'Ana Pazar',
+        globeLabel: 'Ticaret rotaları küresi. Döndürmek için sürükleyin.'
+    },
+    contact: {
+        title: 'Bize Ulaşın',
+        tagline: 'Tarımsal ortaklığınıza bugün başlayın',
+        location: 'Konum',
+        locationValue: 'Conakry, Gine Cumhuriyeti',
+        phone: 'Telefon / WhatsApp',
+        email: 'E-posta',
+        faqTitle: 'Sıkça Sorulan Sorular',
+        faqLeadTimeQ: 'Sevkiyat süreniz nedir?',
+        faqLeadTimeA: 'Sipariş onayından limanda yüklemeye kadar genellikle 15-21 gün.',
+        faqInspectionQ: 'SGS denetimi sağlıyor musunuz?',
+        faqInspectionA: 'Evet, tüm sevkiyatlarımız SGS veya Bureau Veritas tarafından belgelendirilir.',
+        whatsapp: 'WhatsApp\'tan yazın',
+        whatsappProduct: 'WhatsApp\'ı mı tercih edersiniz? Bu ürünü bize sorun',
+        whatsappHello: 'Merhaba {company}, ürünleriniz hakkında bilgi almak istiyorum.',
+        whatsappQuote: 'Merhaba {company}, {commodity} için fiyat teklifi almak istiyorum.',
+        cardTitle: 'İletişim bilgilerimizi kaydedin',
+        cardText: 'Bizi rehberinize eklemek için kodu telefon kamerasıyla tarayın.',
+        vcard: 'vCard indir',
+        qrDownload: 'Baskı için QR kod (PNG)',
+        qrFullscreen: 'Tam ekran göster',
+        qrLabel: 'İletişim kartımızı içeren QR kod',
+        qrClose: 'Kapatmak için dokunun veya Esc\'ye basın'
+    },
+    rfq: {
+        steps: {
+            product: 'Ürün',
+            volume: 'Miktar ve Koşullar',
+            logistics: 'Lojistik',
+            company: 'Şirket',
+            review: 'Özet',
+            reviewTitle: 'Talebinizi kontrol edin'
+        },
+        commodity: 'Ürün',
+        grade: 'Kalite',
+        quantity: 'Miktar',
+        unit: 'Birim',
+        units: {
+            mt: 'Metrik ton',
+            containers: '20\'lik konteyner'
+        },
+        incoterm: 'Incoterm',
+        port: 'Varış Limanı',
+        packaging: 'Ambalaj',
+        packagingOptions: {
+            jute: 'Jüt çuval',
+            pp: 'PP çuval'
+        },
+        month: 'Hedef Sevkiyat Ayı',
+        inspection: 'Gözetim Kuruluşu',
+        company: 'Şirket',
+        phone: 'Telefon / WhatsApp (isteğe bağlı)',
+        country: 'Ülke',
+        notes: 'Notlar (isteğe bağlı)',
+        choose: 'Seçin…',
+        chooseCommodity: 'Önce bir ürün seçin',
+        back: 'Geri',
+        next: 'Devam',
+        edit: 'Düzenle',
+        errors: {
+            required: 'Lütfen bu alanı doldurun.',
+            choose: 'Lütfen bir seçenek belirleyin.',
+            email: 'Lütfen geçerli bir e-posta adresi girin.',
+            min: 'En az {min} olmalıdır.',
+            whole: 'Lütfen tam sayı girin.',
+            format: 'Lütfen YYYY-AA biçimini kullanın.'
+        }
+    },
+    form: {
+        name: 'Ad Soyad',
+        email: 'E-posta Adresi',
+        send: 'Talebi Gönder',
+        sent: 'Talep Gönderildi!',
+        error: 'Talebiniz gönderilemedi. Lütfen tekrar deneyin.',
+        sending: 'Gönderiliyor…',
+        retrying: 'Bağlantı sorunu, yeniden deneniyor ({attempt}. deneme)…',
+        queued: 'Çevrimdışısınız. Talebiniz bu cihazda saklandı ve bağlantı geldiğinde otomatik olarak gönderilecek.',
+        flushed: 'Kaydedilen talepler gönderildi: {count}.',
+        handedOff: 'E-posta uygulamanız talep ile açıldı. Tamamlamak için oradan gönderin.',
+        invalid: 'Lütfen işaretli alanları düzeltin.',
+        emailInstead: 'Bunun yerine e-postayla gönderin'
+    },
+    pwa: {
+        updateAvailable: 'Sitenin yeni bir sürümü mevcut.',
+        reload: 'Yenile',
+        dismiss: 'Kapat'
+    },
+    consent: {
+        title: 'Gizlilik',
+        message: 'Siteyi geliştirmek için ziyaretleri anonim olarak sayabilir miyiz (hangi ürünlere bakıldığı, formun ne kadarının doldurulduğu)? Çerez yok, reklamcılarla hiçbir şey paylaşılmaz.',
+        accept: 'İzin ver',
+        decline: 'Hayır, teşekkürler',
+        settings: 'Gizlilik ayarları'
+    },
+    footer: {
+        copyright: '© 2026 GLOCAL GUINEE SARLU. Tüm hakları saklıdır.'
+    },
+    loading: {
+        text: 'Glocal Guinee deneyimi yükleniyor...'
+    }
+};
@@ -0,0 +1,388 @@
+export default {
+    meta: {
+        title: 'Glocal Guinée - 优质农产品加工',
+        pageTitle: '{name} | Glocal Guinée',
+        description: '自2008年起从几内亚科纳克里出口芝麻、带壳腰果和可可。批次经SGS检验，发往土耳其、中国、印度和越南。',
+        descriptions: {
+            about: 'GLOCAL GUINEE SARLU 自2008年起采购并出口几内亚芝麻、腰果和可可，坚持道德采购与严格质量控制。',
+            process: '从几内亚农场到科纳克里港：采购、清洗与干燥、SGS或必维检验以及出口运输。',
+            products: '我们出口的几内亚芝麻、带壳腰果（RCN）和可可豆的规格、等级与包装。',
+            partners: '我们的贸易网络将科纳克里与土耳其、中国、印度和越南的买家相连。',
+            contact: '索取几内亚芝麻、腰果或可可报价。GLOCAL GUINEE SARLU 的交货期、检验与联系方式。',
+            track: '凭订舱号或集装箱号追踪您的 Glocal Guinée 芝麻、腰果或可可货物，从采购、SGS 检验直至抵达目的港。',
+            lot: '此批{name}的溯源信息：{cooperative}，{plots} 块已测绘农田，加工与检验日期，以及尽职调查摘要。'
+        }
+    },
+    a11y: {
+        reduceMotion: '减少动效',
+        reduceMotionHint: '关闭装饰动画和平滑滚动'
+    },
+    theme: {
+        current: '主题：{name}',
+        hint: '在自动、浅色、深色和高对比度配色之间切换',
+        auto: '自动',
+        light: '浅色',
+        dark: '深色',
+        contrast: '高对比度'
+    },
+    lang: {
+        label: '语言'
+    },
+    nav: {
+        home: '首页',
+        about: '关于我们',
+        process: '业务流程',
+        products: '产品',
+        partners: '合作伙伴',
+        track: '货运追踪',
+        contact: '联系',
+        cta: '联系我们',
+        toggle: '切换导航菜单',
+        close: '关闭菜单',
+        menu: '导航菜单'
+    },
+    hero: {
+        title: 'GLOCAL',
+        subtitle: '来自几内亚腹地的优质大宗商品',
+        description: '专注于高品质芝麻、带壳腰果和可可豆。我们连接几内亚农业与全球市场。',
+        cta: '浏览产品',
+        scrollHint: '向下滚动',
+        yearsExp: '年经验',
+        globalPorts: '全球港口'
+    },
+    about: {
+        title: '卓越传承',
+        tagline: '从2008年至今的发展历程',
+        intro: 'GLOCAL GUINEE SARLU 自2008年以来一直是几内亚出口行业的中坚力量。我们以合规采购和严格的质量控制为傲。',
+        milestone2008: '在科纳克里成立，从芝麻出口起步。',
+        milestone2015: '业务拓展至带壳原腰果（RCN）。',
+        milestone2022: '对亚洲市场的可可分销再创新高。',
+        imageAlt: '几内亚农业——芝麻、腰果和可可'
+    },
+    process: {
+        title: '运营模式',
+        tagline: '从农场到港口的无缝供应链',
+        sourcingTitle: '采购',
+        sourcingText: '直接向几内亚中部的当地农户采购。',
+        processingTitle: '加工',
+        processingText: '先进的清理和烘干设施。',
+        qualityTitle: '质量检验',
+        qualityText: '严格的 SGS/必维国际检验。',
+        shippingTitle: '运输',
+        shippingText: '出口至土耳其、中国、印度和越南。'
+    },
+    products: {
+        title: '我们的产品',
+        tagline: '优质品质，可持续采购',
+        specifications: '规格',
+        viewerTitle: '360° 产品查看器',
+        viewerHint: '拖动旋转 · 滚轮或双指缩放 · 方向键转动',
+        viewerLabel: '{name} 的三维模型。使用方向键旋转，使用加号或减号缩放。',
+        reset: '重置视图',
+        details: '查看详情'
+    },
+    market: {
+        title: '参考价格',
+        basis: '{basis} · {currency}/吨',
+        period: '时间段',
+        periods: { '3m': '3个月', '6m': '6个月', '1y': '1年', all: '全部' },
+        select: '查看{name}价格走势',
+        updated: '更新于 {date}',
+        stale: '数据已过时：最后更新于 {date}',
+        sample: '示例数据',
+        unavailable: '暂时无法获取价格。',
+        chartLabel: '{name}价格，{from} 至 {to}：从 {first} 到 {last}（最低 {low}，最高 {high}）',
+        disclaimer: '仅供参考，不构成报价。如需确定价格，请索取报价。'
+    },
+    track: {
+        title: '追踪您的货物',
+        tagline: '从几内亚农田到您的港口',
+        label: '订舱号或集装箱号',
+        hint: '见订舱确认书或提单，例如 GGB-2026-0142 或 MSCU4821730。',
+        submit: '追踪',
+        searching: '正在查询 {reference}…',
+        found: '已找到货物 {reference}。',
+        invalid: '请输入订舱号（GGB-2026-0142）或集装箱号（MSCU4821730）。',
+        notFound: '没有与 {reference} 匹配的货物。请核对编号或联系我们。',
+        unavailable: '追踪服务暂不可用。请稍后再试或联系我们。',
+        updated: '最后更新：{date}',
+        since: '自 {date} 起',
+        expected: '预计 {date}',
+        notScheduled: '尚未安排',
+        facts: {
+            booking: '订舱号',
+            containers: '集装箱',
+            commodity: '产品',
+            destination: '目的地',
+            vessel: '船名',
+            eta: '预计到港',
+            arrivedOn: '到港日期'
+        },
+        milestones: {
+            sourced: '已采购',
+            processed: '已加工',
+            inspected: '已检验',
+            inspectedBy: '已由 {inspector} 检验',
+            loaded: '已在科纳克里装船',
+            atSea: '海上运输中',
+            arrived: '已抵达目的港'
+        },
+        status: { done: '已完成', current: '进行中', pending: '待进行' },
+        documentsLabel: '单据',
+        documents: {
+            contract: '采购合同',
+            qualityReport: '质量报告',
+            inspectionCertificate: '检验证书',
+            phytosanitary: '植物检疫证书',
+            certificateOfOrigin: '原产地证书',
+            packingList: '装箱单',
+            invoice: '商业发票',
+            billOfLading: '提单',
+            arrivalNotice: '到货通知'
+        },
+        globeLabel: '显示自科纳克里出发航线的地球仪。拖动可旋转。'
+    },
+    lot: {
+        lot: '批次',
+        kicker: '批次溯源',
+        details: '批次信息',
+        origin: '农田来源',
+        commodity: '产品',
+        harvest: '收获季',
+        quantity: '数量',
+        bags: '袋',
+        country: '生产国',
+        cooperative: '合作社',
+        members: '名成员',
+        processed: '加工',
+        inspected: '检验',
+        shipment: '货运',
+        mapLabel: '此批次农田地块地图及其在几内亚的位置',
+        mapNote: '地块边界经 GPS 测量。几内亚轮廓来自 Natural Earth。',
+        plots: '农田地块',
+        plot: '地块',
+        village: '村庄',
+        producer: '生产者',
+        area: '面积（公顷）',
+        center: '中心点（纬度，经度）',
+        total: '合计',
+        compliance: '尽职调查',
+        deforestationFree: '零毁林',
+        cutoff: '截止日期',
+        legal: '合法生产',
+        risk: '风险评估',
+        risks: { negligible: '可忽略', low: '低', standard: '标准', high: '高' },
+        statement: '尽职调查声明',
+        yes: '是',
+        no: '否',
+        operator: '经营者',
+        ddsText: '摘要和地块文件包含进口商尽职调查声明所需的信息：产品、数量、生产国以及每块农田的地理位置。',
+        downloadDds: '下载尽职调查摘要（PDF）',
+        downloadGeojson: '下载地块边界（GeoJSON）',
+        downloadFailed: '无法生成 PDF。地块文件和本页面包含相同的信息。',
+        notFound: '未找到批次',
+        notFoundText: '请核对袋上二维码下方印制的编号，或凭该编号联系我们。',
+        dds: {
+            title: '尽职调查摘要',
+            statement: '此批{name}的每一袋均来自下列农田地块。这些地块在 {cutoff} 之后均未发生毁林，且作物依照几内亚法律生产。',
+            statementPending: '此批{name}的零毁林状态尚未确认。',
+            disclaimer: '由 GLOCAL GUINEE SARLU 根据其采购记录编制，用于支持进口商依据欧盟第 2023/1115 号条例开展的尽职调查。本文件本身并非尽职调查声明。'
+        }
+    },
+    commodity: {
+        title: '{name} | Glocal Guinée',
+        back: '全部产品',
+        grades: '等级',
+        hsCode: 'HS 编码',
+        model: '三维模型',
+        season: '收获季节',
+        seasonLabel: '收获日历',
+        harvest: '收获期',
+        peak: '旺季',
+        gallery: '图库',
+        quoteTitle: '询价',
+        quoteText: '表单已预选该产品，您之前填写的内容将保留。'
+    },
+    specSheet: {
+        download: '下载规格书',
+        title: '产品规格书',
+        issued: '签发日期：{date}',
+        print: '打印',
+        pdf: '下载 PDF',
+        close: '关闭',
+        preparing: '正在生成 PDF…',
+        failed: '无法生成 PDF。请使用“打印”并选择“另存为 PDF”。',
+        tradeTerms: '贸易条款',
+        incoterms: '贸易术语',
+        inspection: '检验',
+        leadTime: '交货期',
+        contact: '联系方式',
+        website: '网站',
+        disclaimer: '以上规格仅供参考。最终质量、数量和价格以合同约定为准，并由独立检验机构确认。'
+    },
+    specs: {
+        purity: '纯度',
+        oilContent: '含油量',
+        moisture: '水分',
+        kor: '出仁率 (KOR)',
+        nutCount: '粒数',
+        origin: '产地',
+        fermentation: '发酵度',
+        grade: '等级',
+        packaging: '包装'
+    },
+    commodities: {
+        sesame: {
+            shortName: '芝麻',
+            name: '芝麻',
+            fullName: '芝麻籽',
+            description: '产自几内亚肥沃平原的金色芝麻。',
+            overview: '由上几内亚小农种植的天然芝麻，出口前在科纳克里经机器清理和分选。',
+            photoAlt: '天然白芝麻籽'
+        },
+        cashew: {
+            shortName: '腰果',
+            name: '带壳原腰果',
+            fullName: '带壳原腰果',
+            description: '高出仁率、高出品率的优质原腰果。',
+            overview: '来自博凯和金迪亚果园的带壳腰果，经日晒干燥，每批装袋前均检测出仁率。',
+            photoAlt: '带壳原腰果'
+        },
+        cocoa: {
+            shortName: '可可',
+            name: '可可豆',
+            fullName: '可可豆',
+            description: '香气浓郁，适用于高级巧克力。',
+            overview: '几内亚森林区可可，充分发酵并干燥至出口水分，主季与中季可可豆分开发运。',
+            photoAlt: '发酵可可豆'
+        }
+    },
+    growth: {
+        label: '从幼苗到收获',
+        loadingLabel: '正在加载生长序列',
+        loading: '正在加载生长序列… {percent}%',
+        seedlingTitle: '幼苗',
+        seedlingText: '腰果幼树在几内亚农场扎根生长。',
+        floweringTitle: '开花',
+        floweringText: '旱季的花期决定了全年的收成。',
+        harvestTitle: '收获',
+        harvestText: '成熟的果实经人工采摘、晾晒并分级后出口。'
+    },
+    partners: {
+        title: '全球贸易网络',
+        tagline: '连接几内亚与世界',
+        guinea: '几内亚',
+        hq: '总部',
+        india: '印度',
+        turkey: '土耳其',
+        vietnam: '越南',
+        china: '中国',
+        hqRole: '采购与加工',
+        hqNote: '运营核心',
+        keyMarket: '重点市场',
+        regionalHub: '区域枢纽',
+        growthMarket: '增长市场',
+        majorMarket: '主要市场',
+        globeLabel: '贸易航线地球仪。拖动以旋转。'
+    },
+    contact: {
+        title: '联系我们',
+        tagline: '立即开启您的农业合作',
+        location: '地址',
+        locationValue: '几内亚共和国 科纳克里',
+        phone: '电话 / WhatsApp',
+        email: '电子邮件',
+        faqTitle: '常见问题',
+        faqLeadTimeQ: '发货周期是多久？',
+        faqLeadTimeA: '从订单确认到港口装船通常需要15-21天。',
+        faqInspectionQ: '是否提供 SGS 检验？',
+        faqInspectionA: '是的，我们所有的货物均经 SGS 或必维国际认证。',
+        whatsapp: '通过 WhatsApp 联系',
+        whatsappProduct: '更喜欢用 WhatsApp？向我们咨询此产品',
+        whatsappHello: '您好，{company}，我想了解贵公司的产品。',
+        whatsappQuote: '您好，{company}，我想询价：{commodity}。',
+        cardTitle: '保存我们的联系方式',
+        cardText: '用手机相机扫描二维码，即可将我们添加到通讯录。',
+        vcard: '下载 vCard 名片',
+        qrDownload: '打印用二维码（PNG）',
+        qrFullscreen: '全屏显示',
+        qrLabel: '包含我们联系名片的二维码',
+        qrClose: '轻触屏幕或按 Esc 关闭'
+    },
+    rfq: {
+        steps: {
+            product: '产品',
+            volume: '数量与条款',
+            logistics: '物流',
+            company: '公司信息',
+            review: '确认',
+            reviewTitle: '确认您的询价'
+        },
+        commodity: '产品',
+        grade: '等级',
+        quantity: '数量',
+        unit: '单位',
+        units: {
+            mt: '公吨',
+            containers: '20尺集装箱'
+        },
+        incoterm: '贸易术语',
+        port: '目的港',
+        packaging: '包装',
+        packagingOptions: {
+            jute: '麻袋',
+            pp: 'PP编织袋'
+        },
+        month: '期望装运月份',
+        inspection: '检验机构',
+        company: '公司名称',
+        phone: '电话 / WhatsApp（选填）',
+        country: '国家',
+        notes: '备注（选填）',
+        choose: '请选择…',
+        chooseCommodity: '请先选择产品',
+        back: '上一步',
+        next: '继续',
+        edit: '修改',
+        errors: {
+            required: '请填写此项。',
+            choose: '请选择一项。',
+            email: '请输入有效的电子邮箱地址。',
+            min: '不能小于 {min}。',
+            whole: '请输入整数。',
+            format: '请使用 YYYY-MM 格式。'
+        }
+    },
+    form: {
+        name: '姓名',
+        email: '电子邮箱',
+        send: '提交询价',
+        sent: '询价已提交！',
+        error: '询价提交失败，请重试。',
+        sending: '正在发送…',
+        retrying: '网络连接异常，正在重试（第 {attempt} 次）…',
+        queued: '您当前处于离线状态。询价已保存在本设备上，恢复联网后将自动发送。',
+        flushed: '已发送保存的询价：{count} 条。',
+        handedOff: '已在您的邮件应用中打开询价内容，请在邮件应用中发送以完成提交。',
+        invalid: '请更正标出的字段。',
+        emailInstead: '改用电子邮件发送'
+    },
+    pwa: {
+        updateAvailable: '网站有新版本可用。',
+        reload: '刷新',
+        dismiss: '关闭'
+    },
+    consent: {
+        title: '隐私',
+        message: '我们可以匿名统计访问情况（浏览了哪些产品、表单填写到哪一步）以改进网站吗？不使用 Cookie，也不与广告商共享任何信息。',
+        accept: '允许',
+        decline: '不用了',
+        settings: '隐私设置'
+    },
+    footer: {
+        copyright: '© 2026 GLOCAL GUINEE SARLU. 保留所有权利。'
+    },
+    loading: {
+        text: '正在加载 Glocal Guinee...'
+    }
+};
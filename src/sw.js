@@ -0,0 +1,146 @@
+// Service worker. Not bundled: scripts/service-worker-plugin.js copies it to
+// /sw.js at build time and fills in the version and the precache list (the
+// hashed Vite output plus the public files the site can't work without).
+//
+// - Precache: cache-first, replaced wholesale on every deploy.
+// - Pages: network first with a timeout, then the cached app shell (every
+//   route renders from index.html), then the branded offline page.
+// - Media, frames and hashed assets from older deploys: cache-first at runtime.
+//   Offline, the full growth clip falls back to the lite one, and a photo
+//   copy never fetched to the precached copy of the same photo.
+// - Google Fonts and the CDN scripts: stale-while-revalidate.
+// A new worker waits until the page accepts the "update available" prompt.
+
+const VERSION = '__CACHE_VERSION__';
+const PRECACHE_URLS = __PRECACHE_MANIFEST__;
+
+const PRECACHE = `glocal-precache-${VERSION}`;
+const RUNTIME = 'glocal-runtime';
+const OFFLINE_URL = '/offline.html';
+const SHELL_URL = '/index.html';
+const FULL_VIDEO = '/videos/plant-grow-optimized.mp4';
+const LITE_VIDEO = '/videos/plant-grow-lite.mp4';
+const NAVIGATION_TIMEOUT = 4000;
+// assets/images/<name>-<width>-<hash>.<ext>, the responsive photo copies.
+const IMAGE_VARIANT = /^\/assets\/images\/(.+)-\d+-[0-9a-f]+\.\w+$/;
+const CACHE_FIRST_PATHS = ['/assets/', '/images/', '/videos/', '/icons/'];
+const REVALIDATE_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdn.jsdelivr.net'];
+// Cross-origin files the page loads from index.html; keep these URLs in sync with its <head>.
+const FONT_CSS = 'https://fonts.googleapis.com/css2?family=Playfair+Display:wght@400;700&family=Outfit:wght@300;400;600&display=swap';
+const CDN_SCRIPTS = ['https://cdn.jsdelivr.net/npm/@studio-freight/lenis@1.0.42/dist/lenis.min.js'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(Promise.all([
+        caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS)),
+        // Best effort: a font or CDN hiccup must not block the install.
+        warmRuntimeCache().catch(() => {})
+    ]));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('glocal-precache-') && name !== PRECACHE)
+            .map(name => caches.delete(name)));
+        // Hashed bundles from earlier deploys are never requested again once this one takes over.
+        const runtime = await caches.open(RUNTIME);
+        const stale = (await runtime.keys()).filter(request => new URL(request.url).pathname.startsWith('/assets/'));
+        await Promise.all(stale.map(request => runtime.delete(request)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(navigate(request, url));
+    } else if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/api/')) return;
+        event.respondWith(sameOrigin(request, url));
+    } else if (REVALIDATE_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+// The font stylesheet names its font files, which differ per browser, so
+// they are fetched from the stylesheet this browser actually gets.
+async function warmRuntimeCache() {
+    const cache = await caches.open(RUNTIME);
+    await cache.addAll(CDN_SCRIPTS);
+    const response = await fetch(FONT_CSS);
+    if (!response.ok) return;
+    await cache.put(FONT_CSS, response.clone());
+    const css = await response.text();
+    const fonts = [...css.matchAll(/url\((https:\/\/fonts\.gstatic\.com\/[^)]+)\)/g)].map(match => match[1]);
+    await cache.addAll(fonts);
+}
+
+function timeout(ms) {
+    return new Promise((resolve, reject) => setTimeout(() => reject(new Error('Network timeout')), ms));
+}
+
+async function navigate(request, url) {
+    try {
+        return await Promise.race([fetch(request), timeout(NAVIGATION_TIMEOUT)]);
+    } catch (e) {
+        // Extensionless paths are app routes and render from the shell;
+        // anything else (a PDF, a stray file) gets the offline page.
+        const isAppRoute = !/\.[a-z0-9]+$/i.test(url.pathname);
+        const shell = isAppRoute ? await caches.match(SHELL_URL) : null;
+        return shell || (await caches.match(OFFLINE_URL)) || Response.error();
+    }
+}
+
+async function sameOrigin(request, url) {
+    const precached = await caches.match(request, { cacheName: PRECACHE });
+    if (precached) return precached;
+    if (!CACHE_FIRST_PATHS.some(path => url.pathname.startsWith(path))) return fetch(request);
+
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (e) {
+        // Offline before the full clip or this copy of a photo was ever
+        // fetched: the lighter precached clip, or copy, stands in.
+        if (url.pathname === FULL_VIDEO) {
+            const lite = await caches.match(LITE_VIDEO);
+            if (lite) return lite;
+        }
+        const image = url.pathname.match(IMAGE_VARIANT)?.[1];
+        if (image) {
+            const copy = PRECACHE_URLS.find(path => path.match(IMAGE_VARIANT)?.[1] === image);
+            const precachedCopy = copy && await caches.match(copy, { cacheName: PRECACHE });
+            if (precachedCopy) return precachedCopy;
+        }
+        throw e;
+    }
+}
+
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(RUNTIME);
+    const cached = await cache.match(request);
+    const update = fetch(request).then(response => {
+        // Opaque (no-cors) responses report status 0 but are still worth keeping.
+        if (response.ok || response.type === 'opaque') return cache.put(request, response.clone()).then(() => response);
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
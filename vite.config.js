@@ -1,22 +1,35 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
+import { analyticsCollector } from './scripts/analytics-collector.js';
+import { mockFormEndpoint } from './scripts/mock-form-endpoint.js';
+import { mockTrackingEndpoint } from './scripts/mock-tracking-endpoint.js';
+import { prerender } from './scripts/prerender-plugin.js';
+import { responsiveImages } from './scripts/responsive-images-plugin.js';
+import { serviceWorker } from './scripts/service-worker-plugin.js';
 
-export default defineConfig({
-    esbuild: {
-        drop: ['console', 'debugger'],
-    },
-    build: {
-        outDir: 'dist',
-        sourcemap: false,
-        minify: 'esbuild'
-    },
-    server: {
-        headers: {
-            'Cache-Control': 'public, max-age=0, must-revalidate',
-            'X-Content-Type-Options': 'nosniff',
-            'X-Frame-Options': 'DENY'
+export default defineConfig(({ mode }) => {
+    const env = loadEnv(mode, process.cwd(), '');
+    // Vercel provides the production domain; SITE_URL overrides it (custom domain, other hosts).
+    const siteUrl = env.SITE_URL || (env.VERCEL_PROJECT_PRODUCTION_URL && `https://${env.VERCEL_PROJECT_PRODUCTION_URL}`);
+
+    return {
+        plugins: [mockFormEndpoint({ mode: env.MOCK_FORM_MODE }), mockTrackingEndpoint(), analyticsCollector(), prerender({ siteUrl }), responsiveImages(), serviceWorker()],
+        esbuild: {
+            drop: ['console', 'debugger'],
+        },
+        build: {
+            outDir: 'dist',
+            sourcemap: false,
+            minify: 'esbuild'
+        },
+        server: {
+            headers: {
+                'Cache-Control': 'public, max-age=0, must-revalidate',
+                'X-Content-Type-Options': 'nosniff',
+                'X-Frame-Options': 'DENY'
+            }
+        },
+        optimizeDeps: {
+            include: ['three', 'gsap', 'aos']
         }
-    },
-    optimizeDeps: {
-        include: ['three', 'gsap', 'aos']
-    }
+    };
 });